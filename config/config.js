@@ -1,4 +1,12 @@
 // Configuration template for IoT Parser
+const os = require('os');
+
+// Integer env var, or the fallback when it is unset or not a non-negative number
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
 module.exports = {
   // MQTT Configuration
   mqtt: {
@@ -6,7 +14,10 @@ module.exports = {
     username: process.env.MQTT_USERNAME || 'your-username',
     password: process.env.MQTT_PASSWORD || 'your-password',
     caPath: process.env.MQTT_CA_PATH || './emqxsl_ca.pem',
+    // Strings or { topic, qos } objects; '+', '#' and '{name}' templates allowed
     topics: (process.env.ALLOWED_TOPICS || 'IDGS10-Pruebas-Sensores').split(','),
+    qos: parseInt(process.env.MQTT_QOS) || 0, // Default QoS for topics without their own
+    sharedGroup: process.env.MQTT_SHARED_GROUP || null, // $share/<group>/ to split load between instances
     options: {
       reconnectPeriod: 5000,
       connectTimeout: 30000,
@@ -18,40 +29,180 @@ module.exports = {
   parser: {
     useWorkers: process.env.USE_WORKERS === 'true' || false,
     numWorkers: parseInt(process.env.NUM_WORKERS) || 4,
+    maxQueueSize: parseInt(process.env.MAX_QUEUE_SIZE) || 1000,
+    queueOverflowPolicy: process.env.QUEUE_OVERFLOW_POLICY || 'drop-oldest', // drop-oldest | drop-newest | pause
+    maxPausedQueueSize: parseInt(process.env.MAX_PAUSED_QUEUE_SIZE) || undefined, // Hard limit while paused (default: 2x maxQueueSize)
+    workerRestartBaseMs: parseInt(process.env.WORKER_RESTART_BASE_MS) || 100, // Doubles on every consecutive crash
+    workerMaxRestarts: parseInt(process.env.WORKER_MAX_RESTARTS) || 10, // Consecutive crashes before a worker is given up
+    workerDrainTimeoutMs: parseInt(process.env.WORKER_DRAIN_TIMEOUT_MS) || 5000, // stop() waits this long for queued messages
     enableStats: process.env.ENABLE_STATS !== 'false',
-    logDir: process.env.LOG_DIR || './logs'
+    logDir: process.env.LOG_DIR || './logs',
+    instanceId: process.env.PARSER_INSTANCE_ID || `${os.hostname()}-${process.pid}`
   },
 
-  // Validation Rules
-  validation: {
+  // Field Schema
+  // Every telemetry field is declared once here: pipe key, JSON aliases, type,
+  // unit, range and required flag. The parser, the worker threads and the
+  // InfluxDB writer all read from this, so a new sensor only needs an entry.
+  schema: {
+    timestamp: {
+      pipeKey: 'tt',
+      aliases: ['timestamp'],
+      type: 'timestamp', // Epoch s/ms/µs or ISO-8601, stored as Unix milliseconds
+      unit: 'ms',
+      required: true,
+      allowFuture: false,
+      futureTolerance: envInt('TIMESTAMP_FUTURE_TOLERANCE', 5) * 1000 // Env in seconds
+    },
+    uuid: {
+      pipeKey: 'uid',
+      aliases: ['uuid', 'device_id', 'id'],
+      type: 'string',
+      label: 'UUID',
+      required: true,
+      format: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+    },
     temperature: {
+      pipeKey: 't',
+      aliases: ['temperature', 'temp'],
+      type: 'float',
+      unit: '°C',
       min: -40,
       max: 85,
       required: false
     },
     humidity: {
+      pipeKey: 'h',
+      aliases: ['humidity', 'humid'],
+      type: 'float',
+      unit: '%',
       min: 0,
       max: 100,
       required: false
     },
-    timestamp: {
-      required: true,
-      allowFuture: false
-    },
-    uuid: {
-      required: true,
-      format: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
-    },
     actuator: {
+      pipeKey: 'a',
+      aliases: ['actuator'],
+      type: 'string',
       required: false,
       format: /^[a-z0-9]$/i
     },
     version: {
+      pipeKey: 'v',
+      aliases: ['version', 'ver'],
+      type: 'string',
       required: false,
+      minLength: 1,
       maxLength: 20
+    },
+    correlationId: {
+      pipeKey: 'cid',
+      aliases: ['correlationId', 'cid'],
+      type: 'string',
+      required: false,
+      maxLength: 64
     }
   },
 
+  // Device Registry (UUID -> name, location, model, firmware, schema overrides)
+  devices: {
+    registryPath: process.env.DEVICE_REGISTRY_PATH || './config/devices.json',
+    autoRegisterPath: process.env.DEVICE_AUTO_REGISTER_PATH || './logs/devices-auto.json', // Written by auto-register
+    unknownDevicePolicy: process.env.UNKNOWN_DEVICE_POLICY || 'allow' // allow | reject | quarantine | auto-register
+  },
+
+  // Duplicate suppression (QoS 1 redelivery, device retries)
+  dedup: {
+    enabled: process.env.DEDUP_ENABLED !== 'false',
+    key: process.env.DEDUP_KEY || 'uuid-timestamp', // uuid-timestamp | content-hash
+    windowMs: parseInt(process.env.DEDUP_WINDOW_MS) || 5 * 60 * 1000,
+    maxEntries: parseInt(process.env.DEDUP_MAX_ENTRIES) || 10000,
+    emitDuplicates: process.env.DEDUP_EMIT_EVENTS === 'true' // Emit 'duplicate' events for suppressed readings
+  },
+
+  // Dead-letter store for invalid messages (NDJSON, one file per day)
+  deadLetter: {
+    enabled: process.env.DLQ_ENABLED !== 'false',
+    dir: process.env.DLQ_DIR || './logs/dlq'
+  },
+
+  // Raw message capture for offline replay (node replay.js <capture>)
+  recorder: {
+    enabled: process.env.RECORD_MESSAGES === 'true',
+    dir: process.env.RECORD_DIR || './logs/captures'
+  },
+
+  // Device clock skew (device timestamp vs. time received)
+  clockSkew: {
+    enabled: process.env.CLOCK_SKEW_ENABLED !== 'false',
+    correct: process.env.CLOCK_SKEW_CORRECT === 'true', // Shift timestamps by the estimated offset
+    samples: parseInt(process.env.CLOCK_SKEW_SAMPLES) || 20, // Readings in the median estimate
+    maxDriftMs: parseInt(process.env.CLOCK_MAX_DRIFT_MS) || 30 * 1000, // Beyond this: 'clock-drift' event
+    correctionThresholdMs: parseInt(process.env.CLOCK_CORRECTION_THRESHOLD_MS) || 2000 // Smaller offsets are not corrected
+  },
+
+  // Out-of-order and late arrival handling
+  ordering: {
+    enabled: process.env.ORDERING_ENABLED !== 'false',
+    lateToleranceMs: parseInt(process.env.LATE_TOLERANCE_MS) || 60 * 1000, // Older than previous by up to this: late
+    maxAgeMs: parseInt(process.env.MAX_READING_AGE_MS) || 24 * 60 * 60 * 1000, // Older than this: stale
+    staleAction: process.env.STALE_ACTION || 'flag', // flag | reject
+    reorderDelayMs: parseInt(process.env.REORDER_DELAY_MS) || 0, // > 0 enables the reorder buffer
+    maxBuffered: 10000
+  },
+
+  // Device liveness (online/offline detection)
+  liveness: {
+    enabled: process.env.LIVENESS_ENABLED !== 'false',
+    defaultIntervalMs: parseInt(process.env.DEVICE_REPORT_INTERVAL) || 60000, // Until an interval is learned
+    missedIntervals: parseInt(process.env.DEVICE_MISSED_INTERVALS) || 3,
+    checkIntervalMs: 10000
+  },
+
+  // Alert rules evaluated on every valid record (see src/services/alertEngine.js)
+  alerts: {
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    rules: [
+      {
+        id: 'high-temperature',
+        type: 'threshold',
+        field: 'temperature',
+        operator: '>',
+        value: 35,
+        hysteresis: 1,        // Resolves below 34°C
+        severity: 'warning'
+      },
+      {
+        id: 'high-humidity-sustained',
+        type: 'threshold',
+        field: 'humidity',
+        operator: '>',
+        value: 85,
+        hysteresis: 2,
+        forMs: 5 * 60 * 1000, // Must stay above 85% for 5 minutes
+        severity: 'warning'
+      },
+      {
+        id: 'temperature-spike',
+        type: 'rate',
+        field: 'temperature',
+        operator: '>',
+        value: 5,             // More than 5°C change per minute
+        per: 60 * 1000,
+        absolute: true,
+        severity: 'critical'
+      }
+      // Scope a rule to specific devices with devices: ['<uuid>', ...]
+    ]
+  },
+
+  // Downlink commands (IotParser.sendCommand)
+  commands: {
+    topicTemplate: process.env.COMMAND_TOPIC_TEMPLATE || 'devices/{uuid}/commands',
+    ackTimeout: parseInt(process.env.COMMAND_ACK_TIMEOUT) || 10000,
+    qos: 1
+  },
+
   // InfluxDB Configuration - ACTIVADO
   influxdb: {
     enabled: process.env.INFLUX_ENABLED !== 'false', // Activado por defecto
@@ -59,20 +210,86 @@ module.exports = {
     token: process.env.INFLUX_TOKEN,
     org: process.env.INFLUX_ORG || 'iot-org',
     bucket: process.env.INFLUX_BUCKET || 'iot-data',
-    measurement: 'iot_telemetry'
+    measurement: 'iot_telemetry',
+    batchSize: parseInt(process.env.INFLUX_BATCH_SIZE) || 500, // Points per write
+    flushIntervalMs: parseInt(process.env.INFLUX_FLUSH_INTERVAL) || 1000,
+    maxRetries: parseInt(process.env.INFLUX_MAX_RETRIES ?? 5), // Then the batch is spooled to disk
+    retryBaseMs: parseInt(process.env.INFLUX_RETRY_BASE_MS) || 1000, // Doubles on every retry
+    retryMaxMs: 60 * 1000,
+    maxBufferedLines: parseInt(process.env.INFLUX_MAX_BUFFERED) || 10000, // In memory before spooling
+    spoolDir: process.env.INFLUX_SPOOL_DIR || './logs/spool/influx',
+    maxSpoolBytes: (parseInt(process.env.INFLUX_MAX_SPOOL_MB) || 100) * 1024 * 1024
   },
 
-  // Future Kafka integration (commented for now)
-  /*
+  // Output sinks besides InfluxDB (see src/sinks). Each one receives valid
+  // and/or invalid records, optionally filtered by topic, device or format:
+  //   records: 'valid' | 'invalid' | 'all'
+  //   filter: { topics: ['site/+/telemetry'], devices: ['<uuid>'], formats: ['json'] }
+  sinks: [
+    {
+      type: 'file',
+      name: 'archive',
+      enabled: process.env.FILE_SINK_ENABLED === 'true',
+      format: process.env.FILE_SINK_FORMAT || 'ndjson', // ndjson | csv
+      dir: process.env.FILE_SINK_DIR || './logs/sinks',
+      rotate: process.env.FILE_SINK_ROTATE || 'daily', // daily | hourly | none
+      maxBytes: (parseInt(process.env.FILE_SINK_MAX_MB) || 50) * 1024 * 1024,
+      records: process.env.FILE_SINK_RECORDS || 'valid'
+    },
+    {
+      type: 'webhook',
+      name: 'webhook',
+      enabled: Boolean(process.env.WEBHOOK_SINK_URL),
+      url: process.env.WEBHOOK_SINK_URL,
+      secret: process.env.WEBHOOK_SINK_SECRET, // HMAC-SHA256 request signing
+      // data | error | device-offline | device-online | alert | alert-resolved
+      events: (process.env.WEBHOOK_SINK_EVENTS || 'data').split(','),
+      batchSize: parseInt(process.env.WEBHOOK_SINK_BATCH_SIZE) || 50,
+      flushIntervalMs: parseInt(process.env.WEBHOOK_SINK_FLUSH_INTERVAL) || 2000,
+      timeoutMs: 5000,
+      maxRetries: parseInt(process.env.WEBHOOK_SINK_MAX_RETRIES ?? 3),
+      retryBaseMs: parseInt(process.env.WEBHOOK_SINK_RETRY_BASE_MS) || 1000 // Doubles on every retry
+    }
+  ],
+
+  // Kafka output: valid records keyed by device UUID, invalid ones to the errors topic
   kafka: {
+    enabled: process.env.KAFKA_ENABLED === 'true',
     clientId: process.env.KAFKA_CLIENT_ID || 'iot-parser',
     brokers: process.env.KAFKA_BROKERS ? process.env.KAFKA_BROKERS.split(',') : ['localhost:9092'],
     topics: {
-      output: 'iot-parsed-data',
-      errors: 'iot-validation-errors'
-    }
+      valid: process.env.KAFKA_TOPIC || 'iot-parsed-data',
+      errors: process.env.KAFKA_ERRORS_TOPIC ?? 'iot-validation-errors' // Empty: don't publish invalid records
+    },
+    serialization: process.env.KAFKA_SERIALIZATION || 'json', // json | envelope
+    idempotent: process.env.KAFKA_IDEMPOTENT !== 'false',
+    batchSize: parseInt(process.env.KAFKA_BATCH_SIZE) || 100,
+    flushIntervalMs: parseInt(process.env.KAFKA_FLUSH_INTERVAL) || 1000,
+    maxRetries: 5
+  },
+
+  // Embedded HTTP API (/health, /stats, /devices, /errors/recent, ...)
+  api: {
+    enabled: process.env.API_ENABLED === 'true',
+    port: parseInt(process.env.API_PORT) || 8080,
+    host: process.env.API_HOST || '0.0.0.0',
+    recentSize: parseInt(process.env.API_RECENT_SIZE) || 100, // Readings and errors kept in memory
+    maxDevices: parseInt(process.env.API_MAX_DEVICES) || 10000 // Devices whose latest reading is kept
+  },
+
+  // Prometheus metrics (GET /metrics on the HTTP API)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    buckets: [0.5, 1, 2, 5, 10, 25, 50, 100, 250, 1000] // processing_time_ms histogram
+  },
+
+  // Live web dashboard (GET /dashboard on the HTTP API)
+  dashboard: {
+    enabled: process.env.DASHBOARD_ENABLED !== 'false',
+    statsIntervalMs: parseInt(process.env.DASHBOARD_STATS_INTERVAL) || 2000, // Stats pushed only when changed
+    historySize: parseInt(process.env.DASHBOARD_HISTORY_SIZE) || 60, // Points per sparkline
+    maxClients: parseInt(process.env.DASHBOARD_MAX_CLIENTS) || 20
   },
-  */
 
   // Statistics and Reporting
   stats: {
@@ -17,12 +17,25 @@ parser.on('data', (data) => {
   console.log(`💧 Humidity: ${data.humidity}%`);
   console.log(`📦 Format: ${data._format || 'pipe'}`);
   console.log(`📡 Topic: ${data._topic}`);
+  if (data._tags) console.log(`🏷️  Tags: ${Object.entries(data._tags).map(([k, v]) => `${k}=${v}`).join(', ')}`);
   if (data.version) console.log(`🔖 Version: ${data.version}`);
   if (data.actuator) console.log(`⚙️  Actuator: ${data.actuator}`);
-  if (config.influxdb?.enabled) console.log(`💾 InfluxDB: ✅ Saved`);
+  const influx = parser.getStats().influx;
+  if (influx) {
+    const state = influx.status === 'down' ? `📼 Spooled (${influx.spooled} on disk)` : influx.status === 'retrying' ? '🔁 Queued, retrying' : '⏳ Queued';
+    console.log(`💾 InfluxDB: ${state}`);
+  }
   console.log('=====================================\n');
 });
 
+parser.on('influx-status', (status, stats) => {
+  if (status === 'down') {
+    console.log(`\n💾 InfluxDB unreachable - spooling to disk (${stats.spooled} lines, ${stats.lastError})\n`);
+  } else if (status === 'ok') {
+    console.log(`\n💾 InfluxDB reachable again - ${stats.spooled} spooled lines left to drain\n`);
+  }
+});
+
 parser.on('error', (error) => {
   // Invalid data received - show detailed error information
   const timestamp = new Date().toISOString();
@@ -38,6 +51,26 @@ parser.on('error', (error) => {
   console.log('=======================================\n');
 });
 
+parser.on('alert', (alert) => {
+  console.log(`\n🚨 ALERT [${alert.severity.toUpperCase()}] ${alert.ruleId} on ${alert.uuid}: ${alert.message}\n`);
+});
+
+parser.on('alert-resolved', (alert) => {
+  console.log(`\n✅ RESOLVED ${alert.ruleId} on ${alert.uuid} after ${Math.round(alert.durationMs / 1000)}s\n`);
+});
+
+parser.on('device-offline', (device) => {
+  console.log(`\n📴 DEVICE OFFLINE: ${device.name || device.uuid} (last seen ${device.lastSeen})\n`);
+});
+
+parser.on('device-online', (device) => {
+  console.log(`\n📶 DEVICE ONLINE: ${device.name || device.uuid} (down ${Math.round(device.downtimeMs / 1000)}s)\n`);
+});
+
+parser.on('clock-drift', (device) => {
+  console.log(`\n🕒 CLOCK DRIFT: ${device.name || device.uuid} is ${(device.offsetMs / 1000).toFixed(1)}s off\n`);
+});
+
 // Connection management
 async function startParser() {
   try {
@@ -53,9 +86,10 @@ async function startParser() {
       console.log(`💾 InfluxDB: ❌ Disabled`);
     }
 
-    await parser.connect();
+    await parser.start();
     console.log('✅ Parser started successfully!');
-    console.log(`📊 Listening for messages on topics: ${config.mqtt.topics.join(', ')}`);
+    console.log(`📊 Listening for messages on topics: ${parser.topicFilters.join(', ')}`);
+    console.log(`🆔 Instance: ${parser.instanceId}`);
 
     // Display enhanced statistics every 30 seconds
     setInterval(() => {
@@ -74,18 +108,50 @@ async function startParser() {
       console.log(`✅ Valid Messages: ${stats.validMessages} (${successRate}%) ${validBar}`);
       console.log(`❌ Invalid Messages: ${stats.invalidMessages} (${(100 - successRate).toFixed(2)}%) ${invalidBar}`);
       console.log(`🔴 System Errors: ${stats.errors}`);
+      if (stats.dedup) console.log(`♻️  Duplicates Suppressed: ${stats.dedup.duplicates}`);
+      if (stats.ordering) console.log(`🔢 Late / Stale Readings: ${stats.ordering.late} / ${stats.ordering.stale}`);
 
       // Performance indicators
       const messageRate = uptime > 0 ? (stats.totalMessages / uptime).toFixed(2) : '0.00';
       console.log(`⚡ Message Rate: ${messageRate} msg/min`);
 
+      // Worker pool load
+      if (stats.workerPool) {
+        const pool = stats.workerPool;
+        const busy = pool.perWorker.filter(worker => worker.busy).length;
+        console.log(`⚙️  Workers: ${busy}/${pool.workers} busy | Queue: ${pool.queueDepth}/${pool.maxQueueSize} | Dropped: ${pool.dropped} | Restarts: ${pool.restarts}`);
+      }
+
+      // Device liveness
+      const devices = parser.getDevices();
+      if (devices.length > 0) {
+        console.log('📟 Devices:');
+        devices.forEach((device) => {
+          const icon = device.status === 'online' ? '🟢' : device.status === 'offline' ? '🔴' : '⚪';
+          const seen = device.lastSeen ? `last seen ${Math.round(device.silentForMs / 1000)}s ago` : 'never seen';
+          console.log(`   ${icon} ${device.name || device.uuid}${device.location ? ` (${device.location})` : ''} - ${seen}`);
+        });
+      }
+
       // InfluxDB status
-      if (config.influxdb?.enabled) {
-        console.log(`💾 InfluxDB: 🟢 ACTIVE (${config.influxdb.bucket})`);
+      if (stats.influx) {
+        const influx = stats.influx;
+        const icon = { ok: '🟢', idle: '⚪', retrying: '🟡', down: '🔴' }[influx.status];
+        console.log(`💾 InfluxDB: ${icon} ${influx.status.toUpperCase()} (${config.influxdb.bucket}) | Written: ${influx.written} | Pending: ${influx.pending} | Spooled: ${influx.spooled} | Failed: ${influx.failed}`);
+        if (influx.status !== 'ok' && influx.lastError) console.log(`   Last error: ${influx.lastError}`);
+      } else if (config.influxdb?.enabled) {
+        console.log(`💾 InfluxDB: 🔴 NOT CONNECTED (${config.influxdb.bucket})`);
       } else {
         console.log(`💾 InfluxDB: ⚪ DISABLED`);
       }
 
+      // Other output sinks
+      (stats.sinks || []).filter(sink => sink.type !== 'influxdb').forEach((sink) => {
+        const icon = { ok: '🟢', idle: '⚪', retrying: '🟡', down: '🔴' }[sink.status] || '⚪';
+        const delivered = sink.written ?? sink.sent ?? 0;
+        console.log(`📤 Sink ${sink.name} (${sink.type}): ${icon} ${sink.status.toUpperCase()} | Delivered: ${delivered} | Filtered: ${sink.filtered}${sink.lastError ? ` | Last error: ${sink.lastError}` : ''}`);
+      });
+
       // Status indicator
       let statusIcon = '🟢';
       let statusText = 'HEALTHY';
@@ -138,7 +204,7 @@ process.on('SIGINT', async () => {
   }
 
   // Gracefully disconnect parser (including InfluxDB)
-  await parser.disconnect();
+  await parser.stop();
   console.log('✅ Parser disconnected');
   
   if (config.influxdb?.enabled) {
@@ -153,7 +219,7 @@ process.on('uncaughtException', async (error) => {
   console.error('💥 Uncaught Exception:', error);
   
   try {
-    await parser.disconnect();
+    await parser.stop();
   } catch (disconnectError) {
     console.error('Error during emergency disconnect:', disconnectError);
   }
@@ -166,7 +232,7 @@ process.on('unhandledRejection', async (reason, promise) => {
   console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
   
   try {
-    await parser.disconnect();
+    await parser.stop();
   } catch (disconnectError) {
     console.error('Error during emergency disconnect:', disconnectError);
   }
@@ -221,6 +287,8 @@ async function enhancedStartup() {
   console.log(`   📂 Logs: ${config.parser.logDir}`);
   console.log(`   ⚡ Workers: ${config.parser.useWorkers ? config.parser.numWorkers : 'Disabled'}`);
   console.log(`   💾 InfluxDB: ${config.influxdb?.enabled ? `${config.influxdb.url}` : 'Disabled'}`);
+  console.log(`   🌐 HTTP API: ${config.api?.enabled ? `http://${config.api.host}:${config.api.port}` : 'Disabled'}`);
+  console.log(`   🖥️  Dashboard: ${config.api?.enabled && config.dashboard?.enabled ? `http://${config.api.host}:${config.api.port}/dashboard` : 'Disabled'}`);
   console.log('');
 
   // Test InfluxDB if enabled
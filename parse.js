@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const readline = require('readline');
+const config = require('./config/config');
+const { createParser } = require('./src/parse');
+const DeviceRegistry = require('./src/services/deviceRegistry');
+const { errorType } = require('./src/validation/errorTypes');
+
+// Exit codes: 0 every message valid, 1 at least one invalid, 2 usage or I/O
+// error (including no messages at all, unless --allow-empty)
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_ERROR = 2;
+
+const args = process.argv.slice(2);
+
+function showHelp() {
+  console.log(`
+🧾 IoT Parser Batch CLI
+
+Parses newline-delimited messages (pipe or JSON) from files or stdin with the
+same validation engine as the live parser, without MQTT, InfluxDB or log files.
+Writes one NDJSON result per message to stdout and a summary to stderr.
+
+Usage:
+  node parse.js [files...] [options]
+  cat messages.txt | node parse.js
+
+Options:
+  --topic <topic>          Topic to parse the messages as (default: first ALLOWED_TOPICS entry)
+  --decoder <module>       Load a custom decoder module (repeatable)
+  --invalid-only           Only output invalid messages
+  --quiet                  No NDJSON output, summary only
+  --allow-empty            Exit 0 when the input holds no messages
+  --help                   Show this help
+
+Exit codes:
+  0  every message is valid
+  1  at least one message is invalid
+  2  usage or read error, or no messages (without --allow-empty)
+
+Examples:
+  node parse.js firmware-output.txt
+  node parse.js capture-a.txt capture-b.txt --invalid-only
+  echo 'tt1703123456|uid550e8400-e29b-41d4-a716-446655440000|t23.5' | node parse.js
+`);
+}
+
+const VALUE_OPTIONS = ['--topic', '--decoder'];
+const FLAG_OPTIONS = ['--invalid-only', '--quiet', '--allow-empty', '--help'];
+
+class UsageError extends Error {}
+
+// ALLOWED_TOPICS entries are strings or { topic, qos }
+function defaultTopic() {
+  const first = config.mqtt.topics[0];
+  return (typeof first === 'string' ? first : first?.topic) || 'unknown';
+}
+
+function parseArgs() {
+  const options = { files: [], topic: null, decoders: [], invalidOnly: false, quiet: false, allowEmpty: false };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (VALUE_OPTIONS.includes(arg)) {
+      const value = args[++index];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      if (arg === '--topic') options.topic = value;
+      else options.decoders.push(value);
+    } else if (FLAG_OPTIONS.includes(arg)) {
+      if (arg === '--invalid-only') options.invalidOnly = true;
+      if (arg === '--quiet') options.quiet = true;
+      if (arg === '--allow-empty') options.allowEmpty = true;
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 0) options.files.push('-');
+  options.topic = options.topic || defaultTopic();
+  return options;
+}
+
+async function parseStream(engine, stream, source, options, summary) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    const message = line.trim();
+    if (!message) continue;
+
+    const result = engine.parse(message, options.topic);
+    summary.total++;
+    summary[result.valid ? 'valid' : 'invalid']++;
+    summary.formats[result.format] = (summary.formats[result.format] || 0) + 1;
+    result.validationErrors.forEach(error => {
+      const type = errorType(error);
+      summary.errorTypes[type] = (summary.errorTypes[type] || 0) + 1;
+    });
+
+    if (options.quiet || (options.invalidOnly && result.valid)) continue;
+
+    process.stdout.write(JSON.stringify({
+      source,
+      line: lineNumber,
+      valid: result.valid,
+      format: result.format,
+      data: result.data,
+      errors: result.validationErrors,
+      original: result.original
+    }) + '\n');
+  }
+}
+
+function printSummary(summary) {
+  const rate = summary.total > 0 ? ((summary.valid / summary.total) * 100).toFixed(2) : '0.00';
+
+  console.error('\n📊 Summary');
+  console.error('==========');
+  console.error(`📨 Messages: ${summary.total}`);
+  console.error(`✅ Valid:    ${summary.valid} (${rate}%)`);
+  console.error(`❌ Invalid:  ${summary.invalid}`);
+  Object.entries(summary.formats).forEach(([format, count]) => console.error(`   ${format}: ${count}`));
+
+  if (Object.keys(summary.errorTypes).length > 0) {
+    console.error('\n🔍 Errors by type:');
+    Object.entries(summary.errorTypes)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([type, count]) => console.error(`  ${String(count).padStart(6)}  ${type}`));
+  }
+}
+
+async function main() {
+  if (args.includes('--help')) {
+    showHelp();
+    return EXIT_OK;
+  }
+
+  const options = parseArgs();
+
+  // Per-device overrides from the registry apply here as well
+  const registry = new DeviceRegistry({ registryPath: config.devices.registryPath });
+  const engine = createParser({
+    decoders: options.decoders,
+    deviceSchemas: registry.getSchemaOverrides()
+  });
+
+  const summary = { total: 0, valid: 0, invalid: 0, formats: {}, errorTypes: {} };
+
+  for (const file of options.files) {
+    if (file === '-') {
+      await parseStream(engine, process.stdin, 'stdin', options, summary);
+    } else {
+      await parseStream(engine, fs.createReadStream(file), file, options, summary);
+    }
+  }
+
+  printSummary(summary);
+
+  // An empty capture is more likely a broken pipeline than a passing build
+  if (summary.total === 0 && !options.allowEmpty) {
+    console.error('\n❌ No messages in the input (use --allow-empty if that is expected)');
+    return EXIT_ERROR;
+  }
+  return summary.invalid > 0 ? EXIT_INVALID : EXIT_OK;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`❌ Error: ${error.message}`);
+    if (error instanceof UsageError) console.error('   Run node parse.js --help for usage');
+    process.exitCode = EXIT_ERROR;
+  });
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const config = require('./config/config');
+const IotParser = require('./src/parser');
+const MessageRecorder = require('./src/services/messageRecorder');
+
+const args = process.argv.slice(2);
+
+function showHelp() {
+  console.log(`
+🔁 IoT Parser Replay
+
+Feeds a capture file (recorded with RECORD_MESSAGES=true) through
+IotParser.handleMessage() without a broker, then compares every verdict
+with the one recorded originally.
+
+Usage:
+  node replay.js <capture.ndjson> [options]
+
+Options:
+  --speed <factor>         Replay at N× the original pace (default: 1)
+  --max                    Replay as fast as possible
+  --topic <topic>          Only replay messages from this topic
+  --show-matches           Also list messages whose verdict did not change
+  --stateful               Keep dedup, ordering, clock skew, liveness and alerts
+                           on (off by default: their state is not in the capture)
+  --help                   Show this help
+
+Examples:
+  node replay.js logs/captures/capture-2025-08-11T07-59-13-000Z.ndjson
+  node replay.js capture.ndjson --speed 10
+  node replay.js capture.ndjson --max
+`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Same verdict and same errors, in any order
+function sameOutcome(before, after) {
+  if (before.verdict !== after.verdict) return false;
+  const a = [...(before.errors || [])].sort();
+  const b = [...(after.errors || [])].sort();
+  return a.length === b.length && a.every((error, index) => error === b[index]);
+}
+
+async function replay(file, { speed, max, topic, showMatches, stateful = false }) {
+  const captured = MessageRecorder.load(file)
+    .filter(entry => !topic || entry.topic === topic);
+
+  if (captured.length === 0) {
+    console.log('📭 Nothing to replay');
+    return 0;
+  }
+
+  // Stages whose verdicts depend on what came before the capture (or on the
+  // wall clock) are off unless asked for, so only rule changes show up as
+  // differences. The registry is still applied, but auto-register writes nothing.
+  const stateless = stateful ? {} : {
+    dedup: { enabled: false },
+    ordering: { enabled: false },
+    clockSkew: { enabled: false },
+    liveness: { enabled: false },
+    alerts: { enabled: false },
+    ...(config.devices.unknownDevicePolicy === 'auto-register' ? { devices: { unknownDevicePolicy: 'allow' } } : {})
+  };
+
+  // No broker, no InfluxDB or other sinks, no dead letters, stats files,
+  // console logging or HTTP API (the live parser may hold its port); the
+  // recorder is kept in memory only and tells us each replayed message's verdict
+  const parser = new IotParser({
+    parser: { enableStats: false },
+    influxdb: { enabled: false },
+    kafka: { enabled: false },
+    sinks: [],
+    deadLetter: { enabled: false },
+    api: { enabled: false },
+    metrics: { enabled: false },
+    dashboard: { enabled: false },
+    recorder: { enabled: true, writeToFile: false },
+    logging: { enableConsole: false, enableFile: false },
+    ...stateless
+  });
+  parser.on('error', () => {}); // Invalid messages are reported below
+  await parser.start({ connect: false });
+
+  const replayed = [];
+  parser.recorder.on('recorded', (entry) => replayed.push(entry));
+
+  console.log(`🔁 Replaying ${captured.length} messages from ${file} (${max ? 'max speed' : `${speed}× speed`}${stateful ? ', stateful' : ''})`);
+  const startedAt = Date.now();
+  const firstArrival = Date.parse(captured[0].receivedAt);
+
+  for (const entry of captured) {
+    if (!max) {
+      const due = (Date.parse(entry.receivedAt) - firstArrival) / speed;
+      const wait = due - (Date.now() - startedAt);
+      if (wait > 0) await sleep(wait);
+    }
+    parser.handleMessage(entry.topic, Buffer.from(entry.payload));
+  }
+
+  // Wait for the worker threads to settle every message (bounded)
+  const deadline = Date.now() + 30000;
+  while (replayed.length < captured.length && Date.now() < deadline) {
+    await sleep(50);
+  }
+  await parser.stop();
+
+  // Pair original and replayed outcomes per topic + payload, in arrival order
+  const originals = new Map();
+  for (const entry of captured) {
+    const key = `${entry.topic}\n${entry.payload}`;
+    if (!originals.has(key)) originals.set(key, []);
+    originals.get(key).push(entry);
+  }
+
+  let changed = 0;
+  const counts = {};
+  console.log('\n📋 Replay results:');
+  console.log('==================');
+
+  for (const after of replayed) {
+    const before = originals.get(`${after.topic}\n${after.payload}`).shift();
+    const transition = `${before.verdict ?? 'none'} → ${after.verdict ?? 'none'}`;
+    counts[transition] = (counts[transition] || 0) + 1;
+
+    if (!sameOutcome(before, after)) {
+      changed++;
+      console.log(`\n🔀 ${transition}  [${after.topic}] ${after.payload}`);
+      (before.errors || []).forEach(error => console.log(`   before: ${error}`));
+      (after.errors || []).forEach(error => console.log(`   now:    ${error}`));
+    } else if (showMatches) {
+      console.log(`✅ ${after.verdict}  [${after.topic}] ${after.payload}`);
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([transition, count]) => console.log(`  ${String(count).padStart(6)}  ${transition}`));
+  console.log(`\n${changed === 0 ? '✅' : '⚠️ '} ${captured.length - changed}/${captured.length} verdicts unchanged, ${changed} changed (${Date.now() - startedAt}ms)`);
+
+  return changed;
+}
+
+if (require.main === module) {
+  const file = args.find(arg => !arg.startsWith('--') && !['--speed', '--topic'].includes(args[args.indexOf(arg) - 1]));
+
+  if (args.includes('--help') || !file) {
+    showHelp();
+    process.exit(file ? 0 : 1);
+  }
+
+  replay(file, {
+    speed: args.includes('--speed') ? parseFloat(args[args.indexOf('--speed') + 1]) || 1 : 1,
+    max: args.includes('--max'),
+    topic: args.includes('--topic') ? args[args.indexOf('--topic') + 1] : null,
+    showMatches: args.includes('--show-matches'),
+    stateful: args.includes('--stateful')
+  })
+    .then(changed => process.exit(changed > 0 ? 2 : 0))
+    .catch(error => {
+      console.error('💥 Replay failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { replay };
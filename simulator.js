@@ -10,7 +10,8 @@ class IoTSimulator {
       username: process.env.MQTT_USERNAME,
       password: process.env.MQTT_PASSWORD,
       caPath: process.env.MQTT_CA_PATH || './emqxsl_ca.pem',
-      topic: process.env.ALLOWED_TOPICS || 'IDGS10-Pruebas-Sensores'
+      topic: process.env.ALLOWED_TOPICS || 'IDGS10-Pruebas-Sensores',
+      commandTopicTemplate: process.env.COMMAND_TOPIC_TEMPLATE || 'devices/{uuid}/commands'
     };
 
     this.client = null;
@@ -25,7 +26,8 @@ class IoTSimulator {
         location: 'Sala Principal',
         tempRange: [20, 30],
         humidRange: [40, 80],
-        version: '1.0.1'
+        version: '1.0.1',
+        actuator: '0'
       },
       {
         id: 'esp32-002',
@@ -33,7 +35,8 @@ class IoTSimulator {
         location: 'Cocina',
         tempRange: [22, 35],
         humidRange: [30, 70],
-        version: '1.0.2'
+        version: '1.0.2',
+        actuator: '0'
       },
       {
         id: 'esp32-003',
@@ -41,7 +44,8 @@ class IoTSimulator {
         location: 'Dormitorio',
         tempRange: [18, 26],
         humidRange: [45, 75],
-        version: '1.1.0'
+        version: '1.1.0',
+        actuator: '0'
       },
       {
         id: 'esp32-004',
@@ -49,7 +53,8 @@ class IoTSimulator {
         location: 'Garage',
         tempRange: [15, 40],
         humidRange: [20, 90],
-        version: '1.0.1'
+        version: '1.0.1',
+        actuator: '0'
       }
     ];
   }
@@ -76,9 +81,14 @@ class IoTSimulator {
       this.client.on('connect', () => {
         console.log('✅ Connected to MQTT broker!');
         console.log(`🤖 Simulating ${this.devices.length} ESP32 devices\n`);
+        this.subscribeToCommands();
         resolve();
       });
 
+      this.client.on('message', (topic, message) => {
+        this.handleCommand(topic, message);
+      });
+
       this.client.on('error', (err) => {
         console.error('❌ MQTT connection error:', err);
         reject(err);
@@ -86,6 +96,61 @@ class IoTSimulator {
     });
   }
 
+  commandTopicFor(device) {
+    return this.config.commandTopicTemplate.replace('{uuid}', device.uuid);
+  }
+
+  // Cada ESP32 virtual escucha su propio topic de comandos
+  subscribeToCommands() {
+    const topics = this.devices.map(device => this.commandTopicFor(device));
+    this.client.subscribe(topics, { qos: 1 }, (err) => {
+      if (err) {
+        console.error('❌ Failed to subscribe to command topics:', err);
+      } else {
+        console.log(`📥 Listening for commands on: ${topics.join(', ')}\n`);
+      }
+    });
+  }
+
+  // Aplica el comando y confirma con un mensaje de telemetría con el nuevo estado
+  handleCommand(topic, message) {
+    const device = this.devices.find(d => this.commandTopicFor(d) === topic);
+    if (!device) return;
+
+    let command;
+    try {
+      command = JSON.parse(message.toString());
+    } catch (error) {
+      console.error(`❌ Invalid command for ${device.id}: ${message.toString()}`);
+      return;
+    }
+
+    if (command.actuator !== undefined) {
+      device.actuator = String(command.actuator);
+    }
+
+    console.log(`📥 ${device.id} (${device.location}) received command ${command.correlationId}`);
+    console.log(`    ⚙️  Actuator -> ${device.actuator}\n`);
+
+    return this.sendMessage(this.generateAckMessage(device, command.correlationId));
+  }
+
+  generateAckMessage(device, correlationId) {
+    const jsonData = {
+      timestamp: Math.floor(Date.now() / 1000),
+      uuid: device.uuid,
+      actuator: device.actuator,
+      version: device.version,
+      correlationId
+    };
+
+    return {
+      format: 'json',
+      message: JSON.stringify(jsonData),
+      device: device
+    };
+  }
+
   generateValidMessage(device) {
     const timestamp = Math.floor(Date.now() / 1000);
     const temp = this.randomBetween(device.tempRange[0], device.tempRange[1]);
@@ -98,7 +163,7 @@ class IoTSimulator {
 
       // Agregar campos opcionales aleatoriamente
       if (Math.random() < 0.8) message += `|v${device.version}`;
-      if (Math.random() < 0.3) message += `|a${Math.floor(Math.random() * 2)}`; // actuator 0 o 1
+      if (Math.random() < 0.3) message += `|a${device.actuator}`; // estado actual del actuador
 
       return {
         format: 'pipe',
@@ -117,7 +182,7 @@ class IoTSimulator {
 
       // Agregar actuator ocasionalmente
       if (Math.random() < 0.3) {
-        jsonData.actuator = Math.floor(Math.random() * 2).toString();
+        jsonData.actuator = device.actuator;
       }
 
       return {
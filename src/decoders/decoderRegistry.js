@@ -0,0 +1,63 @@
+const pipeDecoder = require('./pipeDecoder');
+const jsonDecoder = require('./jsonDecoder');
+
+// Ordered list of payload decoders. Each decoder is a plain object:
+//   { name, priority, detect(str) => boolean, decode(str, context) => { data, errors, format? } }
+// context is { schema, config, topic }: the effective field schema, the merged
+// parser configuration (without sinks) and the MQTT topic.
+// Decoders are tried from highest to lowest priority and the first whose
+// detect() returns true handles the message.
+class DecoderRegistry {
+  constructor() {
+    this.decoders = [];
+  }
+
+  register(decoder) {
+    if (!decoder || !decoder.name) {
+      throw new Error('Decoder must have a name');
+    }
+    if (typeof decoder.detect !== 'function' || typeof decoder.decode !== 'function') {
+      throw new Error(`Decoder "${decoder.name}" must implement detect() and decode()`);
+    }
+
+    // Re-registering a name replaces the previous decoder
+    this.unregister(decoder.name);
+
+    this.decoders.push({ priority: 0, ...decoder });
+    this.decoders.sort((a, b) => b.priority - a.priority);
+    return this;
+  }
+
+  unregister(name) {
+    this.decoders = this.decoders.filter(decoder => decoder.name !== name);
+    return this;
+  }
+
+  get(name) {
+    return this.decoders.find(decoder => decoder.name === name);
+  }
+
+  list() {
+    return this.decoders.map(decoder => decoder.name);
+  }
+
+  detect(str) {
+    return this.decoders.find(decoder => {
+      try {
+        return decoder.detect(str);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+}
+
+// Registry preloaded with the built-in formats (JSON first, pipe as fallback)
+function createDefaultRegistry() {
+  return new DecoderRegistry()
+    .register(jsonDecoder)
+    .register(pipeDecoder);
+}
+
+module.exports = DecoderRegistry;
+module.exports.createDefaultRegistry = createDefaultRegistry;
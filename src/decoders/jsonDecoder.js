@@ -0,0 +1,35 @@
+const { fieldAliases } = require('../validation/fieldSchema');
+
+// JSON format: {"timestamp":1703123456,"uuid":"...","temperature":23.5}
+// Properties are mapped to schema fields through each field's aliases.
+module.exports = {
+  name: 'json',
+  priority: 10,
+
+  detect(str) {
+    return str.trim().startsWith('{');
+  },
+
+  decode(str, { schema }) {
+    const data = {};
+    const errors = [];
+
+    let jsonData;
+    try {
+      jsonData = JSON.parse(str);
+    } catch (error) {
+      errors.push(`Invalid JSON format: ${error.message}`);
+      return { data, errors, format: 'invalid-json' };
+    }
+
+    // Map JSON fields to our standard format (first matching alias wins)
+    for (const [name, def] of Object.entries(schema)) {
+      const alias = fieldAliases(name, def).find(key => jsonData[key] !== undefined);
+      if (alias !== undefined) {
+        data[name] = jsonData[alias];
+      }
+    }
+
+    return { data, errors };
+  }
+};
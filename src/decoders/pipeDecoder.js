@@ -0,0 +1,71 @@
+const { buildPipeKeyMap } = require('../validation/fieldSchema');
+
+// Values can start with letters too (a UUID or correlation ID beginning with
+// a-f), so a run of letters that is not a key falls back to the longest key
+// it starts with
+function resolveKey(letters, keyMap) {
+  if (keyMap[letters]) return letters;
+  const known = Object.keys(keyMap)
+    .filter(key => letters.startsWith(key))
+    .sort((a, b) => b.length - a.length);
+  return known[0] || letters;
+}
+
+// Pipe format: tt1703123456|uid550e8400-...|t23.5|h65.2
+// Keys are resolved through the schema's pipeKey declarations.
+// Acts as the fallback decoder, so it accepts anything no other decoder claimed.
+module.exports = {
+  name: 'pipe',
+  priority: -100,
+
+  detect() {
+    return true;
+  },
+
+  decode(str, { schema }) {
+    const keyMap = buildPipeKeyMap(schema);
+    const data = {};
+    const errors = [];
+    const parts = str.split('|');
+
+    // Basic format validation
+    if (parts.length === 0) {
+      errors.push('Empty message');
+    }
+
+    for (const part of parts) {
+      if (!part) continue; // Skip empty parts
+
+      const match = part.match(/^([a-z]+)(.*)$/);
+      if (!match) {
+        errors.push(`Invalid format for part: ${part}`);
+        continue;
+      }
+
+      const key = resolveKey(match[1], keyMap);
+      const value = part.slice(key.length);
+
+      // Check for forbidden characters
+      if (value.includes(' ') || value.includes('|')) {
+        errors.push(`Invalid characters in ${key}: ${value}`);
+        continue;
+      }
+
+      const field = keyMap[key];
+      if (!field) {
+        errors.push(`Unknown key: ${key}`);
+        continue;
+      }
+
+      data[field] = value;
+    }
+
+    // Check for duplicate keys in pipe format
+    const keys = parts.map(part => part.match(/^([a-z]+)/)?.[1]).filter(Boolean).map(key => resolveKey(key, keyMap));
+    if (new Set(keys).size !== keys.length) {
+      errors.push('Duplicate keys found');
+    }
+
+    return { data, errors };
+  }
+};
@@ -0,0 +1,42 @@
+const config = require('../config/config');
+const ValidationEngine = require('./validation/validationEngine');
+const { mergeSchema } = require('./validation/fieldSchema');
+
+// Parse-only entry point for embedding the parser in other services and in
+// unit tests: the same decode + validate pipeline as IotParser, with no
+// logger, timers, worker threads, files or network.
+//
+//   const { parse } = require('./src/parse');
+//   parse('tt1703123456|uid550e8400-e29b-41d4-a716-446655440000|t23.5');
+//
+//   const parser = createParser({ schema: { temperature: { max: 120 } }, topics: ['site/{site}/telemetry'] });
+//   parser.parse(message, 'site/mx01/telemetry');
+//
+// Options:
+//   schema         per-field overrides merged over config.schema (null removes a field)
+//   topics         topic patterns/templates used for _tags (default: config.mqtt.topics)
+//   decoders       decoder objects or module paths registered on top of JSON and pipe
+//   deviceSchemas  per-device overrides, { "<uuid>": { temperature: { min, max } } }
+function createParser({ schema = {}, topics = config.mqtt.topics, decoders = [], deviceSchemas = {} } = {}) {
+  const engine = new ValidationEngine({
+    schema: mergeSchema(config.schema, schema),
+    topicPatterns: topics.map(entry => (typeof entry === 'string' ? entry : entry.topic)),
+    deviceSchemas
+  });
+
+  decoders.forEach(decoder => (
+    typeof decoder === 'string' ? engine.loadDecoder(decoder) : engine.registry.register(decoder)
+  ));
+
+  return engine;
+}
+
+let defaultParser = null;
+
+// Parse with the default configuration
+function parse(str, topic = 'unknown') {
+  if (!defaultParser) defaultParser = createParser();
+  return defaultParser.parse(str, topic);
+}
+
+module.exports = { createParser, parse };
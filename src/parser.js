@@ -1,11 +1,29 @@
 const mqtt = require('mqtt');
 const fs = require('fs');
 const EventEmitter = require('eventemitter3');
-// const { Kafka } = require('kafkajs'); // Commented for future use
-const { InfluxDB, Point } = require('@influxdata/influxdb-client');
-const { Worker } = require('worker_threads');
 const path = require('path');
 const Logger = require('./utils/logger');
+const { matchesFilter } = require('./utils/topicMatcher');
+const WorkerPool = require('./services/workerPool');
+const CommandChannel = require('./services/commandChannel');
+const AlertEngine = require('./services/alertEngine');
+const DeviceRegistry = require('./services/deviceRegistry');
+const LivenessTracker = require('./services/livenessTracker');
+const Deduplicator = require('./services/deduplicator');
+const OrderingTracker = require('./services/orderingTracker');
+const ReorderBuffer = require('./services/reorderBuffer');
+const ClockSkewTracker = require('./services/clockSkewTracker');
+const DeadLetterStore = require('./services/deadLetterStore');
+const MessageRecorder = require('./services/messageRecorder');
+const RecentMessages = require('./services/recentMessages');
+const ApiServer = require('./services/apiServer');
+const { MetricsRegistry } = require('./services/metrics');
+const Dashboard = require('./services/dashboard');
+const { createParser, parse } = require('./parse');
+const { Sink, InfluxSink, KafkaSink, createSink } = require('./sinks');
+const ValidationEngine = require('./validation/validationEngine');
+const { mergeSchema } = require('./validation/fieldSchema');
+const { errorType } = require('./validation/errorTypes');
 const config = require('../config/config');
 
 class IotParser extends EventEmitter {
@@ -16,16 +34,34 @@ class IotParser extends EventEmitter {
     this.config = {
       mqtt: { ...config.mqtt, ...customOptions.mqtt },
       parser: { ...config.parser, ...customOptions.parser },
-      validation: { ...config.validation, ...customOptions.validation },
+      schema: mergeSchema(config.schema, customOptions.schema),
       logging: { ...config.logging, ...customOptions.logging },
-      influxdb: { ...config.influxdb, ...customOptions.influxdb }
+      influxdb: { ...config.influxdb, ...customOptions.influxdb },
+      kafka: { ...config.kafka, ...customOptions.kafka },
+      commands: { ...config.commands, ...customOptions.commands },
+      alerts: { ...config.alerts, ...customOptions.alerts },
+      devices: { ...config.devices, ...customOptions.devices },
+      liveness: { ...config.liveness, ...customOptions.liveness },
+      dedup: { ...config.dedup, ...customOptions.dedup },
+      ordering: { ...config.ordering, ...customOptions.ordering },
+      clockSkew: { ...config.clockSkew, ...customOptions.clockSkew },
+      deadLetter: { ...config.deadLetter, ...customOptions.deadLetter },
+      recorder: { ...config.recorder, ...customOptions.recorder },
+      api: { ...config.api, ...customOptions.api },
+      metrics: { ...config.metrics, ...customOptions.metrics },
+      dashboard: { ...config.dashboard, ...customOptions.dashboard },
+      // Sink definitions (or Sink instances) given here replace config.sinks
+      sinks: customOptions.sinks || config.sinks || []
     };
 
     this.mqttClient = null;
-    // this.kafkaProducer = null; // Future use
-    this.influxClient = null;
-    this.writeApi = null;
-    this.workerPool = [];
+    this.sinks = [];
+    this.influxSink = null;
+    this.workerPool = null;
+    this.subscriptionPaused = false;
+    this.statsTimer = null;
+    this.started = false;
+    this.stopping = false;
 
     // Initialize logger
     this.logger = new Logger({
@@ -35,93 +71,629 @@ class IotParser extends EventEmitter {
       rotateDaily: this.config.logging.rotateDaily
     });
 
+    // Identifies this process when several parsers share the load
+    this.instanceId = this.config.parser.instanceId;
+
+    // Topic entries are plain strings or { topic, qos } objects
+    this.topics = this.config.mqtt.topics.map(entry => (
+      typeof entry === 'string'
+        ? { topic: entry, qos: this.config.mqtt.qos }
+        : { qos: this.config.mqtt.qos, ...entry }
+    ));
+
+    // Known devices, their metadata and per-device validation overrides
+    // (the registry file is read in start())
+    this.deviceRegistry = new DeviceRegistry({
+      registryPath: this.config.devices.registryPath,
+      autoRegisterPath: this.config.devices.autoRegisterPath,
+      unknownDevicePolicy: this.config.devices.unknownDevicePolicy,
+      autoLoad: false,
+      logger: this.logger
+    });
+
+    // With clock correction the future-timestamp check runs after the
+    // timestamp has been corrected, in handleParsed(), instead of in the engine
+    this.correctClocks = Boolean(this.config.clockSkew?.enabled && this.config.clockSkew.correct);
+    this.validationSchema = this.correctClocks
+      ? mergeSchema(this.config.schema, { timestamp: { allowFuture: true } })
+      : this.config.schema;
+
+    // Shared parse/validate engine (same one the worker threads run)
+    this.engine = new ValidationEngine({
+      schema: this.validationSchema,
+      config: this.config,
+      topicPatterns: this.topics.map(entry => entry.topic)
+    });
+
+    // Topic templates ('site/{site}/room/{room}') are subscribed as wildcard filters,
+    // prefixed with $share/<group>/ when the load is split between instances
+    this.subscriptions = this.buildSubscriptions();
+    this.topicFilters = Object.keys(this.subscriptions);
+    this.decoders = this.engine.registry;
+    this.inlineDecoders = [];
+    (customOptions.decoders || []).forEach(decoder => this.registerDecoder(decoder));
+
+    // Downlink commands, acknowledged through incoming telemetry
+    this.commands = new CommandChannel({
+      publish: (topic, payload, options) => this.publish(topic, payload, options),
+      topicTemplate: this.config.commands.topicTemplate,
+      ackTimeout: this.config.commands.ackTimeout,
+      qos: this.config.commands.qos,
+      logger: this.logger
+    });
+
+    // Duplicate suppression for redelivered readings
+    this.deduplicator = null;
+    if (this.config.dedup?.enabled) {
+      this.deduplicator = new Deduplicator({
+        key: this.config.dedup.key,
+        windowMs: this.config.dedup.windowMs,
+        maxEntries: this.config.dedup.maxEntries
+      });
+    }
+
+    // Late/stale classification and optional reorder buffer
+    this.ordering = null;
+    this.reorderBuffer = null;
+    if (this.config.ordering?.enabled) {
+      this.ordering = new OrderingTracker({
+        lateToleranceMs: this.config.ordering.lateToleranceMs,
+        maxAgeMs: this.config.ordering.maxAgeMs
+      });
+
+      if (this.config.ordering.reorderDelayMs > 0) {
+        this.reorderBuffer = new ReorderBuffer({
+          delayMs: this.config.ordering.reorderDelayMs,
+          maxBuffered: this.config.ordering.maxBuffered
+        });
+        this.reorderBuffer.on('release', (record) => this.deliverValid(record));
+      }
+    }
+
+    // Invalid messages are kept for inspection and replay (stats.js dlq)
+    this.deadLetters = null;
+    if (this.config.deadLetter?.enabled) {
+      this.deadLetters = new DeadLetterStore({
+        dir: this.config.deadLetter.dir,
+        logger: this.logger
+      });
+    }
+
+    // Raw traffic capture with verdicts, for offline replay (replay.js)
+    this.recorder = null;
+    if (this.config.recorder?.enabled) {
+      this.recorder = new MessageRecorder({
+        dir: this.config.recorder.dir,
+        writeToFile: this.config.recorder.writeToFile,
+        logger: this.logger
+      });
+    }
+
+    // Per-device clock offset estimation and optional timestamp correction
+    this.clockSkew = null;
+    if (this.config.clockSkew?.enabled) {
+      this.initClockSkew();
+    }
+
+    // Recent valid/invalid messages and each device's latest reading (HTTP API)
+    this.recent = new RecentMessages({ size: this.config.api.recentSize, maxDevices: this.config.api.maxDevices });
+    this.api = null;
+    this.dashboard = null;
+
+    // Output sinks (InfluxDB, files, webhooks, ...); nothing is opened before start()
+    this.initSinks(this.config.sinks);
+
+    // Last-seen tracking and offline detection per device
+    this.liveness = null;
+    if (this.config.liveness?.enabled) {
+      this.initLiveness();
+    }
+
+    // Prometheus metrics, served at /metrics by the HTTP API
+    this.metrics = null;
+    if (this.config.metrics?.enabled) {
+      this.initMetrics();
+    }
+
+    // Alert rules on valid telemetry
+    this.alerts = null;
+    if (this.config.alerts?.enabled) {
+      this.initAlerts(this.config.alerts.rules || []);
+    }
+
     // Track connection state
     this.connected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
 
-    if (this.config.parser.useWorkers) {
-      this.initWorkers(this.config.parser.numWorkers);
+    // Workers, sink connections, timers and the MQTT connection are only created by start()
+  }
+
+  // Acquire everything the constructor leaves out: device registry, worker
+  // threads, output sinks (InfluxDB, ...), stats and liveness timers and (unless connect: false)
+  // the MQTT connection. stop() releases all of it again.
+  async start({ connect = true } = {}) {
+    if (!this.started) {
+      this.started = true;
+
+      this.logger.info('Starting IoT Parser', {
+        instanceId: this.instanceId,
+        decoders: this.decoders.list(),
+        alertRules: this.alerts ? this.alerts.rules.length : 0
+      });
+      this.warnInlineDecoders(this.inlineDecoders);
+
+      this.deviceRegistry.load();
+      this.engine.setDeviceSchemas(this.deviceRegistry.getSchemaOverrides());
+
+      if (this.config.parser.useWorkers) {
+        this.initWorkers(this.config.parser.numWorkers);
+      }
+
+      this.sinks.forEach(sink => this.startSink(sink));
+
+      // Auto-save stats every 5 minutes
+      if (this.config.parser.enableStats) {
+        this.statsTimer = setInterval(() => {
+          this.logger.saveStatsToFile();
+        }, this.config.stats?.saveInterval || 5 * 60 * 1000);
+      }
+
+      if (this.liveness) {
+        this.liveness.start();
+      }
+
+      if (this.config.api?.enabled) {
+        await this.startApi();
+      }
     }
 
-    // Future Kafka setup (commented)
-    /*
-    if (this.options.kafkaBrokers && this.options.kafkaClientId) {
-      const kafka = new Kafka({
-        clientId: this.options.kafkaClientId,
-        brokers: this.options.kafkaBrokers
+    if (connect && !this.mqttClient) {
+      await this.connect();
+    }
+    return this;
+  }
+
+  async startApi() {
+    this.api = new ApiServer({
+      parser: this,
+      port: this.config.api.port,
+      host: this.config.api.host,
+      logger: this.logger
+    });
+
+    if (this.metrics) {
+      this.api.route('GET', '/metrics', ({ res }) => {
+        const body = this.metrics.registry.render();
+        res.writeHead(200, { 'Content-Type': MetricsRegistry.contentType, 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
       });
-      this.kafkaProducer = kafka.producer();
-      this.kafkaProducer.connect().catch(err => 
-        this.logger.error('Kafka connect error', err)
-      );
     }
-    */
 
-    // InfluxDB setup - ACTIVADO
-    if (this.config.influxdb?.enabled && 
-        this.config.influxdb?.url && 
-        this.config.influxdb?.token) {
-      this.initInfluxDB();
+    // Live web dashboard streaming readings, errors and stats over SSE
+    if (this.config.dashboard?.enabled) {
+      this.dashboard = new Dashboard({ ...this.config.dashboard, parser: this, logger: this.logger });
+      this.dashboard.attach(this.api);
     }
 
-    // Auto-save stats every 5 minutes
-    if (this.config.parser.enableStats) {
-      setInterval(() => {
-        this.logger.saveStatsToFile();
-      }, this.config.stats?.saveInterval || 5 * 60 * 1000);
+    try {
+      await this.api.start();
+      const { host, port } = this.api.address();
+      this.logger.info(`🌐 HTTP API listening on http://${host}:${port}`, { routes: this.api.getStats().routes });
+      if (this.dashboard) {
+        this.dashboard.start();
+        this.logger.info(`🖥️ Live dashboard at http://${host}:${port}/dashboard`);
+      }
+    } catch (error) {
+      this.logger.error('Failed to start HTTP API', error);
+      this.api = null;
+      this.dashboard = null;
     }
   }
 
-  initInfluxDB() {
-    try {
-      this.logger.info('Initializing InfluxDB connection', {
-        url: this.config.influxdb.url,
-        org: this.config.influxdb.org,
-        bucket: this.config.influxdb.bucket
-      });
+  initMetrics() {
+    const registry = new MetricsRegistry({ prefix: 'iot_parser_' });
+
+    this.metrics = {
+      registry,
+      messages: registry.counter({
+        name: 'messages_total',
+        help: 'Messages by topic pattern, format and verdict',
+        labelNames: ['topic', 'format', 'verdict']
+      }),
+      validationErrors: registry.counter({
+        name: 'validation_errors_total',
+        help: 'Validation errors by error type (see src/validation/errorTypes.js)',
+        labelNames: ['type']
+      }),
+      processingTime: registry.histogram({
+        name: 'processing_time_ms',
+        help: 'Decode and validation time per message, in milliseconds',
+        labelNames: ['format'],
+        buckets: this.config.metrics.buckets
+      })
+    };
+
+    registry.gauge({
+      name: 'mqtt_connected',
+      help: '1 while connected to the MQTT broker',
+      collect: gauge => gauge.set({}, this.isConnected() ? 1 : 0)
+    });
+
+    registry.gauge({
+      name: 'worker_queue_depth',
+      help: 'Messages waiting for a worker thread',
+      collect: gauge => gauge.set({}, this.workerPool ? this.workerPool.getStats().queueDepth : 0)
+    });
+
+    registry.counter({
+      name: 'worker_dropped_total',
+      help: 'Messages dropped by the worker pool overflow policy',
+      collect: counter => counter.set({}, this.workerPool ? this.workerPool.getStats().dropped : 0)
+    });
+
+    registry.gauge({
+      name: 'devices',
+      help: 'Known devices by liveness status',
+      labelNames: ['status'],
+      collect: (gauge) => {
+        gauge.reset();
+        this.getDevices().forEach(device => gauge.inc({ status: device.status }));
+      }
+    });
+
+    registry.gauge({
+      name: 'sink_up',
+      help: '0 while an output sink is down',
+      labelNames: ['sink', 'type'],
+      collect: (gauge) => {
+        gauge.reset();
+        this.sinks.forEach(sink => gauge.set({ sink: sink.name, type: sink.type }, sink.status === 'down' ? 0 : 1));
+      }
+    });
+
+    registry.counter({
+      name: 'sink_failed_total',
+      help: 'Records an output sink could not deliver',
+      labelNames: ['sink', 'type'],
+      collect: (counter) => {
+        counter.reset();
+        this.sinks.forEach((sink) => {
+          const health = sink.health();
+          counter.set({ sink: sink.name, type: sink.type }, health.failed ?? health.writeErrors ?? 0);
+        });
+      }
+    });
+
+    // InfluxDB write path in detail: retries, spool and drops
+    const influx = (field) => (metric) => metric.set({}, this.influxSink ? this.influxSink.getStats()[field] : 0);
+    registry.counter({ name: 'influx_lines_written_total', help: 'Lines written to InfluxDB', collect: influx('written') });
+    registry.counter({ name: 'influx_write_retries_total', help: 'Failed InfluxDB writes that were retried', collect: influx('retries') });
+    registry.counter({ name: 'influx_lines_spooled_total', help: 'Lines spooled to disk after InfluxDB writes failed', collect: influx('spooledTotal') });
+    registry.counter({ name: 'influx_lines_failed_total', help: 'Lines dropped because they could not be written or spooled', collect: influx('failed') });
+    registry.gauge({ name: 'influx_pending_lines', help: 'Lines buffered in memory for InfluxDB', collect: influx('pending') });
+    registry.gauge({ name: 'influx_spool_lines', help: 'Lines waiting in the InfluxDB disk spool', collect: influx('spooled') });
+  }
+
+  // Configured pattern the topic matched, to keep metric labels bounded;
+  // topics outside every pattern (e.g. with no ALLOWED_TOPICS) share 'other'
+  topicLabel(topic) {
+    const compiled = this.engine.topics.find(entry => matchesFilter(entry.levels, topic));
+    return compiled ? compiled.pattern : 'other';
+  }
+
+  initLiveness() {
+    this.liveness = new LivenessTracker({
+      defaultIntervalMs: this.config.liveness.defaultIntervalMs,
+      missedIntervals: this.config.liveness.missedIntervals,
+      checkIntervalMs: this.config.liveness.checkIntervalMs
+    });
 
-      this.influxClient = new InfluxDB({
-        url: this.config.influxdb.url,
-        token: this.config.influxdb.token
+    this.liveness.on('device-offline', (device) => {
+      // info, not error: an offline device is not a parser error
+      this.logger.info(`📴 Device offline: ${device.uuid}`, {
+        lastSeen: device.lastSeen,
+        expectedIntervalMs: device.expectedIntervalMs
       });
+      const payload = this.withMetadata(device);
+      this.notifySinks('device-offline', payload);
+      this.emit('device-offline', payload);
+    });
+
+    this.liveness.on('device-online', (device) => {
+      this.logger.info(`📶 Device back online: ${device.uuid}`, { downtimeMs: device.downtimeMs });
+      const payload = this.withMetadata(device);
+      this.notifySinks('device-online', payload);
+      this.emit('device-online', payload);
+    });
+  }
+
+  initClockSkew() {
+    this.clockSkew = new ClockSkewTracker({
+      samples: this.config.clockSkew.samples,
+      maxDriftMs: this.config.clockSkew.maxDriftMs,
+      correctionThresholdMs: this.config.clockSkew.correctionThresholdMs
+    });
+
+    this.clockSkew.on('drift', (device) => {
+      this.logger.info(`🕒 Device clock drift: ${device.uuid}`, { offsetMs: device.offsetMs });
+      this.emit('clock-drift', this.withMetadata(device));
+    });
+
+    this.clockSkew.on('drift-ok', (device) => {
+      this.logger.info(`🕒 Device clock back in sync: ${device.uuid}`, { offsetMs: device.offsetMs });
+      this.emit('clock-drift-resolved', this.withMetadata(device));
+    });
+  }
+
+  // Move the timestamp onto the parser's clock using the device's estimated
+  // offset. Returns an error when the corrected timestamp is still in the future.
+  correctTimestamp(data) {
+    const corrected = this.clockSkew.correct(data.uuid, data.timestamp);
+    if (corrected !== data.timestamp) {
+      data._originalTimestamp = data.timestamp;
+      data.timestamp = corrected;
+    }
+
+    const def = this.config.schema.timestamp || {};
+    if (def.allowFuture === false && data.timestamp > Date.now() + (def.futureTolerance || 0)) {
+      return `Future timestamp: ${data._originalTimestamp ?? data.timestamp}`;
+    }
+    return null;
+  }
 
-      this.writeApi = this.influxClient.getWriteApi(
-        this.config.influxdb.org, 
-        this.config.influxdb.bucket
-      );
+  withMetadata(device) {
+    const registered = this.deviceRegistry.get(device.uuid);
+    if (!registered) return device;
+    return { ...device, name: registered.name, location: registered.location, model: registered.model };
+  }
 
-      // Configurar opciones de escritura
-      this.writeApi.useDefaultTags({
-        source: 'iot-parser',
-        version: '1.0.0'
+  // Every known device (registered or seen) with its current liveness state
+  getDevices() {
+    const devices = new Map();
+
+    for (const registered of this.deviceRegistry.list()) {
+      devices.set(registered.uuid, {
+        uuid: registered.uuid,
+        status: 'unknown',
+        lastSeen: null,
+        name: registered.name,
+        location: registered.location,
+        model: registered.model
       });
+    }
 
-      this.logger.success('InfluxDB client initialized successfully');
-    } catch (error) {
-      this.logger.error('Failed to initialize InfluxDB client', error);
+    if (this.liveness) {
+      for (const device of this.liveness.list()) {
+        devices.set(device.uuid, this.withMetadata(device));
+      }
     }
+
+    return Array.from(devices.values());
   }
 
-  initWorkers(numWorkers) {
-    this.logger.info(`Initializing ${numWorkers} worker threads`);
+  initAlerts(rules) {
+    this.alerts = new AlertEngine(rules);
 
-    for (let i = 0; i < numWorkers; i++) {
-      const worker = new Worker(path.join(__dirname, './parserWorker.js'));
+    this.alerts.on('alert', (alert) => {
+      this.logger.info(`🚨 Alert fired: ${alert.ruleId}`, {
+        uuid: alert.uuid,
+        severity: alert.severity,
+        message: alert.message
+      });
+      this.notifySinks('alert', alert);
+      this.emit('alert', alert);
+    });
 
-      worker.on('message', (result) => {
-        this.handleParsed(result);
+    this.alerts.on('alert-resolved', (alert) => {
+      this.logger.info(`✅ Alert resolved: ${alert.ruleId}`, {
+        uuid: alert.uuid,
+        durationMs: alert.durationMs
       });
+      this.notifySinks('alert-resolved', alert);
+      this.emit('alert-resolved', alert);
+    });
+  }
+
+  // Accepts a decoder object or a module path exporting one. Only module
+  // paths can be loaded by worker threads, so prefer them with USE_WORKERS.
+  registerDecoder(decoder) {
+    if (typeof decoder === 'string') {
+      decoder = this.engine.loadDecoder(decoder);
+    } else {
+      this.decoders.register(decoder);
+      this.inlineDecoders.push(decoder.name);
+    }
 
-      worker.on('error', (error) => {
-        this.logger.error(`Worker ${i} error`, error);
+    // Before start() nothing is logged; start() reports the decoder list
+    if (this.started) {
+      this.warnInlineDecoders([decoder.name]);
+      this.logger.info(`Decoder registered: ${decoder.name}`, { decoders: this.decoders.list() });
+    }
+    return this;
+  }
+
+  warnInlineDecoders(names) {
+    if (!this.config.parser.useWorkers) return;
+    names.filter(name => this.inlineDecoders.includes(name)).forEach(name => {
+      this.logger.warn(`Decoder ${name} is not a module path and will not be available in worker threads`);
+    });
+  }
+
+  // InfluxDB (config.influxdb) and Kafka (config.kafka) are sinks like the
+  // ones in config.sinks
+  initSinks(definitions) {
+    if (this.config.influxdb?.enabled && this.config.influxdb.url && this.config.influxdb.token) {
+      this.influxSink = new InfluxSink({
+        name: 'influxdb',
+        ...this.config.influxdb,
+        schema: this.config.schema,
+        defaultTags: { source: 'iot-parser', version: '1.0.0' },
+        logger: this.logger
+      });
+      this.influxSink.on('status', (status) => {
+        this.emit('influx-status', status, this.influxSink.getStats());
       });
+      this.addSink(this.influxSink);
+    }
 
-      this.workerPool.push(worker);
+    if (this.config.kafka?.enabled) {
+      this.addSink(new KafkaSink({ name: 'kafka', ...this.config.kafka, logger: this.logger }));
     }
+
+    definitions
+      .filter(definition => definition instanceof Sink || definition.enabled !== false)
+      .forEach(definition => this.addSink(definition));
+  }
+
+  // Accepts a Sink instance or a definition such as { type: 'file', format: 'csv' }
+  addSink(sink) {
+    if (!(sink instanceof Sink)) {
+      sink = createSink(sink, { schema: this.config.schema, logger: this.logger });
+    }
+
+    sink.on('status', (status, previous) => {
+      if (status === 'down') {
+        this.logger.error(`📤 Sink ${sink.name} is down`, { error: sink.health().lastError });
+      } else if (status === 'ok' && previous === 'down') {
+        this.logger.info(`📤 Sink ${sink.name} recovered`, sink.health());
+      }
+      this.emit('sink-status', sink.name, status, sink.health());
+    });
+
+    sink.on('failed', ({ count, error }) => {
+      this.logger.error(`📤 Sink ${sink.name} dropped ${count} records`, { error: error.message });
+    });
+
+    this.sinks.push(sink);
+    if (this.started) this.startSink(sink);
+    return sink;
+  }
+
+  startSink(sink) {
+    try {
+      sink.start();
+      this.logger.info(`📤 Sink started: ${sink.name}`, { type: sink.type, records: sink.records });
+    } catch (error) {
+      this.logger.error(`Failed to start sink ${sink.name}`, error);
+    }
+  }
+
+  // Events other than records (device-offline, alerts, ...) for sinks that want them
+  notifySinks(event, payload) {
+    if (!this.started) return;
+
+    for (const sink of this.sinks) {
+      try {
+        sink.notify(event, payload);
+      } catch (error) {
+        this.logger.error(`📤 Sink ${sink.name} notify error`, error);
+      }
+    }
+  }
+
+  // Hand a record to every sink whose filter accepts it
+  writeToSinks(record) {
+    if (!this.started) return;
+
+    for (const sink of this.sinks) {
+      if (!sink.accepts(record)) continue;
+      try {
+        sink.write(record);
+      } catch (error) {
+        this.logger.error(`📤 Sink ${sink.name} write error`, error);
+      }
+    }
+  }
+
+  // Decoders read the parser configuration from their context, so workers get
+  // the merged one too. Sinks stay out: they may be live Sink instances.
+  workerConfig() {
+    const { sinks, ...rest } = this.config;
+    return JSON.parse(JSON.stringify(rest));
+  }
+
+  initWorkers(numWorkers) {
+    this.logger.info(`Initializing ${numWorkers} worker threads`, {
+      maxQueueSize: this.config.parser.maxQueueSize,
+      overflowPolicy: this.config.parser.queueOverflowPolicy
+    });
+
+    this.workerPool = new WorkerPool({
+      size: numWorkers,
+      workerPath: path.join(__dirname, './parserWorker.js'),
+      workerData: {
+        schema: this.validationSchema,
+        config: this.workerConfig(),
+        decoderModules: this.engine.decoderModules,
+        topicPatterns: this.topics.map(entry => entry.topic),
+        deviceSchemas: this.deviceRegistry.getSchemaOverrides()
+      },
+      maxQueueSize: this.config.parser.maxQueueSize,
+      overflowPolicy: this.config.parser.queueOverflowPolicy,
+      maxPausedQueueSize: this.config.parser.maxPausedQueueSize,
+      restartBaseMs: this.config.parser.workerRestartBaseMs,
+      maxRestarts: this.config.parser.workerMaxRestarts,
+      logger: this.logger
+    });
+
+    this.workerPool.on('result', (result) => {
+      this.handleParsed(result);
+    });
+
+    this.workerPool.on('dropped', (task, reason) => {
+      // info, not warn: the logger counts warnings as invalid messages
+      this.logger.info('Message dropped by worker pool', { reason, topic: task.topic, original: task.str });
+      this.recordVerdict(task.topic, task.str, { verdict: 'dropped', errors: [reason] });
+      this.emit('dropped', { original: task.str, topic: task.topic, reason });
+    });
+
+    this.workerPool.on('saturated', () => {
+      this.logger.info('Worker queue full, pausing MQTT subscription', this.workerPool.getStats());
+      this.pauseSubscription();
+    });
+
+    this.workerPool.on('drained', () => {
+      this.logger.info('Worker queue drained, resuming MQTT subscription');
+      this.resumeSubscription();
+    });
+  }
+
+  buildSubscriptions() {
+    const sharedGroup = this.config.mqtt.sharedGroup;
+    const subscriptions = {};
+
+    this.engine.topics.forEach((compiled, index) => {
+      const filter = sharedGroup ? `$share/${sharedGroup}/${compiled.filter}` : compiled.filter;
+      subscriptions[filter] = { qos: this.topics[index].qos };
+    });
+
+    return subscriptions;
+  }
+
+  // Backpressure for the 'pause' overflow policy: stop receiving until the queue drains
+  pauseSubscription() {
+    if (this.subscriptionPaused || !this.mqttClient) return;
+    this.subscriptionPaused = true;
+    this.mqttClient.unsubscribe(this.topicFilters, (err) => {
+      if (err) this.logger.error('Unsubscribe error', err);
+    });
+  }
+
+  resumeSubscription() {
+    if (!this.subscriptionPaused || !this.mqttClient) return;
+    this.subscriptionPaused = false;
+    this.mqttClient.subscribe(this.subscriptions, (err) => {
+      if (err) this.logger.error('Subscribe error', err);
+    });
   }
 
   connect() {
+    // Older callers connect without start(); acquire the other resources first
+    if (!this.started) {
+      return this.start();
+    }
+
     return new Promise((resolve, reject) => {
       if (!fs.existsSync(this.config.mqtt.caPath)) {
         const error = new Error(`CA file not found at ${this.config.mqtt.caPath}`);
@@ -133,7 +705,8 @@ class IotParser extends EventEmitter {
         const ca = fs.readFileSync(this.config.mqtt.caPath);
         this.logger.info('Connecting to MQTT broker', {
           url: this.config.mqtt.brokerUrl,
-          topics: this.config.mqtt.topics.join(', ')
+          topics: this.topicFilters.join(', '),
+          instanceId: this.instanceId
         });
 
         this.mqttClient = mqtt.connect(this.config.mqtt.brokerUrl, {
@@ -141,6 +714,9 @@ class IotParser extends EventEmitter {
           password: this.config.mqtt.password,
           ca: [ca],
           rejectUnauthorized: true,
+          clientId: `iot-parser-${this.instanceId}`,
+          // Shared subscriptions are an MQTT 5 feature
+          ...(this.config.mqtt.sharedGroup ? { protocolVersion: 5 } : {}),
           ...this.config.mqtt.options
         });
 
@@ -149,12 +725,12 @@ class IotParser extends EventEmitter {
           this.reconnectAttempts = 0;
           this.logger.success('MQTT connected successfully');
 
-          this.mqttClient.subscribe(this.config.mqtt.topics, (err) => {
+          this.mqttClient.subscribe(this.subscriptions, (err) => {
             if (err) {
               this.logger.error('Subscribe error', err);
               reject(err);
             } else {
-              this.logger.success(`Subscribed to topics: ${this.config.mqtt.topics.join(', ')}`);
+              this.logger.success(`Subscribed to topics: ${this.topicFilters.join(', ')}`);
               resolve();
             }
           });
@@ -205,14 +781,18 @@ class IotParser extends EventEmitter {
     });
 
     // Display in console for real-time monitoring
-    console.log(`\n📨 [${timestamp}] New message on ${topic}:`);
-    console.log(`   Raw: ${str}`);
-
-    if (this.config.parser.useWorkers && this.workerPool.length > 0) {
-      // Distribute to worker for parallel processing
-      const worker = this.workerPool.shift();
-      worker.postMessage({ str, topic });
-      this.workerPool.push(worker);
+    if (this.config.logging.enableConsole) {
+      console.log(`\n📨 [${timestamp}] New message on ${topic}:`);
+      console.log(`   Raw: ${str}`);
+    }
+
+    if (this.recorder) {
+      this.recorder.received(topic, str);
+    }
+
+    if (this.workerPool) {
+      // Queue for parallel processing; overflow is handled by the pool policy
+      this.workerPool.submit(str, topic);
     } else {
       const result = this.parse(str, topic);
       this.handleParsed(result);
@@ -220,292 +800,281 @@ class IotParser extends EventEmitter {
   }
 
   parse(str, topic = 'unknown') {
-    const startTime = Date.now();
-    let data = { _topic: topic, _receivedAt: new Date().toISOString() };
-    let valid = true;
-    let validationErrors = [];
-    let format = 'unknown';
-
-    // Detect format: JSON or pipe
-    if (str.trim().startsWith('{')) {
-      // JSON format
-      format = 'json';
-      try {
-        const jsonData = JSON.parse(str);
-
-        // Validate required JSON fields
-        if (!jsonData.uuid && !jsonData.device_id && !jsonData.id) {
-          validationErrors.push('Missing required UUID field in JSON (uuid, device_id, or id)');
-          valid = false;
-        }
-        if (!jsonData.timestamp) {
-          validationErrors.push('Missing required timestamp field in JSON');
-          valid = false;
-        }
-
-        // Map JSON fields to our standard format (flexible field mapping)
-        data.uuid = jsonData.uuid || jsonData.device_id || jsonData.id;
-        data.timestamp = jsonData.timestamp;
-        data.temperature = jsonData.temperature || jsonData.temp;
-        data.humidity = jsonData.humidity || jsonData.humid;
-        data.version = jsonData.version || jsonData.ver;
-        data.actuator = jsonData.actuator;
+    return this.engine.parse(str, topic);
+  }
 
-      } catch (error) {
-        validationErrors.push(`Invalid JSON format: ${error.message}`);
-        valid = false;
-        format = 'invalid-json';
+  publish(topic, payload, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected()) {
+        return reject(new Error('MQTT client is not connected'));
       }
-    } else {
-      // Pipe format
-      format = 'pipe';
-      const parts = str.split('|');
 
-      // Basic format validation
-      if (parts.length === 0) {
-        validationErrors.push('Empty message');
-        valid = false;
-      }
+      this.mqttClient.publish(topic, payload, options, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
 
-      for (const part of parts) {
-        if (!part) continue; // Skip empty parts
+  // Publish a command to a device and resolve once its telemetry confirms it
+  async sendCommand(uuid, command, options = {}) {
+    const uuidFormat = this.config.schema.uuid?.format;
+    if (!uuid || (uuidFormat && !uuidFormat.test(uuid))) {
+      throw new Error(`Invalid device UUID: ${uuid}`);
+    }
 
-        const match = part.match(/^([a-z]+)(.*)$/);
-        if (!match) {
-          validationErrors.push(`Invalid format for part: ${part}`);
-          valid = false;
-          continue;
-        }
+    try {
+      const ack = await this.commands.send(uuid, command, options);
+      this.emit('command-ack', ack);
+      return ack;
+    } catch (error) {
+      if (error.code === 'COMMAND_TIMEOUT') {
+        this.emit('command-timeout', { uuid, command, correlationId: error.correlationId });
+      }
+      throw error;
+    }
+  }
 
-        const key = match[1];
-        const value = match[2];
+  handleParsed({ valid, data, original, validationErrors = [], processingTime = 0, topic = 'unknown', format = 'pipe' }) {
+    if (this.metrics) {
+      this.metrics.processingTime.observe({ format }, processingTime);
+    }
 
-        // Check for forbidden characters
-        if (value.includes(' ') || value.includes('|')) {
-          validationErrors.push(`Invalid characters in ${key}: ${value}`);
-          valid = false;
-          continue;
+    // Drop repeated readings before they are emitted, written or counted
+    if (valid && this.deduplicator) {
+      const firstSeen = this.deduplicator.check(data);
+      if (firstSeen !== null) {
+        this.logger.debug('Duplicate message suppressed', { uuid: data.uuid, timestamp: data.timestamp, topic });
+        // An ack can share its uuid and second with the reading before it
+        this.commands.handleTelemetry(data);
+        if (this.config.dedup.emitDuplicates) {
+          this.emit('duplicate', { data, original, topic, format, firstSeen: new Date(firstSeen).toISOString() });
         }
+        this.recordVerdict(topic, original, { verdict: 'duplicate', format });
+        return;
+      }
+    }
 
-        // Validate based on key type
-        switch (key) {
-          case 'tt': // timestamp
-            data.timestamp = parseInt(value, 10);
-            if (isNaN(data.timestamp)) {
-              validationErrors.push(`Invalid timestamp: ${value}`);
-              valid = false;
-            } else if (data.timestamp > Math.floor(Date.now() / 1000)) {
-              validationErrors.push(`Future timestamp: ${value}`);
-              valid = false;
-            }
-            break;
-
-          case 't': // temperature
-            data.temperature = parseFloat(value);
-            if (isNaN(data.temperature)) {
-              validationErrors.push(`Invalid temperature: ${value}`);
-              valid = false;
-            } else if (data.temperature < this.config.validation.temperature.min ||
-              data.temperature > this.config.validation.temperature.max) {
-              validationErrors.push(`Temperature out of range: ${value} (must be ${this.config.validation.temperature.min} to ${this.config.validation.temperature.max})`);
-              valid = false;
-            }
-            break;
-
-          case 'h': // humidity
-            data.humidity = parseFloat(value);
-            if (isNaN(data.humidity)) {
-              validationErrors.push(`Invalid humidity: ${value}`);
-              valid = false;
-            } else if (data.humidity < this.config.validation.humidity.min ||
-              data.humidity > this.config.validation.humidity.max) {
-              validationErrors.push(`Humidity out of range: ${value} (must be ${this.config.validation.humidity.min} to ${this.config.validation.humidity.max})`);
-              valid = false;
-            }
-            break;
-
-          case 'a': // actuator
-            data.actuator = value;
-            if (!this.config.validation.actuator.format.test(value)) {
-              validationErrors.push(`Invalid actuator format: ${value}`);
-              valid = false;
-            }
-            break;
-
-          case 'v': // version
-            data.version = value;
-            if (value.length === 0 || value.length > this.config.validation.version.maxLength) {
-              validationErrors.push(`Invalid version: ${value}`);
-              valid = false;
-            }
-            break;
-
-          case 'uid': // uuid
-            data.uuid = value;
-            if (!this.config.validation.uuid.format.test(value)) {
-              validationErrors.push(`Invalid UUID format: ${value}`);
-              valid = false;
-            }
-            break;
+    // Device registry: unknown-device policy and metadata enrichment
+    if (valid) {
+      const verdict = this.deviceRegistry.admit(data);
 
-          default:
-            validationErrors.push(`Unknown key: ${key}`);
-            valid = false;
+      if (verdict.action === 'quarantine') {
+        // info, not warn: the logger counts warnings as invalid messages
+        this.logger.info('Message quarantined: unregistered device', { uuid: data.uuid, original, topic });
+        if (this.deadLetters) {
+          this.deadLetters.add({ original, topic, format, errors: verdict.errors, tags: ['quarantine'], instanceId: this.instanceId });
         }
+        this.emit('quarantine', { data, original, topic, format, reason: verdict.errors[0] });
+        this.recordVerdict(topic, original, { verdict: 'quarantine', errors: verdict.errors, format });
+        return;
       }
 
-      // Check for duplicate keys in pipe format
-      const keys = parts.map(part => part.match(/^([a-z]+)/)?.[1]).filter(Boolean);
-      if (new Set(keys).size !== keys.length) {
-        validationErrors.push('Duplicate keys found');
+      if (verdict.action === 'reject') {
         valid = false;
+        validationErrors = [...validationErrors, ...verdict.errors];
+      } else {
+        this.deviceRegistry.enrich(data);
       }
     }
 
-    // Validate common fields for both formats
-    if (valid) {
-      // Validate temperature if present
-      if (data.temperature !== undefined) {
-        if (data.temperature < this.config.validation.temperature.min ||
-          data.temperature > this.config.validation.temperature.max) {
-          validationErrors.push(`Temperature out of range: ${data.temperature} (must be ${this.config.validation.temperature.min} to ${this.config.validation.temperature.max})`);
-          valid = false;
-        }
-      }
+    // Clock skew: only admitted readings feed the offset estimate, so invalid
+    // or unregistered UUIDs never become tracked devices. With correction
+    // enabled the engine lets future-dated readings through to be corrected here.
+    if (valid && this.clockSkew && Number.isFinite(data.timestamp)) {
+      const receivedAt = Date.parse(data._receivedAt) || Date.now();
+      data._clockOffsetMs = this.clockSkew.observe(data.uuid, data.timestamp, receivedAt);
 
-      // Validate humidity if present
-      if (data.humidity !== undefined) {
-        if (data.humidity < this.config.validation.humidity.min ||
-          data.humidity > this.config.validation.humidity.max) {
-          validationErrors.push(`Humidity out of range: ${data.humidity} (must be ${this.config.validation.humidity.min} to ${this.config.validation.humidity.max})`);
+      if (this.correctClocks) {
+        const clockError = this.correctTimestamp(data);
+        if (clockError) {
           valid = false;
+          validationErrors = [...validationErrors, clockError];
         }
       }
+    }
 
-      // Validate UUID if present
-      if (data.uuid && !this.config.validation.uuid.format.test(data.uuid)) {
-        validationErrors.push(`Invalid UUID format: ${data.uuid}`);
-        valid = false;
-      }
-
-      // Check required fields
-      if (!data.uuid || (!data.timestamp && !data.tt)) {
-        validationErrors.push('Missing required fields (uuid or timestamp)');
-        valid = false;
-      }
+    // Liveness: admitted readings, or any reading from a registered device;
+    // rejected and quarantined unknown UUIDs are never tracked
+    if (this.liveness && data?.uuid && (valid || this.deviceRegistry.has(data.uuid))) {
+      this.liveness.seen(data.uuid, {
+        configuredIntervalMs: this.deviceRegistry.get(data.uuid)?.reportIntervalMs || null
+      });
     }
 
-    const processingTime = Date.now() - startTime;
+    if (!valid) {
+      this.deliverInvalid({ data, original, validationErrors, processingTime, topic, format });
+      return;
+    }
 
-    return {
-      valid,
-      data,
-      original: str,
-      validationErrors,
-      processingTime,
-      topic,
-      format
-    };
-  }
+    const record = { data, original, processingTime, topic, format };
 
-  async writeToInfluxDB(data) {
-    if (!this.writeApi) return;
+    // Ordering: in-order, late or stale against the device's newest reading
+    if (this.ordering) {
+      data._ordering = this.ordering.classify(data);
 
-    try {
-      const point = new Point(this.config.influxdb.measurement)
-        .tag('device_uuid', data.uuid)
-        .tag('topic', data._topic)
-        .tag('format', data._format || 'pipe')
-        .intField('timestamp', data.timestamp)
-        .timestamp(new Date(data.timestamp * 1000));
-
-      // Agregar campos de sensor si están presentes
-      if (data.temperature !== undefined) {
-        point.floatField('temperature', data.temperature);
-      }
-      if (data.humidity !== undefined) {
-        point.floatField('humidity', data.humidity);
-      }
-      if (data.version) {
-        point.stringField('version', data.version);
-      }
-      if (data.actuator !== undefined) {
-        point.stringField('actuator', data.actuator.toString());
+      if (data._ordering === 'stale' && this.config.ordering.staleAction === 'reject') {
+        this.deliverInvalid({
+          data,
+          original,
+          validationErrors: [`Stale reading: timestamp ${data.timestamp} is too old for device ${data.uuid}`],
+          processingTime,
+          topic,
+          format
+        });
+        return;
       }
+    }
 
-      this.writeApi.writePoint(point);
-      
-      this.logger.debug('Data written to InfluxDB', {
-        uuid: data.uuid,
-        measurement: this.config.influxdb.measurement
-      });
+    this.recordVerdict(topic, original, { verdict: 'valid', format });
 
-    } catch (error) {
-      this.logger.error('InfluxDB write error', error);
+    // Hold readings briefly so they are delivered in timestamp order
+    if (this.reorderBuffer) {
+      this.reorderBuffer.push(data.uuid, data.timestamp, record);
+      return;
     }
+
+    this.deliverValid(record);
   }
 
-  handleParsed({ valid, data, original, validationErrors = [], processingTime = 0, topic = 'unknown', format = 'pipe' }) {
-    if (valid) {
-      this.logger.success('Message validated successfully', {
-        uuid: data.uuid,
-        temperature: data.temperature,
-        humidity: data.humidity,
-        format: format,
-        processingTime: `${processingTime}ms`,
-        topic
-      });
+  recordVerdict(topic, original, verdict) {
+    if (this.metrics) {
+      this.metrics.messages.inc({ topic: this.topicLabel(topic), format: verdict.format || 'unknown', verdict: verdict.verdict });
+    }
+    if (this.recorder) {
+      this.recorder.settle(topic, original, verdict);
+    }
+  }
 
-      // Add format and processing time to data for display
-      data._format = format;
-      data._processingTime = processingTime;
+  deliverValid({ data, original, processingTime, topic, format }) {
+    this.logger.success('Message validated successfully', {
+      uuid: data.uuid,
+      temperature: data.temperature,
+      humidity: data.humidity,
+      version: data.version,
+      device: data._device?.name,
+      location: data._device?.location,
+      format: format,
+      processingTime: `${processingTime}ms`,
+      topic
+    });
 
-      // Write to InfluxDB if enabled
-      if (this.config.influxdb?.enabled && this.writeApi) {
-        this.writeToInfluxDB(data).catch(err => 
-          this.logger.error('InfluxDB write failed', err)
-        );
-      }
+    // Add format, processing time and handling instance to data for display
+    data._format = format;
+    data._processingTime = processingTime;
+    data._instanceId = this.instanceId;
 
-      // Emit success event
-      this.emit('data', data);
-
-      // Future Kafka integration (commented)
-      /*
-      if (this.kafkaProducer) {
-        this.kafkaProducer.send({
-          topic: 'iot-parsed',
-          messages: [{ 
-            key: data.uuid,
-            value: JSON.stringify(data) 
-          }]
-        }).catch(err => this.logger.error('Kafka send error', err));
-      }
-      */
+    // InfluxDB and the other sinks
+    this.writeToSinks({
+      kind: 'valid',
+      data,
+      topic,
+      format,
+      original,
+      instanceId: this.instanceId,
+      receivedAt: data._receivedAt || new Date().toISOString()
+    });
 
-    } else {
-      this.logger.warn('Message validation failed', {
-        original,
-        errors: validationErrors,
-        format: format,
-        processingTime: `${processingTime}ms`,
-        topic
-      });
+    // Settle pending commands acknowledged by this reading
+    this.commands.handleTelemetry(data);
 
-      // Emit error event with enhanced information
-      this.emit('error', {
-        message: 'Invalid data',
-        original,
-        validationErrors,
-        format,
-        processingTime,
-        topic
-      });
+    // Evaluate alert rules
+    if (this.alerts) {
+      this.alerts.evaluate(data);
     }
+
+    this.recent.addValid({ data, topic, format });
+
+    // Emit success event
+    this.emit('data', data);
+  }
+
+  deliverInvalid({ data = null, original, validationErrors, processingTime, topic, format }) {
+    this.logger.warn('Message validation failed', {
+      original,
+      errors: validationErrors,
+      format: format,
+      processingTime: `${processingTime}ms`,
+      topic
+    });
+
+    if (this.deadLetters) {
+      this.deadLetters.add({ original, topic, format, errors: validationErrors, instanceId: this.instanceId });
+    }
+    this.recordVerdict(topic, original, { verdict: 'invalid', errors: validationErrors, format });
+    this.recent.addInvalid({ data, original, errors: validationErrors, topic, format });
+    if (this.metrics) {
+      validationErrors.forEach(error => this.metrics.validationErrors.inc({ type: errorType(error) }));
+    }
+
+    this.writeToSinks({
+      kind: 'invalid',
+      data,
+      errors: validationErrors,
+      topic,
+      format,
+      original,
+      instanceId: this.instanceId,
+      receivedAt: data?._receivedAt || new Date().toISOString()
+    });
+
+    // Emit error event with enhanced information
+    this.emit('error', {
+      message: 'Invalid data',
+      original,
+      validationErrors,
+      format,
+      processingTime,
+      topic,
+      instanceId: this.instanceId
+    });
   }
 
   getStats() {
-    return this.logger.getStats();
+    const stats = this.logger.getStats();
+    if (this.workerPool) {
+      stats.workerPool = this.workerPool.getStats();
+    }
+    stats.commands = this.commands.getStats();
+    if (this.alerts) {
+      stats.alerts = this.alerts.getStats();
+    }
+    stats.devices = this.deviceRegistry.getStats();
+    if (this.deduplicator) {
+      stats.dedup = this.deduplicator.getStats();
+    }
+    if (this.liveness) {
+      stats.liveness = this.liveness.getStats();
+    }
+    if (this.ordering) {
+      stats.ordering = this.ordering.getStats();
+    }
+    if (this.reorderBuffer) {
+      stats.reorderBuffer = this.reorderBuffer.getStats();
+    }
+    if (this.clockSkew) {
+      stats.clockSkew = this.clockSkew.getStats();
+    }
+    if (this.deadLetters) {
+      stats.deadLetters = this.deadLetters.getStats();
+    }
+    if (this.sinks.length > 0) {
+      stats.sinks = this.sinks.map(sink => sink.health());
+    }
+    if (this.influxSink) {
+      stats.influx = this.influxSink.getStats();
+    }
+    if (this.recorder) {
+      stats.recorder = this.recorder.getStats();
+    }
+    stats.recent = this.recent.getStats();
+    if (this.api) {
+      stats.api = this.api.getStats();
+    }
+    if (this.dashboard) {
+      stats.dashboard = this.dashboard.getStats();
+    }
+    return stats;
   }
 
   isConnected() {
@@ -513,31 +1082,80 @@ class IotParser extends EventEmitter {
   }
 
   async disconnect() {
+    return this.stop();
+  }
+
+  // Release everything start() acquired; safe to call more than once
+  async stop() {
+    if (!this.started || this.stopping) return;
+    this.stopping = true;
+
     this.logger.info('Disconnecting IoT Parser');
 
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = null;
+    }
+
+    this.commands.cancelAll('Parser disconnected');
+
+    if (this.liveness) {
+      this.liveness.stop();
+    }
+
     if (this.mqttClient) {
       this.mqttClient.end();
+      this.mqttClient = null;
+      this.connected = false;
     }
 
-    // Close InfluxDB connection
-    if (this.writeApi) {
+    // Messages already handed to the workers still get their verdict and
+    // reach the sinks, so the pool goes before them
+    if (this.workerPool) {
+      const drained = await this.workerPool.drain(this.config.parser.workerDrainTimeoutMs);
+      if (!drained) {
+        this.logger.info('Worker queue not drained in time, discarding the rest', this.workerPool.getStats());
+      }
+      await this.workerPool.terminate();
+      this.workerPool = null;
+    }
+
+    // Deliver whatever is still waiting to be reordered
+    if (this.reorderBuffer) {
+      this.reorderBuffer.flushAll();
+    }
+
+    // From here on nothing is written to the sinks
+    this.started = false;
+    this.stopping = false;
+
+    // Flush every sink (InfluxDB spools what it cannot send) and close it
+    for (const sink of this.sinks) {
       try {
-        await this.writeApi.close();
-        this.logger.info('InfluxDB connection closed');
+        await sink.close();
+        this.logger.info(`📤 Sink closed: ${sink.name}`);
       } catch (error) {
-        this.logger.error('Error closing InfluxDB connection', error);
+        this.logger.error(`Error closing sink ${sink.name}`, error);
       }
     }
 
-    // Future disconnections (commented)
-    /*
-    if (this.kafkaProducer) {
-      this.kafkaProducer.disconnect();
+    if (this.dashboard) {
+      this.dashboard.stop();
+      this.dashboard = null;
+    }
+
+    if (this.api) {
+      await this.api.stop();
+      this.api = null;
+    }
+
+    // Messages that never got a verdict are still captured
+    if (this.recorder) {
+      this.recorder.flush();
     }
-    */
 
-    // Terminate workers
-    this.workerPool.forEach(worker => worker.terminate());
+    // Pending auto-registrations
+    this.deviceRegistry.flush();
 
     // Save final stats
     if (this.config.parser.enableStats) {
@@ -548,4 +1166,6 @@ class IotParser extends EventEmitter {
   }
 }
 
-module.exports = IotParser;
\ No newline at end of file
+module.exports = IotParser;
+module.exports.createParser = createParser;
+module.exports.parse = parse;
\ No newline at end of file
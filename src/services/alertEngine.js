@@ -0,0 +1,191 @@
+const EventEmitter = require('eventemitter3');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const RULE_TYPES = ['threshold', 'rate'];
+
+// Rule-based alerting on valid telemetry. Rules come from config.alerts.rules:
+//   { id, type: 'threshold' | 'rate', field, operator, value,
+//     hysteresis, forMs, per, absolute, devices, severity, message }
+//
+// State is kept per (rule, device). An alert fires once when its condition
+// holds (for at least forMs, if set) and is not re-emitted while active; it
+// resolves only after the value moves back past the threshold by the
+// hysteresis margin.
+//
+// Time is the record's own timestamp (after clock-skew correction), not the
+// arrival time, so rates and forMs windows hold under replay and reordering.
+//
+// Events:
+//   'alert'          (alert)  condition started
+//   'alert-resolved' (alert)  condition cleared, with resolvedAt and durationMs
+class AlertEngine extends EventEmitter {
+  constructor(rules = []) {
+    super();
+    this.rules = rules.map(rule => this.normalizeRule(rule));
+    this.states = new Map();
+    this.stats = {
+      evaluated: 0,
+      fired: 0,
+      resolved: 0
+    };
+  }
+
+  normalizeRule(rule) {
+    const normalized = {
+      type: 'threshold',
+      operator: '>',
+      hysteresis: 0,
+      forMs: 0,
+      per: 60000,
+      absolute: false,
+      severity: 'warning',
+      devices: null,
+      ...rule
+    };
+
+    if (!normalized.id) {
+      throw new Error('Alert rule must have an id');
+    }
+    if (!RULE_TYPES.includes(normalized.type)) {
+      throw new Error(`Alert rule ${normalized.id}: unknown type "${normalized.type}"`);
+    }
+    if (!normalized.field) {
+      throw new Error(`Alert rule ${normalized.id}: missing field`);
+    }
+    if (!OPERATORS[normalized.operator]) {
+      throw new Error(`Alert rule ${normalized.id}: unknown operator "${normalized.operator}"`);
+    }
+    if (typeof normalized.value !== 'number') {
+      throw new Error(`Alert rule ${normalized.id}: value must be a number`);
+    }
+
+    return normalized;
+  }
+
+  // Evaluate every applicable rule against one valid record
+  evaluate(data, now = typeof data.timestamp === 'number' ? data.timestamp : Date.now()) {
+    if (!data.uuid) return;
+    this.stats.evaluated++;
+
+    for (const rule of this.rules) {
+      if (rule.devices && !rule.devices.includes(data.uuid)) continue;
+      if (typeof data[rule.field] !== 'number') continue;
+
+      const key = `${rule.id}:${data.uuid}`;
+      const state = this.states.get(key) || { active: null, pendingSince: null, previous: null };
+      this.states.set(key, state);
+
+      const measured = this.measure(rule, state, data, now);
+      if (measured === null) continue;
+
+      if (state.active) {
+        if (this.isCleared(rule, measured)) {
+          this.resolve(state, measured, now);
+        }
+        continue;
+      }
+
+      if (!OPERATORS[rule.operator](measured, rule.value)) {
+        state.pendingSince = null;
+        continue;
+      }
+
+      // Sustained conditions must hold for forMs before firing
+      if (state.pendingSince === null) state.pendingSince = now;
+      if (now - state.pendingSince >= rule.forMs) {
+        this.fire(rule, state, data, measured, now);
+      }
+    }
+  }
+
+  // Current value for threshold rules, change per `per` ms for rate rules
+  measure(rule, state, data, now) {
+    const value = data[rule.field];
+    if (rule.type === 'threshold') return value;
+
+    const previous = state.previous;
+    // A reading older than the last one says nothing about the current rate
+    if (previous && now <= previous.at) return null;
+    state.previous = { value, at: now };
+    if (!previous) return null;
+
+    const rate = (value - previous.value) / (now - previous.at) * rule.per;
+    return rule.absolute ? Math.abs(rate) : rate;
+  }
+
+  // Hysteresis: the value has to move back past the threshold by the margin
+  isCleared(rule, measured) {
+    switch (rule.operator) {
+      case '>':
+      case '>=':
+        return measured < rule.value - rule.hysteresis;
+      case '<':
+      case '<=':
+        return measured > rule.value + rule.hysteresis;
+      default:
+        return !OPERATORS[rule.operator](measured, rule.value);
+    }
+  }
+
+  fire(rule, state, data, measured, now) {
+    const unit = rule.type === 'rate' ? `/${rule.per / 1000}s` : '';
+    state.active = {
+      id: `${rule.id}:${data.uuid}`,
+      ruleId: rule.id,
+      type: rule.type,
+      severity: rule.severity,
+      uuid: data.uuid,
+      field: rule.field,
+      value: measured,
+      threshold: rule.value,
+      operator: rule.operator,
+      message: rule.message ||
+        `${rule.field} ${rule.type === 'rate' ? 'rate ' : ''}${measured.toFixed(2)}${unit} ${rule.operator} ${rule.value}${unit}`,
+      firedAt: new Date(now).toISOString(),
+      data
+    };
+
+    this.stats.fired++;
+    this.emit('alert', state.active);
+  }
+
+  resolve(state, measured, now) {
+    const alert = {
+      ...state.active,
+      resolvedValue: measured,
+      resolvedAt: new Date(now).toISOString(),
+      durationMs: now - Date.parse(state.active.firedAt)
+    };
+
+    state.active = null;
+    state.pendingSince = null;
+    this.stats.resolved++;
+    this.emit('alert-resolved', alert);
+  }
+
+  getActiveAlerts() {
+    return Array.from(this.states.values())
+      .filter(state => state.active)
+      .map(state => state.active);
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.length,
+      active: this.getActiveAlerts().length,
+      ...this.stats
+    };
+  }
+}
+
+AlertEngine.OPERATORS = Object.keys(OPERATORS);
+
+module.exports = AlertEngine;
@@ -0,0 +1,189 @@
+const http = require('http');
+const EventEmitter = require('eventemitter3');
+
+// Optional read-only HTTP API on top of a running IotParser:
+//   GET /health                  200 when started and connected, 503 otherwise
+//   GET /stats                   parser.getStats()
+//   GET /devices                 parser.getDevices() with each one's latest reading time
+//   GET /devices/:uuid/latest    latest valid reading of one device
+//   GET /readings/recent?limit=  newest valid readings first
+//   GET /errors/recent?limit=    newest invalid messages first
+//   GET /metrics                 Prometheus metrics (added by IotParser when enabled)
+//   GET /dashboard               live web dashboard, see dashboard.js (likewise)
+//
+// More endpoints are added with route(method, path, handler); ':name'
+// segments become params. A handler returns { status, body } (JSON) or
+// writes the response itself and returns nothing.
+class ApiServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    if (!options.parser) {
+      throw new Error('ApiServer needs a parser');
+    }
+
+    this.parser = options.parser;
+    this.options = {
+      port: options.port ?? 8080,
+      host: options.host || '0.0.0.0'
+    };
+    this.logger = options.logger || null;
+    this.server = null;
+    this.sockets = new Set();
+    this.startedAt = null;
+    this.routes = [];
+    this.stats = {
+      requests: 0,
+      errors: 0
+    };
+
+    this.route('GET', '/health', () => this.health());
+    this.route('GET', '/stats', () => ({ body: this.parser.getStats() }));
+    this.route('GET', '/devices', () => ({ body: this.devices() }));
+    this.route('GET', '/devices/:uuid/latest', ({ params }) => {
+      const latest = this.parser.recent.getLatest(params.uuid);
+      return latest
+        ? { body: latest }
+        : { status: 404, body: { error: `No readings from device ${params.uuid}` } };
+    });
+    this.route('GET', '/readings/recent', ({ query }) => ({ body: this.parser.recent.recentReadings(this.limit(query)) }));
+    this.route('GET', '/errors/recent', ({ query }) => ({ body: this.parser.recent.recentErrors(this.limit(query)) }));
+  }
+
+  route(method, path, handler) {
+    const names = [];
+    const pattern = new RegExp(`^${path.replace(/:([A-Za-z_]+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    this.routes.push({ method, path, pattern, names, handler });
+    return this;
+  }
+
+  limit(query) {
+    const limit = parseInt(query.get('limit'));
+    return limit > 0 ? limit : undefined;
+  }
+
+  health() {
+    const stats = this.parser.getStats();
+    const mqttConnected = Boolean(this.parser.isConnected());
+    const sinks = (stats.sinks || []).map(sink => ({ name: sink.name, status: sink.status }));
+    const status = !this.parser.started || !mqttConnected
+      ? 'down'
+      : sinks.some(sink => sink.status === 'down') ? 'degraded' : 'ok';
+
+    return {
+      status: status === 'down' ? 503 : 200,
+      body: {
+        status,
+        instanceId: this.parser.instanceId,
+        uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+        mqtt: { connected: mqttConnected },
+        workers: stats.workerPool ? { queueDepth: stats.workerPool.queueDepth, dropped: stats.workerPool.dropped } : null,
+        sinks
+      }
+    };
+  }
+
+  devices() {
+    return this.parser.getDevices().map(device => ({
+      ...device,
+      latestReadingAt: this.parser.recent.getLatest(device.uuid)?.receivedAt ?? null
+    }));
+  }
+
+  handle(req, res) {
+    this.stats.requests++;
+    const url = new URL(req.url, 'http://localhost');
+    const matches = this.routes.filter(route => route.pattern.test(url.pathname));
+
+    if (matches.length === 0) {
+      return this.send(res, 404, { error: `Not found: ${url.pathname}` });
+    }
+
+    const route = matches.find(candidate => candidate.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matches.map(candidate => candidate.method).join(', '));
+      return this.send(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+
+    Promise.resolve()
+      .then(() => route.handler({ req, res, params: this.params(route, url.pathname), query: url.searchParams }))
+      .then((result) => {
+        if (result) this.send(res, result.status || 200, result.body);
+      })
+      .catch((error) => {
+        // Bad percent-encoding in a param (/devices/%E0%A4%A/latest) is the client's fault
+        if (error instanceof URIError) {
+          return this.send(res, 400, { error: `Malformed path: ${url.pathname}` });
+        }
+        this.stats.errors++;
+        if (this.logger) this.logger.error(`HTTP API error on ${req.method} ${url.pathname}`, error);
+        if (!res.headersSent) this.send(res, 500, { error: error.message });
+      });
+  }
+
+  // Throws URIError on malformed percent-encoding
+  params(route, pathname) {
+    const values = route.pattern.exec(pathname).slice(1);
+    return Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(values[index])]));
+  }
+
+  send(res, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-store'
+    });
+    res.end(json);
+  }
+
+  start() {
+    if (this.server) return Promise.resolve(this);
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    // Tracked so stop() does not wait on keep-alive or streaming connections
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        this.startedAt = Date.now();
+        this.emit('listening', this.address());
+        resolve(this);
+      });
+    });
+  }
+
+  address() {
+    const address = this.server?.address();
+    return address ? { host: address.address, port: address.port } : null;
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      this.sockets.forEach(socket => socket.destroy());
+      this.sockets.clear();
+    });
+  }
+
+  getStats() {
+    return {
+      listening: this.address(),
+      routes: this.routes.map(route => `${route.method} ${route.path}`),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,94 @@
+const EventEmitter = require('eventemitter3');
+
+// Per-device clock offset estimation. Each reading gives one sample,
+// device timestamp minus the time the parser received it; the estimate is
+// the median of the last `samples` of them, so network delay and buffered
+// readings from an outage do not drag it around.
+//
+// Events:
+//   'drift'    ({ uuid, offsetMs, samples })  offset went beyond maxDriftMs
+//   'drift-ok' ({ uuid, offsetMs, samples })  offset back within maxDriftMs
+class ClockSkewTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      samples: options.samples || 20,
+      maxDriftMs: options.maxDriftMs ?? 30 * 1000,
+      correctionThresholdMs: options.correctionThresholdMs ?? 2000
+    };
+
+    this.devices = new Map();
+    this.stats = {
+      observed: 0,
+      corrected: 0,
+      driftWarnings: 0
+    };
+  }
+
+  // Record a reading and return the device's current offset estimate (ms)
+  observe(uuid, deviceTimeMs, receivedAtMs = Date.now()) {
+    let device = this.devices.get(uuid);
+    if (!device) {
+      device = { samples: [], offsetMs: 0, drifting: false };
+      this.devices.set(uuid, device);
+    }
+
+    device.samples.push(deviceTimeMs - receivedAtMs);
+    if (device.samples.length > this.options.samples) device.samples.shift();
+    device.offsetMs = median(device.samples);
+    this.stats.observed++;
+
+    const drifting = Math.abs(device.offsetMs) > this.options.maxDriftMs;
+    if (drifting !== device.drifting) {
+      device.drifting = drifting;
+      if (drifting) this.stats.driftWarnings++;
+      this.emit(drifting ? 'drift' : 'drift-ok', {
+        uuid,
+        offsetMs: device.offsetMs,
+        samples: device.samples.length
+      });
+    }
+
+    return device.offsetMs;
+  }
+
+  // Device time shifted onto the parser's clock; small offsets are left alone
+  // because most devices only send whole seconds
+  correct(uuid, deviceTimeMs) {
+    const device = this.devices.get(uuid);
+    if (!device || Math.abs(device.offsetMs) < this.options.correctionThresholdMs) {
+      return deviceTimeMs;
+    }
+    this.stats.corrected++;
+    return deviceTimeMs - device.offsetMs;
+  }
+
+  getOffset(uuid) {
+    return this.devices.get(uuid)?.offsetMs ?? null;
+  }
+
+  list() {
+    return Array.from(this.devices.entries()).map(([uuid, device]) => ({
+      uuid,
+      offsetMs: device.offsetMs,
+      samples: device.samples.length,
+      drifting: device.drifting
+    }));
+  }
+
+  getStats() {
+    return {
+      devices: this.devices.size,
+      drifting: this.list().filter(device => device.drifting).length,
+      ...this.stats
+    };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+module.exports = ClockSkewTracker;
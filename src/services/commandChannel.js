@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// Downlink commands to devices. Each command gets a correlation ID and stays
+// pending until the device reports back through normal telemetry: either a
+// record echoing the correlation ID, or one whose actuator matches the
+// requested state. Pending commands reject after the ack timeout.
+class CommandChannel {
+  constructor(options = {}) {
+    this.options = {
+      publish: options.publish, // (topic, payload, { qos }) => Promise
+      topicTemplate: options.topicTemplate || 'devices/{uuid}/commands',
+      ackTimeout: options.ackTimeout || 10000,
+      qos: options.qos ?? 1,
+      logger: options.logger || null
+    };
+
+    this.pending = new Map();
+    this.stats = {
+      sent: 0,
+      acknowledged: 0,
+      timedOut: 0,
+      failed: 0
+    };
+  }
+
+  topicFor(uuid) {
+    return this.options.topicTemplate.replace('{uuid}', uuid);
+  }
+
+  // command: actuator value ('1', 0, true...) or an object such as { actuator: '1' }
+  send(uuid, command, { timeout = this.options.ackTimeout } = {}) {
+    const body = typeof command === 'object' && command !== null
+      ? { ...command }
+      : { actuator: command };
+
+    if (body.actuator !== undefined) {
+      body.actuator = String(typeof body.actuator === 'boolean' ? Number(body.actuator) : body.actuator);
+    }
+
+    const correlationId = crypto.randomUUID();
+    const topic = this.topicFor(uuid);
+    const payload = JSON.stringify({
+      correlationId,
+      uuid,
+      ...body,
+      sentAt: new Date().toISOString()
+    });
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        correlationId,
+        uuid,
+        command: body,
+        topic,
+        sentAt: Date.now(),
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.pending.delete(correlationId);
+          this.stats.timedOut++;
+          this.log('error', 'Command acknowledgement timed out', { uuid, correlationId, timeout });
+          const error = new Error(`Command ${correlationId} to ${uuid} not acknowledged within ${timeout}ms`);
+          error.code = 'COMMAND_TIMEOUT';
+          error.correlationId = correlationId;
+          reject(error);
+        }, timeout)
+      };
+
+      this.pending.set(correlationId, entry);
+
+      this.options.publish(topic, payload, { qos: this.options.qos })
+        .then(() => {
+          this.stats.sent++;
+          this.log('info', 'Command sent', { uuid, topic, correlationId, command: body });
+        })
+        .catch((error) => {
+          clearTimeout(entry.timer);
+          this.pending.delete(correlationId);
+          this.stats.failed++;
+          this.log('error', 'Command publish failed', { uuid, correlationId, message: error.message });
+          reject(error);
+        });
+    });
+  }
+
+  // Called with every valid telemetry record; settles matching pending commands
+  handleTelemetry(data) {
+    if (this.pending.size === 0 || !data.uuid) return [];
+
+    // UUIDs match case-insensitively, like the device registry
+    const uuid = String(data.uuid).toLowerCase();
+    const acknowledged = [];
+    for (const entry of this.pending.values()) {
+      if (entry.uuid.toLowerCase() !== uuid) continue;
+
+      const matchesId = data.correlationId !== undefined && data.correlationId === entry.correlationId;
+      const matchesState = data.correlationId === undefined &&
+        entry.command.actuator !== undefined &&
+        data.actuator !== undefined &&
+        String(data.actuator) === entry.command.actuator;
+
+      if (!matchesId && !matchesState) continue;
+
+      clearTimeout(entry.timer);
+      this.pending.delete(entry.correlationId);
+      this.stats.acknowledged++;
+
+      const ack = {
+        correlationId: entry.correlationId,
+        uuid: entry.uuid,
+        command: entry.command,
+        roundTripMs: Date.now() - entry.sentAt,
+        data
+      };
+      this.log('info', 'Command acknowledged', {
+        uuid: entry.uuid,
+        correlationId: entry.correlationId,
+        roundTripMs: ack.roundTripMs
+      });
+      entry.resolve(ack);
+      acknowledged.push(ack);
+    }
+
+    return acknowledged;
+  }
+
+  cancelAll(reason = 'Command channel closed') {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(new Error(reason));
+    }
+    this.pending.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending.size
+    };
+  }
+
+  log(level, message, data) {
+    if (this.options.logger) {
+      this.options.logger[level](message, data);
+    }
+  }
+}
+
+module.exports = CommandChannel;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('eventemitter3');
+
+// Per-message log lines; readings and invalid messages are streamed on their own
+const STREAMED_LOGS = new Set([
+  '📨 Message received',
+  'Message validated successfully',
+  'Message validation failed'
+]);
+
+// Live web dashboard mounted on the HTTP API:
+//   GET /dashboard          single-page dashboard (src/services/dashboard.html)
+//   GET /dashboard/events   Server-Sent Events stream
+//
+// Stream events, all JSON:
+//   snapshot    sent once on connect: recent readings, errors, stats, devices, connection
+//   reading     a valid reading (parser 'data')
+//   invalid     an invalid message (parser 'error')
+//   stats       counters, worker queue, sinks and device liveness, only when they change
+//   connection  MQTT connection state, only when it changes
+//   log         info/warn/error lines from the Logger ('log' event)
+class Dashboard extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    if (!options.parser) {
+      throw new Error('Dashboard needs a parser');
+    }
+
+    this.parser = options.parser;
+    this.logger = options.logger || null;
+    this.options = {
+      statsIntervalMs: options.statsIntervalMs || 2000,
+      heartbeatMs: options.heartbeatMs || 15000,
+      historySize: options.historySize || 60,
+      maxClients: options.maxClients || 20,
+      maxBufferedBytes: options.maxBufferedBytes || 1024 * 1024
+    };
+
+    this.clients = new Set();
+    this.page = null;
+    this.listeners = null;
+    this.timers = [];
+    this.lastStats = null;
+    this.lastConnected = null;
+    this.stats = {
+      connections: 0,
+      rejected: 0,
+      dropped: 0,
+      eventsSent: 0
+    };
+  }
+
+  attach(api) {
+    api.route('GET', '/dashboard', ({ res }) => this.servePage(res));
+    api.route('GET', '/dashboard/events', ({ req, res }) => this.subscribe(req, res));
+    return this;
+  }
+
+  start() {
+    if (this.listeners) return this;
+
+    this.listeners = {
+      data: data => this.broadcast('reading', this.reading(data)),
+      error: error => this.broadcast('invalid', {
+        receivedAt: new Date().toISOString(),
+        topic: error.topic,
+        format: error.format,
+        errors: error.validationErrors,
+        original: error.original
+      }),
+      log: entry => this.onLog(entry)
+    };
+    this.parser.on('data', this.listeners.data);
+    this.parser.on('error', this.listeners.error);
+    this.parser.logger.on('log', this.listeners.log);
+
+    this.timers.push(setInterval(() => this.publishState(), this.options.statsIntervalMs));
+    // Comment lines keep idle connections open through proxies
+    this.timers.push(setInterval(() => this.clients.forEach(res => this.write(res, ': ping\n\n')), this.options.heartbeatMs));
+    return this;
+  }
+
+  stop() {
+    if (this.listeners) {
+      this.parser.off('data', this.listeners.data);
+      this.parser.off('error', this.listeners.error);
+      this.parser.logger.off('log', this.listeners.log);
+      this.listeners = null;
+    }
+
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  servePage(res) {
+    if (!this.page) {
+      this.page = fs.readFileSync(path.join(__dirname, 'dashboard.html'));
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': this.page.length,
+      'Cache-Control': 'no-store'
+    });
+    res.end(this.page);
+  }
+
+  subscribe(req, res) {
+    if (this.clients.size >= this.options.maxClients) {
+      this.stats.rejected++;
+      return { status: 503, body: { error: 'Too many dashboard clients' } };
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    this.clients.add(res);
+    this.stats.connections++;
+    req.on('close', () => this.clients.delete(res));
+
+    this.send(res, 'snapshot', this.snapshot());
+  }
+
+  snapshot() {
+    const { recent } = this.parser;
+    return {
+      instanceId: this.parser.instanceId,
+      historySize: this.options.historySize,
+      readings: recent.recentReadings(this.options.historySize).reverse().map(entry => this.reading(entry.data)),
+      errors: recent.recentErrors(this.options.historySize),
+      stats: this.currentStats(),
+      connection: this.currentConnection()
+    };
+  }
+
+  reading(data) {
+    return {
+      receivedAt: data._receivedAt || new Date().toISOString(),
+      topic: data._topic,
+      format: data._format,
+      uuid: data.uuid,
+      data
+    };
+  }
+
+  currentStats() {
+    const stats = this.parser.getStats();
+    return {
+      totalMessages: stats.totalMessages,
+      validMessages: stats.validMessages,
+      invalidMessages: stats.invalidMessages,
+      errors: stats.errors,
+      validationRate: stats.validationRate,
+      workers: stats.workerPool ? { queueDepth: stats.workerPool.queueDepth, dropped: stats.workerPool.dropped } : null,
+      sinks: (stats.sinks || []).map(sink => ({ name: sink.name, type: sink.type, status: sink.status })),
+      devices: this.parser.getDevices().map(device => ({ uuid: device.uuid, name: device.name || null, status: device.status }))
+    };
+  }
+
+  currentConnection() {
+    return { mqtt: Boolean(this.parser.isConnected()), started: Boolean(this.parser.started) };
+  }
+
+  // Stats and device lists are not built for nobody; a client that connects
+  // later gets them in its snapshot
+  publishState() {
+    if (this.clients.size === 0) return;
+    this.publishConnection();
+
+    const stats = this.currentStats();
+    const serialized = JSON.stringify(stats);
+    if (serialized !== this.lastStats) {
+      this.lastStats = serialized;
+      this.broadcast('stats', stats);
+    }
+  }
+
+  publishConnection() {
+    const connection = this.currentConnection();
+    if (connection.mqtt !== this.lastConnected) {
+      this.lastConnected = connection.mqtt;
+      this.broadcast('connection', connection);
+    }
+  }
+
+  onLog(entry) {
+    if (this.clients.size === 0 || entry.level === 'debug' || STREAMED_LOGS.has(entry.message)) return;
+    // MQTT connects and disconnects are always logged, so check right away
+    this.publishConnection();
+    this.broadcast('log', { timestamp: entry.timestamp, level: entry.level, message: entry.message });
+  }
+
+  broadcast(event, payload) {
+    if (this.clients.size === 0) return;
+    const frame = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    this.clients.forEach(res => this.write(res, frame));
+  }
+
+  send(res, event, payload) {
+    this.write(res, `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  // A client that stops reading is dropped instead of buffering without bound
+  write(res, frame) {
+    if (res.writableLength > this.options.maxBufferedBytes) {
+      this.stats.dropped++;
+      this.clients.delete(res);
+      res.destroy();
+      return;
+    }
+    res.write(frame);
+    this.stats.eventsSent++;
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = Dashboard;
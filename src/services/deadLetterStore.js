@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { errorType } = require('../validation/errorTypes');
+
+// Append-only store for messages that failed validation. One NDJSON file per
+// day (dead-letters-YYYY-MM-DD.ndjson), one entry per line:
+//   { id, storedAt, topic, format, original, errors, errorTypes, tags, instanceId }
+// so invalid payloads can be inspected and replayed once a rule is fixed.
+// Tags mark entries held back for another reason, e.g. 'quarantine' for
+// valid readings from unregistered devices.
+class DeadLetterStore {
+  constructor(options = {}) {
+    this.options = {
+      dir: options.dir || path.join(process.cwd(), 'logs', 'dlq')
+    };
+
+    this.logger = options.logger || null;
+    this.stats = {
+      stored: 0,
+      writeErrors: 0
+    };
+  }
+
+  fileFor(date = new Date()) {
+    return path.join(this.options.dir, `dead-letters-${date.toISOString().split('T')[0]}.ndjson`);
+  }
+
+  add({ original, topic, format, errors = [], tags = [], instanceId }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      storedAt: new Date().toISOString(),
+      topic,
+      format,
+      original,
+      errors,
+      errorTypes: DeadLetterStore.errorTypes(errors),
+      tags,
+      instanceId
+    };
+
+    try {
+      if (!fs.existsSync(this.options.dir)) {
+        fs.mkdirSync(this.options.dir, { recursive: true });
+      }
+      fs.appendFileSync(this.fileFor(), JSON.stringify(entry) + '\n');
+      this.stats.stored++;
+    } catch (error) {
+      this.stats.writeErrors++;
+      if (this.logger) this.logger.error('Dead-letter write failed', error);
+    }
+
+    return entry;
+  }
+
+  files() {
+    if (!fs.existsSync(this.options.dir)) return [];
+    return fs.readdirSync(this.options.dir)
+      .filter(file => file.startsWith('dead-letters-') && file.endsWith('.ndjson'))
+      .sort()
+      .map(file => path.join(this.options.dir, file));
+  }
+
+  // Entries oldest first, optionally filtered:
+  //   { errorType, tag, topic, format, since, limit }
+  // errorType matches case-insensitively against the error types or messages
+  read(filter = {}) {
+    const entries = [];
+    const wantedType = filter.errorType ? filter.errorType.toLowerCase() : null;
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+
+    for (const file of this.files()) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue; // Partially written line
+        }
+
+        if (wantedType && ![...DeadLetterStore.errorTypes(entry.errors), ...(entry.errors || [])]
+          .some(text => text.toLowerCase().includes(wantedType))) continue;
+        if (filter.tag && !(entry.tags || []).includes(filter.tag)) continue;
+        if (filter.topic && entry.topic !== filter.topic) continue;
+        if (filter.format && entry.format !== filter.format) continue;
+        if (since && new Date(entry.storedAt).getTime() < since) continue;
+
+        entries.push(entry);
+      }
+    }
+
+    return filter.limit ? entries.slice(-filter.limit) : entries;
+  }
+
+  // Entry counts per error type (recomputed from the messages, so entries
+  // written by older versions are bucketed the same way)
+  summarize(entries = this.read()) {
+    const counts = {};
+    for (const entry of entries) {
+      for (const type of DeadLetterStore.errorTypes(entry.errors)) {
+        counts[type] = (counts[type] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  // Run entries through a parse function again (e.g. parser.parse after a
+  // rule change) and report which ones pass now
+  replay(entries, parse) {
+    const results = entries.map(entry => {
+      const result = parse(entry.original, entry.topic);
+      return {
+        id: entry.id,
+        original: entry.original,
+        topic: entry.topic,
+        previousErrors: entry.errors,
+        valid: result.valid,
+        errors: result.validationErrors,
+        format: result.format,
+        data: result.valid ? result.data : undefined
+      };
+    });
+
+    return {
+      total: results.length,
+      nowValid: results.filter(result => result.valid).length,
+      stillInvalid: results.filter(result => !result.valid).length,
+      results
+    };
+  }
+
+  getStats() {
+    return {
+      dir: this.options.dir,
+      ...this.stats
+    };
+  }
+
+  // Same types as the validation_errors_total metric:
+  // 'Temperature out of range: 150 (must be -40 to 85)' -> 'out_of_range'
+  static errorTypes(errors = []) {
+    return Array.from(new Set(errors.map(errorType)));
+  }
+}
+
+module.exports = DeadLetterStore;
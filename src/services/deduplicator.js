@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+const KEY_MODES = ['uuid-timestamp', 'content-hash'];
+
+// Suppresses repeated readings (QoS 1 redelivery, device retries). Keys are
+// remembered for windowMs from first sight, and the oldest keys are evicted
+// once maxEntries is reached so memory stays bounded.
+class Deduplicator {
+  constructor(options = {}) {
+    this.options = {
+      key: options.key || 'uuid-timestamp',
+      windowMs: options.windowMs || 5 * 60 * 1000,
+      maxEntries: options.maxEntries || 10000
+    };
+
+    if (!KEY_MODES.includes(this.options.key)) {
+      throw new Error(`Invalid dedup key "${this.options.key}" (use ${KEY_MODES.join(', ')})`);
+    }
+
+    // Map iteration order is insertion order, so the first entry is the oldest
+    this.seen = new Map();
+    this.stats = {
+      checked: 0,
+      duplicates: 0,
+      evicted: 0
+    };
+  }
+
+  keyFor(data) {
+    if (this.options.key === 'uuid-timestamp') {
+      return `${data.uuid}:${data.timestamp}`;
+    }
+
+    // Content hash over the reading itself, ignoring parser metadata (_topic, _receivedAt...)
+    const content = Object.keys(data)
+      .filter(name => !name.startsWith('_'))
+      .sort()
+      .map(name => [name, data[name]]);
+    return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+  }
+
+  // Returns the first-seen time when data is a duplicate, null otherwise
+  check(data, now = Date.now()) {
+    this.stats.checked++;
+    this.expire(now);
+
+    const key = this.keyFor(data);
+    const firstSeen = this.seen.get(key);
+    if (firstSeen !== undefined) {
+      this.stats.duplicates++;
+      return firstSeen;
+    }
+
+    this.seen.set(key, now);
+    if (this.seen.size > this.options.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
+      this.stats.evicted++;
+    }
+    return null;
+  }
+
+  expire(now) {
+    for (const [key, firstSeen] of this.seen) {
+      if (now - firstSeen < this.options.windowMs) break;
+      this.seen.delete(key);
+    }
+  }
+
+  getStats() {
+    return {
+      key: this.options.key,
+      windowMs: this.options.windowMs,
+      tracked: this.seen.size,
+      ...this.stats
+    };
+  }
+}
+
+Deduplicator.KEY_MODES = KEY_MODES;
+
+module.exports = Deduplicator;
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+
+const UNKNOWN_DEVICE_POLICIES = ['allow', 'reject', 'quarantine', 'auto-register'];
+
+// File-backed device registry (JSON keyed by UUID):
+//   { "<uuid>": { name, location, model, firmware, schema: { temperature: { min, max } } } }
+// Decides what happens to readings from unregistered devices, supplies the
+// per-device schema overrides used by the validation engine and the metadata
+// used for enrichment. UUIDs are matched case-insensitively.
+//
+// The registry file is only read. Auto-registered devices are kept in a
+// separate data file (autoRegisterPath), written at most every saveDebounceMs
+// so a burst of new devices does not rewrite it once per message.
+class DeviceRegistry {
+  constructor(options = {}) {
+    this.options = {
+      registryPath: options.registryPath || './config/devices.json',
+      autoRegisterPath: options.autoRegisterPath || './logs/devices-auto.json',
+      saveDebounceMs: options.saveDebounceMs ?? 5000,
+      unknownDevicePolicy: options.unknownDevicePolicy || 'allow',
+      autoLoad: options.autoLoad !== false, // false: the owner calls load() itself
+      logger: options.logger || null
+    };
+
+    if (!UNKNOWN_DEVICE_POLICIES.includes(this.options.unknownDevicePolicy)) {
+      throw new Error(`Invalid unknown device policy "${this.options.unknownDevicePolicy}" (use ${UNKNOWN_DEVICE_POLICIES.join(', ')})`);
+    }
+
+    this.devices = {};
+    this.autoRegistered = {};
+    this.saveTimer = null;
+    this.stats = {
+      accepted: 0,
+      rejected: 0,
+      quarantined: 0,
+      autoRegistered: 0
+    };
+
+    if (this.options.autoLoad) {
+      this.load();
+    }
+  }
+
+  load() {
+    this.autoRegistered = this.readFile(this.options.autoRegisterPath);
+    // Devices in the registry file take precedence over auto-registered ones
+    this.devices = { ...this.autoRegistered, ...this.readFile(this.options.registryPath) };
+    if (Object.keys(this.devices).length > 0) {
+      this.log('info', `Device registry loaded: ${Object.keys(this.devices).length} devices`, { path: this.options.registryPath });
+    }
+    return this;
+  }
+
+  readFile(file) {
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      const devices = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Object.fromEntries(Object.entries(devices).map(([uuid, device]) => [normalize(uuid), device]));
+    } catch (error) {
+      this.log('error', 'Failed to load device registry', { path: file, message: error.message });
+      return {};
+    }
+  }
+
+  // Debounced write of the auto-registered devices
+  scheduleSave() {
+    if (this.saveTimer) return;
+    if (this.options.saveDebounceMs === 0) {
+      this.save();
+      return;
+    }
+    this.saveTimer = setTimeout(() => this.save(), this.options.saveDebounceMs);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const file = this.options.autoRegisterPath;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(this.autoRegistered, null, 2) + '\n');
+    } catch (error) {
+      this.log('error', 'Failed to save auto-registered devices', { path: file, message: error.message });
+    }
+  }
+
+  // Write pending auto-registrations now (on shutdown)
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  get(uuid) {
+    return this.devices[normalize(uuid)] || null;
+  }
+
+  has(uuid) {
+    return Boolean(this.get(uuid));
+  }
+
+  list() {
+    return Object.entries(this.devices).map(([uuid, device]) => ({ uuid, ...device }));
+  }
+
+  // Runtime registration, persisted to autoRegisterPath
+  register(uuid, metadata = {}) {
+    const key = normalize(uuid);
+    this.devices[key] = { ...this.devices[key], ...metadata };
+    this.autoRegistered[key] = this.devices[key];
+    this.scheduleSave();
+    return this.devices[key];
+  }
+
+  // Schema overrides by UUID, handed to the validation engine (and workers)
+  getSchemaOverrides() {
+    const overrides = {};
+    for (const [uuid, device] of Object.entries(this.devices)) {
+      if (device.schema) overrides[uuid] = device.schema;
+    }
+    return overrides;
+  }
+
+  // Verdict for a valid record: { action: 'accept' | 'reject' | 'quarantine', errors }
+  admit(data) {
+    if (this.has(data.uuid)) {
+      this.stats.accepted++;
+      return { action: 'accept', errors: [] };
+    }
+
+    switch (this.options.unknownDevicePolicy) {
+      case 'reject':
+        this.stats.rejected++;
+        return { action: 'reject', errors: [`Unregistered device: ${data.uuid}`] };
+
+      case 'quarantine':
+        this.stats.quarantined++;
+        return { action: 'quarantine', errors: [`Unregistered device: ${data.uuid}`] };
+
+      case 'auto-register':
+        this.register(data.uuid, {
+          name: data.uuid,
+          firmware: data.version,
+          autoRegistered: true,
+          firstSeen: new Date().toISOString()
+        });
+        this.stats.autoRegistered++;
+        this.log('info', 'Device auto-registered', { uuid: data.uuid });
+        return { action: 'accept', errors: [] };
+
+      default:
+        this.stats.accepted++;
+        return { action: 'accept', errors: [] };
+    }
+  }
+
+  // Metadata attached to valid records as data._device
+  enrich(data) {
+    const device = this.get(data.uuid);
+    if (!device) return data;
+
+    data._device = {
+      name: device.name,
+      location: device.location,
+      model: device.model
+    };
+
+    if (device.firmware && data.version && device.firmware !== data.version) {
+      data._device.expectedFirmware = device.firmware;
+      data._device.firmwareMismatch = true;
+    }
+
+    return data;
+  }
+
+  getStats() {
+    return {
+      registered: Object.keys(this.devices).length,
+      policy: this.options.unknownDevicePolicy,
+      ...this.stats
+    };
+  }
+
+  log(level, message, data) {
+    if (this.options.logger) {
+      this.options.logger[level](message, data);
+    }
+  }
+}
+
+function normalize(uuid) {
+  return typeof uuid === 'string' ? uuid.toLowerCase() : uuid;
+}
+
+DeviceRegistry.UNKNOWN_DEVICE_POLICIES = UNKNOWN_DEVICE_POLICIES;
+
+module.exports = DeviceRegistry;
@@ -0,0 +1,127 @@
+const EventEmitter = require('eventemitter3');
+
+// Per-device liveness. Records when each UUID was last seen and how often it
+// reports (configured interval, or learned from the gaps between readings),
+// and flags a device offline after it misses `missedIntervals` reports.
+//
+// Events:
+//   'device-offline' (device)  no report for missedIntervals × expected interval
+//   'device-online'  (device)  first report after being offline
+class LivenessTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      defaultIntervalMs: options.defaultIntervalMs || 60000,
+      missedIntervals: options.missedIntervals || 3,
+      checkIntervalMs: options.checkIntervalMs || 10000
+    };
+
+    this.devices = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.check(), this.options.checkIntervalMs);
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this;
+  }
+
+  // configuredIntervalMs comes from the device registry when set
+  seen(uuid, { configuredIntervalMs = null, at = Date.now() } = {}) {
+    let device = this.devices.get(uuid);
+
+    if (!device) {
+      device = {
+        uuid,
+        status: 'online',
+        firstSeen: at,
+        lastSeen: at,
+        messages: 0,
+        learnedIntervalMs: null,
+        configuredIntervalMs,
+        offlineSince: null
+      };
+      this.devices.set(uuid, device);
+    } else {
+      // Exponentially weighted average of the observed reporting gap
+      // (an outage is not a reporting interval, so it is not learned)
+      const gap = at - device.lastSeen;
+      if (gap > 0 && device.status === 'online') {
+        device.learnedIntervalMs = device.learnedIntervalMs === null
+          ? gap
+          : Math.round(device.learnedIntervalMs * 0.8 + gap * 0.2);
+      }
+      device.lastSeen = Math.max(device.lastSeen, at);
+      device.configuredIntervalMs = configuredIntervalMs;
+    }
+
+    device.messages++;
+
+    if (device.status === 'offline') {
+      const downtimeMs = at - device.offlineSince;
+      device.status = 'online';
+      device.offlineSince = null;
+      this.emit('device-online', { ...this.describe(device), downtimeMs });
+    }
+
+    return device;
+  }
+
+  expectedInterval(device) {
+    return device.configuredIntervalMs || device.learnedIntervalMs || this.options.defaultIntervalMs;
+  }
+
+  check(now = Date.now()) {
+    for (const device of this.devices.values()) {
+      if (device.status !== 'online') continue;
+
+      const deadline = device.lastSeen + this.expectedInterval(device) * this.options.missedIntervals;
+      if (now > deadline) {
+        device.status = 'offline';
+        device.offlineSince = now;
+        this.emit('device-offline', this.describe(device, now));
+      }
+    }
+  }
+
+  describe(device, now = Date.now()) {
+    return {
+      uuid: device.uuid,
+      status: device.status,
+      lastSeen: new Date(device.lastSeen).toISOString(),
+      silentForMs: now - device.lastSeen,
+      expectedIntervalMs: this.expectedInterval(device),
+      messages: device.messages,
+      offlineSince: device.offlineSince ? new Date(device.offlineSince).toISOString() : null
+    };
+  }
+
+  get(uuid) {
+    const device = this.devices.get(uuid);
+    return device ? this.describe(device) : null;
+  }
+
+  list() {
+    const now = Date.now();
+    return Array.from(this.devices.values()).map(device => this.describe(device, now));
+  }
+
+  getStats() {
+    const devices = Array.from(this.devices.values());
+    return {
+      tracked: devices.length,
+      online: devices.filter(device => device.status === 'online').length,
+      offline: devices.filter(device => device.status === 'offline').length
+    };
+  }
+}
+
+module.exports = LivenessTracker;
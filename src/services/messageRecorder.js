@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('eventemitter3');
+
+// Captures raw MQTT traffic for offline replay. A message is registered when
+// it arrives and written once its verdict is known, one NDJSON line each:
+//   { receivedAt, topic, payload, verdict, errors, format }
+// verdict: 'valid' | 'invalid' | 'duplicate' | 'quarantine' | 'dropped' | null
+// Verdicts are matched back to arrivals by topic + payload (first in, first
+// out), since worker threads may finish messages out of order.
+//
+// Events:
+//   'recorded' (entry)
+class MessageRecorder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      dir: options.dir || path.join(process.cwd(), 'logs', 'captures'),
+      writeToFile: options.writeToFile !== false
+    };
+
+    this.file = this.options.writeToFile
+      ? path.join(this.options.dir, `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`)
+      : null;
+    this.pending = new Map(); // topic + payload -> arrivals waiting for a verdict
+    this.logger = options.logger || null;
+    this.stats = {
+      received: 0,
+      recorded: 0,
+      writeErrors: 0
+    };
+  }
+
+  key(topic, payload) {
+    return `${topic}\n${payload}`;
+  }
+
+  received(topic, payload, receivedAt = new Date()) {
+    const key = this.key(topic, payload);
+    const arrivals = this.pending.get(key) || [];
+    arrivals.push({ receivedAt: receivedAt.toISOString(), topic, payload });
+    this.pending.set(key, arrivals);
+    this.stats.received++;
+  }
+
+  settle(topic, payload, { verdict, errors = [], format = null }) {
+    const key = this.key(topic, payload);
+    const arrivals = this.pending.get(key);
+    if (!arrivals) return; // Not seen by handleMessage (e.g. handleParsed called directly)
+
+    const arrival = arrivals.shift();
+    if (arrivals.length === 0) this.pending.delete(key);
+
+    this.write({ ...arrival, verdict, errors, format });
+  }
+
+  write(entry) {
+    if (this.file) {
+      try {
+        if (!fs.existsSync(this.options.dir)) {
+          fs.mkdirSync(this.options.dir, { recursive: true });
+        }
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+      } catch (error) {
+        this.stats.writeErrors++;
+        if (this.logger) this.logger.error('Capture write failed', error);
+        return;
+      }
+    }
+
+    this.stats.recorded++;
+    this.emit('recorded', entry);
+  }
+
+  // Messages still in flight are written without a verdict
+  flush() {
+    const arrivals = Array.from(this.pending.values()).flat()
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+    this.pending.clear();
+    arrivals.forEach(arrival => this.write({ ...arrival, verdict: null, errors: [], format: null }));
+  }
+
+  getStats() {
+    return {
+      file: this.file,
+      pending: this.stats.received - this.stats.recorded - this.stats.writeErrors,
+      ...this.stats
+    };
+  }
+
+  // Read a capture file back, oldest arrival first
+  static load(file) {
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  }
+}
+
+module.exports = MessageRecorder;
@@ -0,0 +1,181 @@
+// Minimal Prometheus instrumentation: counters, gauges and histograms with
+// labels, rendered in the text exposition format (version 0.0.4).
+//
+//   const registry = new MetricsRegistry({ prefix: 'iot_parser_' });
+//   const messages = registry.counter({ name: 'messages_total', help: '...', labelNames: ['verdict'] });
+//   messages.inc({ verdict: 'valid' });
+//   registry.render();
+//
+// Any metric can take a collect(metric) callback that refreshes it on every
+// render, for values that live elsewhere (queue depth, sink stats).
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map(); // label key -> { labels, value }
+  }
+
+  key(labels) {
+    return this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+  }
+
+  labelsFor(labels) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  formatLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    // An unlabelled metric is always reported, starting at 0
+    if (this.series.size === 0 && this.labelNames.length === 0) {
+      lines.push(...this.renderSeries({ labels: {}, ...this.initial() }));
+    }
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines;
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${this.formatLabels(labels)} ${formatValue(value)}`];
+  }
+
+  get(labels = {}) {
+    const key = this.key(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: this.labelsFor(labels), ...this.initial() });
+    }
+    return this.series.get(key);
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels).value += amount;
+  }
+
+  // For counts kept elsewhere (e.g. sink stats) that only ever grow
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.get(labels).value = Number(value);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.get(labels).value -= amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])].sort((a, b) => a - b);
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${this.formatLabels(labels, { le: formatValue(bound) })} ${counts[index]}`),
+      `${this.name}_bucket${this.formatLabels(labels, { le: '+Inf' })} ${count}`,
+      `${this.name}_sum${this.formatLabels(labels)} ${sum}`,
+      `${this.name}_count${this.formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter({ ...options, name: this.prefix + options.name }));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge({ ...options, name: this.prefix + options.name }));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram({ ...options, name: this.prefix + options.name }));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) metric.collect(metric);
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram };
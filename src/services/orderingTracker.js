@@ -0,0 +1,50 @@
+// Per-device ordering. Each valid reading is classified against the newest
+// timestamp already seen from the same device:
+//   'in-order'  not older than the previous reading
+//   'late'      older than the previous reading, but by no more than lateToleranceMs
+//   'stale'     older than that, or older than maxAgeMs relative to now
+class OrderingTracker {
+  constructor(options = {}) {
+    this.options = {
+      lateToleranceMs: options.lateToleranceMs ?? 60 * 1000,
+      maxAgeMs: options.maxAgeMs ?? 24 * 60 * 60 * 1000
+    };
+
+    this.latest = new Map();
+    this.stats = {
+      inOrder: 0,
+      late: 0,
+      stale: 0
+    };
+  }
+
+  classify(data, now = Date.now()) {
+    const timestamp = data.timestamp;
+    const previous = this.latest.get(data.uuid);
+    let ordering = 'in-order';
+
+    if (now - timestamp > this.options.maxAgeMs) {
+      ordering = 'stale';
+    } else if (previous !== undefined && timestamp < previous) {
+      ordering = previous - timestamp <= this.options.lateToleranceMs ? 'late' : 'stale';
+    }
+
+    if (ordering === 'in-order') {
+      this.latest.set(data.uuid, timestamp);
+      this.stats.inOrder++;
+    } else {
+      this.stats[ordering]++;
+    }
+
+    return ordering;
+  }
+
+  getStats() {
+    return {
+      devices: this.latest.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = OrderingTracker;
@@ -0,0 +1,89 @@
+// Fixed-size FIFO: once full, every push overwrites the oldest entry
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.next = 0;
+    this.size = 0;
+  }
+
+  push(item) {
+    this.items[this.next] = item;
+    this.next = (this.next + 1) % this.capacity;
+    this.size = Math.min(this.size + 1, this.capacity);
+  }
+
+  // Newest first
+  toArray(limit = this.size) {
+    const result = [];
+    for (let i = 1; i <= Math.min(limit, this.size); i++) {
+      result.push(this.items[(this.next - i + this.capacity) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+// In-memory view of recent traffic for the HTTP API: the last `size` valid
+// readings and invalid messages, plus the latest reading of up to
+// `maxDevices` devices (the one silent the longest is dropped first).
+class RecentMessages {
+  constructor(options = {}) {
+    this.options = {
+      size: options.size || 100,
+      maxDevices: options.maxDevices || 10000
+    };
+
+    this.valid = new RingBuffer(this.options.size);
+    this.invalid = new RingBuffer(this.options.size);
+    this.latest = new Map(); // lowercased uuid -> { receivedAt, topic, format, data }, oldest first
+  }
+
+  addValid({ data, topic, format }) {
+    const entry = { receivedAt: data._receivedAt || new Date().toISOString(), topic, format, data };
+    this.valid.push(entry);
+
+    // Re-inserted so the Map stays ordered by last reading
+    const key = String(data.uuid).toLowerCase();
+    this.latest.delete(key);
+    this.latest.set(key, entry);
+    if (this.latest.size > this.options.maxDevices) {
+      this.latest.delete(this.latest.keys().next().value);
+    }
+  }
+
+  addInvalid({ data, original, errors, topic, format }) {
+    this.invalid.push({
+      receivedAt: data?._receivedAt || new Date().toISOString(),
+      topic,
+      format,
+      uuid: data?.uuid ?? null,
+      errors,
+      original
+    });
+  }
+
+  getLatest(uuid) {
+    return this.latest.get(String(uuid).toLowerCase()) || null;
+  }
+
+  recentReadings(limit) {
+    return this.valid.toArray(limit);
+  }
+
+  recentErrors(limit) {
+    return this.invalid.toArray(limit);
+  }
+
+  getStats() {
+    return {
+      size: this.options.size,
+      maxDevices: this.options.maxDevices,
+      readings: this.valid.size,
+      errors: this.invalid.size,
+      devices: this.latest.size
+    };
+  }
+}
+
+module.exports = RecentMessages;
+module.exports.RingBuffer = RingBuffer;
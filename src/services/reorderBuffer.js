@@ -0,0 +1,108 @@
+const EventEmitter = require('eventemitter3');
+
+// Holds readings for delayMs and releases them per device in timestamp order,
+// so a reading that arrives shortly after a newer one is still delivered
+// first. Anything arriving after its successors were released stays late.
+//
+// Events:
+//   'release' (record)
+class ReorderBuffer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      delayMs: options.delayMs || 5000,
+      maxBuffered: options.maxBuffered || 10000
+    };
+
+    this.buffers = new Map(); // uuid -> entries sorted by timestamp
+    this.size = 0;
+    this.timer = null;
+    this.stats = {
+      buffered: 0,
+      released: 0,
+      reordered: 0
+    };
+  }
+
+  push(uuid, timestampMs, record, now = Date.now()) {
+    const entries = this.buffers.get(uuid) || [];
+    const entry = { timestampMs, record, releaseAt: now + this.options.delayMs };
+
+    // Insert keeping timestamp order (stable for equal timestamps)
+    let index = entries.length;
+    while (index > 0 && entries[index - 1].timestampMs > timestampMs) index--;
+    if (index < entries.length) this.stats.reordered++;
+    entries.splice(index, 0, entry);
+
+    this.buffers.set(uuid, entries);
+    this.size++;
+    this.stats.buffered++;
+
+    // Bounded memory: release the oldest entries early when full
+    if (this.size > this.options.maxBuffered) {
+      this.releaseUntil(uuid, entries[0].timestampMs);
+    }
+
+    this.schedule();
+  }
+
+  // Release every entry of a device up to (and including) the given timestamp
+  releaseUntil(uuid, timestampMs) {
+    const entries = this.buffers.get(uuid) || [];
+    while (entries.length > 0 && entries[0].timestampMs <= timestampMs) {
+      const entry = entries.shift();
+      this.size--;
+      this.stats.released++;
+      this.emit('release', entry.record);
+    }
+    if (entries.length === 0) this.buffers.delete(uuid);
+  }
+
+  flush(now = Date.now()) {
+    for (const [uuid, entries] of this.buffers) {
+      // Newest timestamp whose hold time is over; everything older goes with it
+      const due = entries.filter(entry => entry.releaseAt <= now);
+      if (due.length === 0) continue;
+      this.releaseUntil(uuid, Math.max(...due.map(entry => entry.timestampMs)));
+    }
+  }
+
+  flushAll() {
+    for (const uuid of Array.from(this.buffers.keys())) {
+      this.releaseUntil(uuid, Infinity);
+    }
+    this.stop();
+  }
+
+  schedule() {
+    if (this.timer || this.size === 0) return;
+
+    let next = Infinity;
+    for (const entries of this.buffers.values()) {
+      for (const entry of entries) next = Math.min(next, entry.releaseAt);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+      this.schedule();
+    }, Math.max(0, next - Date.now()));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      delayMs: this.options.delayMs,
+      pending: this.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ReorderBuffer;
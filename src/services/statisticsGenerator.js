@@ -55,6 +55,7 @@ class StatisticsGenerator {
         temperatureStats: { min: null, max: null, avg: 0, count: 0 },
         humidityStats: { min: null, max: null, avg: 0, count: 0 },
         uniqueDevices: new Set(),
+        devices: {},
         versions: {}
       },
       validationErrors: {}
@@ -89,9 +90,16 @@ class StatisticsGenerator {
         case 'success':
           stats.summary.validMessages++;
           if (log.data) {
-            // Track unique devices
+            // Track unique devices (with registry metadata when logged)
             if (log.data.uuid) {
               stats.sensorData.uniqueDevices.add(log.data.uuid);
+
+              const device = stats.sensorData.devices[log.data.uuid] ||
+                { name: null, location: null, messages: 0 };
+              device.name = log.data.device || device.name;
+              device.location = log.data.location || device.location;
+              device.messages++;
+              stats.sensorData.devices[log.data.uuid] = device;
             }
 
             // Track versions
@@ -205,6 +213,11 @@ Generated: ${new Date().toISOString()}
 - **Unique Devices**: ${stats.sensorData.uniqueDevices.length}
 - **Device UUIDs**: ${stats.sensorData.uniqueDevices.join(', ')}
 
+| UUID | Name | Location | Messages |
+|---|---|---|---|
+${Object.entries(stats.sensorData.devices).map(([uuid, device]) =>
+      `| ${uuid} | ${device.name || '-'} | ${device.location || '-'} | ${device.messages} |`).join('\n')}
+
 ### Versions
 ${Object.entries(stats.sensorData.versions).map(([version, count]) =>
       `- **${version}**: ${count} messages`).join('\n')}
@@ -247,11 +260,11 @@ ${Object.entries(stats.validationErrors).map(([error, count]) =>
   generateCSV() {
     const logs = this.readLogFiles();
 
-    let csv = 'timestamp,level,message,uuid,temperature,humidity,version,actuator\n';
+    let csv = 'timestamp,level,message,uuid,temperature,humidity,version,actuator,device,location\n';
 
     for (const log of logs) {
       const data = log.data || {};
-      csv += `${log.timestamp},${log.level},"${log.message}",${data.uuid || ''},${data.temperature || ''},${data.humidity || ''},${data.version || ''},${data.actuator || ''}\n`;
+      csv += `${log.timestamp},${log.level},"${log.message}",${data.uuid || ''},${data.temperature || ''},${data.humidity || ''},${data.version || ''},${data.actuator || ''},${data.device || ''},"${data.location || ''}"\n`;
     }
 
     return csv;
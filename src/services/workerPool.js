@@ -0,0 +1,282 @@
+const { Worker } = require('worker_threads');
+const EventEmitter = require('eventemitter3');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'pause'];
+const MAX_TASK_ATTEMPTS = 3;
+
+// Pool of parser worker threads. Every message becomes a task with an ID so
+// results can be matched to their request, the pending queue is bounded and
+// crashed workers are respawned with their in-flight task replayed.
+// Respawns back off exponentially; a worker that crashes maxRestarts times
+// in a row without finishing a task is given up on.
+//
+// Events:
+//   'result'           (result, task)  parsed result from a worker
+//   'dropped'          (task, reason)  task discarded by the overflow policy
+//   'saturated'        ()              queue reached maxQueueSize (pause policy)
+//   'drained'          ()              queue back under the low watermark
+//   'worker-restarted' (slot, code)    crashed worker replaced
+//   'idle'             ()              last queued or in-flight task settled
+//   'error'            (error)         a worker slot gave up after maxRestarts
+class WorkerPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      size: options.size || 4,
+      workerPath: options.workerPath,
+      workerData: options.workerData || {},
+      maxQueueSize: options.maxQueueSize || 1000,
+      overflowPolicy: options.overflowPolicy || 'drop-oldest',
+      // Messages still arrive while MQTT is paused (in-flight QoS deliveries);
+      // past this the pause policy drops the newest
+      maxPausedQueueSize: options.maxPausedQueueSize || (options.maxQueueSize || 1000) * 2,
+      restartBaseMs: options.restartBaseMs ?? 100,
+      restartMaxMs: options.restartMaxMs ?? 30000,
+      maxRestarts: options.maxRestarts ?? 10,
+      logger: options.logger || null
+    };
+
+    if (!OVERFLOW_POLICIES.includes(this.options.overflowPolicy)) {
+      throw new Error(`Invalid overflow policy "${this.options.overflowPolicy}" (use ${OVERFLOW_POLICIES.join(', ')})`);
+    }
+
+    this.slots = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.nextTaskId = 1;
+    this.saturated = false;
+    this.closing = false;
+
+    this.stats = {
+      submitted: 0,
+      completed: 0,
+      dropped: 0,
+      restarts: 0
+    };
+
+    for (let i = 0; i < this.options.size; i++) {
+      this.slots.push({ index: i, worker: null, task: null, processed: 0, restarts: 0, crashes: 0, respawnTimer: null, failed: false });
+      this.spawn(i);
+    }
+  }
+
+  spawn(index) {
+    const slot = this.slots[index];
+    const worker = new Worker(this.options.workerPath, { workerData: this.options.workerData });
+    slot.worker = worker;
+
+    worker.on('message', ({ id, result }) => {
+      const task = this.tasks.get(id);
+      if (!task) return; // Task already settled (e.g. replayed after a crash)
+
+      this.tasks.delete(id);
+      slot.task = null;
+      slot.crashes = 0;
+      slot.processed++;
+      this.stats.completed++;
+
+      this.emit('result', result, task);
+      this.dispatch();
+      this.checkIdle();
+    });
+
+    worker.on('error', (error) => {
+      this.log('error', `Worker ${index} error`, { message: error.message });
+    });
+
+    worker.on('exit', (code) => {
+      if (this.closing || slot.worker !== worker) return;
+      this.handleCrash(slot, code);
+    });
+  }
+
+  handleCrash(slot, code) {
+    slot.worker = null;
+    slot.crashes++;
+
+    // Replay the task the dead worker was holding, unless it keeps killing workers
+    const task = slot.task;
+    slot.task = null;
+    if (task) {
+      task.attempts++;
+      if (task.attempts >= MAX_TASK_ATTEMPTS) {
+        this.tasks.delete(task.id);
+        this.emit('result', {
+          valid: false,
+          data: {},
+          original: task.str,
+          validationErrors: [`Worker crashed ${task.attempts} times while parsing this message`],
+          processingTime: Date.now() - task.submittedAt,
+          topic: task.topic,
+          format: 'unknown'
+        }, task);
+        this.checkIdle();
+      } else {
+        this.queue.unshift(task);
+      }
+    }
+
+    if (slot.crashes > this.options.maxRestarts) {
+      slot.failed = true;
+      this.log('error', `Worker ${slot.index} crashed ${slot.crashes} times in a row, giving up on it`, { code });
+      this.emit('error', new Error(`Worker ${slot.index} crashed ${slot.crashes} times in a row`));
+      if (this.slots.every(candidate => candidate.failed)) {
+        this.dropQueued('no workers left');
+      }
+      this.dispatch();
+      return;
+    }
+
+    // Exponential backoff so a worker that dies on load does not spin
+    const delayMs = Math.min(this.options.restartBaseMs * 2 ** (slot.crashes - 1), this.options.restartMaxMs);
+    this.log('error', `Worker ${slot.index} exited unexpectedly, respawning in ${delayMs}ms`, { code });
+    slot.respawnTimer = setTimeout(() => {
+      slot.respawnTimer = null;
+      if (this.closing) return;
+      this.stats.restarts++;
+      slot.restarts++;
+      this.spawn(slot.index);
+      this.emit('worker-restarted', slot.index, code);
+      this.dispatch();
+    }, delayMs);
+    this.dispatch();
+  }
+
+  dropQueued(reason) {
+    const queued = this.queue;
+    this.queue = [];
+    queued.forEach(task => this.drop(task, reason));
+  }
+
+  // Queue a message for parsing. Returns the task ID, or null when dropped.
+  submit(str, topic = 'unknown') {
+    if (this.closing) return null;
+
+    const task = { id: this.nextTaskId++, str, topic, attempts: 0, submittedAt: Date.now() };
+    this.stats.submitted++;
+
+    if (this.slots.every(slot => slot.failed)) {
+      this.drop(task, 'no workers left');
+      return null;
+    }
+
+    if (this.queue.length >= this.options.maxQueueSize) {
+      switch (this.options.overflowPolicy) {
+        case 'drop-newest':
+          this.drop(task, 'queue full (drop-newest)');
+          return null;
+
+        case 'drop-oldest':
+          this.drop(this.queue.shift(), 'queue full (drop-oldest)');
+          break;
+
+        case 'pause':
+          // Nothing is dropped while the owner stops the inflow, up to the hard limit
+          if (this.queue.length >= this.options.maxPausedQueueSize) {
+            this.drop(task, 'queue full (pause limit)');
+            return null;
+          }
+          break;
+      }
+    }
+
+    this.tasks.set(task.id, task);
+    this.queue.push(task);
+    this.dispatch();
+
+    if (this.options.overflowPolicy === 'pause' && !this.saturated &&
+      this.queue.length >= this.options.maxQueueSize) {
+      this.saturated = true;
+      this.emit('saturated');
+    }
+
+    return task.id;
+  }
+
+  drop(task, reason) {
+    this.tasks.delete(task.id);
+    this.stats.dropped++;
+    this.emit('dropped', task, reason);
+    this.checkIdle();
+  }
+
+  checkIdle() {
+    if (this.tasks.size === 0) this.emit('idle');
+  }
+
+  // Resolves true once every submitted task has a result (or was dropped),
+  // false if that takes longer than timeoutMs
+  drain(timeoutMs = 5000) {
+    if (this.tasks.size === 0) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const onIdle = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        this.off('idle', onIdle);
+        resolve(false);
+      }, timeoutMs);
+      this.once('idle', onIdle);
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) break;
+      if (slot.task || !slot.worker) continue;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({ id: task.id, str: task.str, topic: task.topic });
+    }
+
+    if (this.saturated && this.queue.length <= Math.floor(this.options.maxQueueSize / 2)) {
+      this.saturated = false;
+      this.emit('drained');
+    }
+  }
+
+  getStats() {
+    return {
+      workers: this.slots.length,
+      queueDepth: this.queue.length,
+      inFlight: this.slots.filter(slot => slot.task).length,
+      maxQueueSize: this.options.maxQueueSize,
+      liveWorkers: this.slots.filter(slot => slot.worker).length,
+      overflowPolicy: this.options.overflowPolicy,
+      saturated: this.saturated,
+      ...this.stats,
+      perWorker: this.slots.map(slot => ({
+        index: slot.index,
+        threadId: slot.worker ? slot.worker.threadId : null,
+        busy: Boolean(slot.task),
+        processed: slot.processed,
+        restarts: slot.restarts,
+        failed: slot.failed
+      }))
+    };
+  }
+
+  async terminate() {
+    this.closing = true;
+    this.slots.forEach((slot) => {
+      clearTimeout(slot.respawnTimer);
+      slot.respawnTimer = null;
+    });
+    this.queue = [];
+    this.tasks.clear();
+    await Promise.all(this.slots.map(slot => slot.worker && slot.worker.terminate()));
+  }
+
+  log(level, message, data) {
+    if (this.options.logger) {
+      this.options.logger[level](message, data);
+    }
+  }
+}
+
+WorkerPool.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+
+module.exports = WorkerPool;
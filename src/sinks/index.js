@@ -0,0 +1,41 @@
+const Sink = require('./sink');
+const InfluxSink = require('./influxSink');
+const FileSink = require('./fileSink');
+const WebhookSink = require('./webhookSink');
+const KafkaSink = require('./kafkaSink');
+
+// Sink types that can be named in config.sinks ({ type: 'file', ... })
+const sinkTypes = {
+  [InfluxSink.type]: InfluxSink,
+  [FileSink.type]: FileSink,
+  [WebhookSink.type]: WebhookSink,
+  [KafkaSink.type]: KafkaSink
+};
+
+function registerSinkType(type, SinkClass) {
+  if (!(SinkClass.prototype instanceof Sink)) {
+    throw new Error(`Sink type ${type} must extend Sink`);
+  }
+  sinkTypes[type] = SinkClass;
+}
+
+// Build a sink from a config definition; shared options (schema, logger)
+// come from the parser and are overridden by the definition
+function createSink(definition, shared = {}) {
+  const SinkClass = sinkTypes[definition.type];
+  if (!SinkClass) {
+    throw new Error(`Unknown sink type "${definition.type}" (known: ${Object.keys(sinkTypes).join(', ')})`);
+  }
+  return new SinkClass({ ...shared, ...definition });
+}
+
+module.exports = {
+  Sink,
+  InfluxSink,
+  FileSink,
+  WebhookSink,
+  KafkaSink,
+  sinkTypes,
+  registerSinkType,
+  createSink
+};
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const { InfluxDB, Point } = require('@influxdata/influxdb-client');
+const Sink = require('./sink');
+
+// Rejected for what the batch contains, so sending it again cannot succeed
+const REJECTED_STATUS_CODES = [400, 413, 422];
+
+function isRejected(error) {
+  return REJECTED_STATUS_CODES.includes(error?.statusCode);
+}
+
+// Buffered, retrying InfluxDB sink. Each valid record becomes one point
+// (line protocol); lines are collected and sent in batches through
+// `transport(lines)`, a function returning a promise. Without a transport
+// option one is built on an InfluxDB client in start(). A failed batch is retried with exponential backoff; once the retries run out,
+// or when too much piles up in memory, batches go to an on-disk spool (one
+// .lp file per batch) that is drained after the next successful write.
+// A batch the database refuses as malformed (400, 413, 422) is not retried:
+// it is counted as failed and, if it came from the spool, renamed to
+// .rejected so it no longer blocks the drain.
+//
+// Status: 'idle' (nothing sent yet), 'ok', 'retrying', 'down' (spooling)
+//
+// Events:
+//   'written'  ({ count, fromSpool })
+//   'retry'    ({ count, attempt, delayMs, error })
+//   'spooled'  ({ count, file, reason })
+//   'failed'   ({ count, error })          lines dropped for good
+//   'status'   (status, previousStatus)
+class InfluxSink extends Sink {
+  constructor(options = {}) {
+    super(options);
+    if (typeof options.transport !== 'function' && !(options.url && options.token)) {
+      throw new Error('InfluxSink needs url and token, or a transport(lines) function');
+    }
+
+    this.transport = options.transport || null;
+    this.client = null;
+    this.writeApi = null;
+    this.influx = {
+      url: options.url,
+      token: options.token,
+      org: options.org,
+      bucket: options.bucket,
+      measurement: options.measurement || 'iot_telemetry',
+      schema: options.schema || {},
+      defaultTags: options.defaultTags || {}
+    };
+    this.options = {
+      batchSize: options.batchSize || 500,
+      flushIntervalMs: options.flushIntervalMs || 1000,
+      maxRetries: options.maxRetries ?? 5,
+      retryBaseMs: options.retryBaseMs || 1000,
+      retryMaxMs: options.retryMaxMs || 60 * 1000,
+      maxBufferedLines: options.maxBufferedLines || 10000,
+      spoolDir: options.spoolDir || path.join(process.cwd(), 'logs', 'spool', 'influx'),
+      maxSpoolBytes: options.maxSpoolBytes || 100 * 1024 * 1024
+    };
+
+    this.buffer = [];
+    this.inFlight = null; // { lines, attempt, fromSpool }
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.spool = []; // { file, lines, bytes }, oldest first
+    this.spoolSeq = 0;
+    this.stopping = false;
+    this.stats = {
+      written: 0,
+      failed: 0,
+      retries: 0,
+      spooledTotal: 0,
+      lastError: null,
+      lastWriteAt: null
+    };
+  }
+
+  // Connect, pick up batches spooled by a previous run and start the flush timer
+  start() {
+    if (!this.transport) {
+      this.client = new InfluxDB({ url: this.influx.url, token: this.influx.token });
+      // Batching and retries are done here, so the client only sends
+      this.writeApi = this.client.getWriteApi(this.influx.org, this.influx.bucket, 'ns', {
+        batchSize: this.options.batchSize + 1,
+        flushInterval: 0,
+        maxRetries: 0
+      });
+      this.transport = async (lines) => {
+        this.writeApi.writeRecords(lines);
+        await this.writeApi.flush();
+      };
+    }
+
+    if (fs.existsSync(this.options.spoolDir)) {
+      this.spool = fs.readdirSync(this.options.spoolDir)
+        .filter(file => file.endsWith('.lp'))
+        .sort()
+        .map(file => {
+          const full = path.join(this.options.spoolDir, file);
+          const content = fs.readFileSync(full, 'utf8');
+          return { file: full, lines: content.split('\n').filter(Boolean).length, bytes: Buffer.byteLength(content) };
+        });
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+    }
+    this.flush();
+    return this;
+  }
+
+  write(record) {
+    this.writeLine(this.toPoint(record).toLineProtocol({ defaultTags: this.influx.defaultTags }));
+  }
+
+  toPoint({ data, topic, format, instanceId }) {
+    const point = new Point(this.influx.measurement)
+      .tag('device_uuid', data.uuid)
+      .tag('topic', topic)
+      .tag('format', format || 'pipe')
+      .tag('instance', data._instanceId || instanceId)
+      .intField('timestamp', data.timestamp)
+      .timestamp(new Date(data.timestamp));
+
+    // Registry metadata
+    if (data._device) {
+      for (const [tag, value] of [['device_name', data._device.name], ['location', data._device.location], ['model', data._device.model]]) {
+        if (value) point.tag(tag, value);
+      }
+    }
+
+    // Tags captured from the topic template (site, room, ...)
+    for (const [name, value] of Object.entries(data._tags || {})) {
+      point.tag(name, value);
+    }
+
+    // Agregar campos de sensor declarados en el schema
+    for (const [name, def] of Object.entries(this.influx.schema)) {
+      if (name === 'uuid' || name === 'timestamp' || data[name] === undefined) continue;
+
+      if (def.type === 'integer') {
+        point.intField(name, data[name]);
+      } else if (def.type === 'float') {
+        point.floatField(name, data[name]);
+      } else {
+        point.stringField(name, data[name].toString());
+      }
+    }
+
+    return point;
+  }
+
+  writeLine(line) {
+    this.buffer.push(line);
+
+    // Too much waiting in memory while the database is unreachable
+    if (this.buffer.length > this.options.maxBufferedLines) {
+      this.spoolLines(this.buffer.splice(0, this.options.batchSize), 'buffer-full');
+    }
+
+    if (this.buffer.length >= this.options.batchSize) {
+      this.flush();
+    }
+  }
+
+  // Send the next batch, or the oldest spooled one when the buffer is empty
+  flush() {
+    if (this.inFlight) return this.inFlightPromise;
+
+    if (this.buffer.length > 0) {
+      return this.send({ lines: this.buffer.splice(0, this.options.batchSize), attempt: 0, fromSpool: null });
+    }
+    // While down this doubles as the probe that notices the database is back
+    if (this.spool.length > 0 && this.status !== 'retrying') {
+      const entry = this.spool[0];
+      return this.send({ lines: fs.readFileSync(entry.file, 'utf8').split('\n').filter(Boolean), attempt: 0, fromSpool: entry });
+    }
+    return Promise.resolve();
+  }
+
+  send(batch) {
+    this.inFlight = batch;
+    this.inFlightPromise = Promise.resolve()
+      .then(() => this.transport(batch.lines))
+      .then(() => this.onWritten(batch), (error) => this.onFailed(batch, error));
+    return this.inFlightPromise;
+  }
+
+  onWritten(batch) {
+    this.inFlight = null;
+    this.stats.written += batch.lines.length;
+    this.stats.lastWriteAt = new Date().toISOString();
+
+    if (batch.fromSpool) {
+      this.removeFromSpool(batch.fromSpool, null);
+    }
+
+    this.setStatus('ok');
+    this.emit('written', { count: batch.lines.length, fromSpool: Boolean(batch.fromSpool) });
+    return this.continueDraining();
+  }
+
+  // Keep going while there is a full batch or a spool to drain
+  continueDraining() {
+    if (this.buffer.length >= this.options.batchSize || (this.buffer.length === 0 && this.spool.length > 0)) {
+      return this.flush();
+    }
+  }
+
+  // Drop a spool entry, keeping the file aside under `renameTo` if given.
+  // A file that cannot be removed would be written twice, which beats
+  // stalling the drain on it
+  removeFromSpool(entry, renameTo) {
+    this.spool.splice(this.spool.indexOf(entry), 1);
+    try {
+      if (renameTo) fs.renameSync(entry.file, renameTo);
+      else fs.unlinkSync(entry.file);
+    } catch (error) {
+      this.stats.lastError = error.message;
+      if (this.logger) this.logger.error(`Could not remove InfluxDB spool file ${entry.file}`, error);
+    }
+  }
+
+  onFailed(batch, error) {
+    this.stats.lastError = error.message;
+
+    if (isRejected(error)) {
+      this.inFlight = null;
+      if (batch.fromSpool) {
+        this.removeFromSpool(batch.fromSpool, batch.fromSpool.file.replace(/\.lp$/, '.rejected'));
+      }
+      this.stats.failed += batch.lines.length;
+      this.emit('failed', { count: batch.lines.length, error });
+      // The database answered, so it is up
+      this.setStatus('ok');
+      return this.stopping ? undefined : this.continueDraining();
+    }
+
+    // A spooled batch just stays on disk and is tried again on a later flush
+    if (batch.fromSpool) {
+      this.inFlight = null;
+      this.setStatus('down');
+      return;
+    }
+
+    if (batch.attempt < this.options.maxRetries && !this.stopping) {
+      const delayMs = Math.min(this.options.retryBaseMs * 2 ** batch.attempt, this.options.retryMaxMs);
+      this.stats.retries++;
+      this.setStatus('retrying');
+      this.emit('retry', { count: batch.lines.length, attempt: batch.attempt + 1, delayMs, error });
+
+      return new Promise(resolve => {
+        this.retryTimer = setTimeout(() => {
+          this.retryTimer = null;
+          resolve(this.send({ ...batch, attempt: batch.attempt + 1 }));
+        }, delayMs);
+      });
+    }
+
+    this.inFlight = null;
+    this.spoolLines(batch.lines, 'retries-exhausted');
+  }
+
+  spoolLines(lines, reason) {
+    const content = lines.join('\n') + '\n';
+    const bytes = Buffer.byteLength(content);
+    const spooledBytes = this.spool.reduce((sum, entry) => sum + entry.bytes, 0);
+
+    this.setStatus('down');
+
+    if (spooledBytes + bytes > this.options.maxSpoolBytes) {
+      this.stats.failed += lines.length;
+      this.emit('failed', { count: lines.length, error: new Error('InfluxDB spool is full') });
+      return;
+    }
+
+    try {
+      if (!fs.existsSync(this.options.spoolDir)) {
+        fs.mkdirSync(this.options.spoolDir, { recursive: true });
+      }
+      // Sortable names keep the spool in write order
+      const file = path.join(this.options.spoolDir, `${Date.now()}-${String(this.spoolSeq++).padStart(6, '0')}.lp`);
+      fs.writeFileSync(file, content);
+      this.spool.push({ file, lines: lines.length, bytes });
+      this.stats.spooledTotal += lines.length;
+      this.emit('spooled', { count: lines.length, file, reason });
+    } catch (error) {
+      this.stats.failed += lines.length;
+      this.emit('failed', { count: lines.length, error });
+    }
+  }
+
+  // Stop the timers, try one last flush, spool whatever is still unsent and
+  // close the client
+  async close() {
+    this.stopping = true;
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      // The batch waiting for its retry goes to disk instead
+      if (this.inFlight) this.spoolLines(this.inFlight.lines, 'shutdown');
+      this.inFlight = null;
+    }
+
+    if (this.inFlight) await this.inFlightPromise;
+    while (this.status !== 'down' && this.buffer.length > 0) {
+      const lines = this.buffer.splice(0, this.options.batchSize);
+      try {
+        await this.transport(lines);
+        this.stats.written += lines.length;
+        this.emit('written', { count: lines.length, fromSpool: false });
+      } catch (error) {
+        this.stats.lastError = error.message;
+        if (isRejected(error)) {
+          this.stats.failed += lines.length;
+          this.emit('failed', { count: lines.length, error });
+        } else {
+          this.spoolLines(lines, 'shutdown');
+        }
+      }
+    }
+    if (this.buffer.length > 0) {
+      this.spoolLines(this.buffer.splice(0), 'shutdown');
+    }
+    this.stopping = false;
+
+    if (this.writeApi) {
+      try {
+        await this.writeApi.close();
+      } catch (error) {
+        if (this.logger) this.logger.error('Error closing InfluxDB connection', error);
+      }
+      this.writeApi = null;
+      this.client = null;
+      this.transport = null;
+    }
+  }
+
+  health() {
+    return { ...super.health(), ...this.getStats() };
+  }
+
+  getStats() {
+    return {
+      status: this.status,
+      pending: this.buffer.length + (this.inFlight && !this.inFlight.fromSpool ? this.inFlight.lines.length : 0),
+      written: this.stats.written,
+      failed: this.stats.failed,
+      spooled: this.spool.reduce((sum, entry) => sum + entry.lines, 0),
+      spoolFiles: this.spool.length,
+      spoolBytes: this.spool.reduce((sum, entry) => sum + entry.bytes, 0),
+      retries: this.stats.retries,
+      spooledTotal: this.stats.spooledTotal,
+      lastError: this.stats.lastError,
+      lastWriteAt: this.stats.lastWriteAt
+    };
+  }
+}
+
+InfluxSink.type = 'influxdb';
+
+module.exports = InfluxSink;
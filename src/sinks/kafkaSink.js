@@ -0,0 +1,254 @@
+const { Kafka, logLevel } = require('kafkajs');
+const Sink = require('./sink');
+
+// Publishes records to Kafka: valid ones to topics.valid keyed by device
+// UUID (so a device's readings stay in one partition, in order), invalid
+// ones to topics.errors. Without an errors topic only valid records are sent.
+//
+// Messages are buffered and sent with sendBatch() every flushIntervalMs or
+// when batchSize is reached. The producer is idempotent by default
+// (acks: -1, one request in flight), so its own retries never duplicate a
+// message. A batch that still fails goes back to the head of the buffer
+// and is retried on the next flush; only records pushed out past
+// maxBuffered, or left over when close() cannot reach the broker, are
+// counted as failed.
+//
+// serialization: 'json' (default), 'envelope' or a function
+// (record) => ({ value, headers }). 'envelope' wraps the JSON in
+//   { schema: '<schema>', contentType: 'application/json', payload }
+// for consumers that dispatch on a schema name.
+//
+// Pass a `kafka` option (anything with producer()) to use an existing client
+// or an in-process stub instead of connecting to `brokers`.
+class KafkaSink extends Sink {
+  constructor(options = {}) {
+    // Invalid records are only wanted when there is an errors topic for them
+    super({ records: options.topics?.errors ? 'all' : 'valid', ...options });
+    if (!options.kafka && !options.brokers?.length) {
+      throw new Error('KafkaSink needs brokers or a kafka client');
+    }
+
+    this.options = {
+      clientId: options.clientId || 'iot-parser',
+      brokers: options.brokers || [],
+      topics: { valid: 'iot-parsed-data', errors: null, ...options.topics },
+      serialization: options.serialization || 'json',
+      schema: options.schemaName || 'iot-telemetry/v1',
+      idempotent: options.idempotent !== false,
+      batchSize: options.batchSize || 100,
+      flushIntervalMs: options.flushIntervalMs || 1000,
+      maxRetries: options.maxRetries ?? 5,
+      maxBuffered: options.maxBuffered || 10000
+    };
+
+    this.serializer = typeof this.options.serialization === 'function'
+      ? this.options.serialization
+      : KafkaSink.serializers[this.options.serialization];
+    if (!this.serializer) {
+      throw new Error(`Unknown Kafka serialization "${this.options.serialization}"`);
+    }
+
+    this.kafka = options.kafka || null;
+    this.producer = null;
+    this.connecting = null;
+    this.buffer = []; // { topic, message }
+    this.inFlight = null;
+    this.flushTimer = null;
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      batches: 0,
+      overflowed: 0,
+      requeued: 0,
+      lastError: null,
+      lastSentAt: null
+    };
+  }
+
+  accepts(record) {
+    return this.topicFor(record) !== null && super.accepts(record);
+  }
+
+  topicFor(record) {
+    return (record.kind === 'valid' ? this.options.topics.valid : this.options.topics.errors) || null;
+  }
+
+  start() {
+    if (!this.kafka) {
+      this.kafka = new Kafka({
+        clientId: this.options.clientId,
+        brokers: this.options.brokers,
+        retry: { retries: this.options.maxRetries },
+        logLevel: logLevel.WARN,
+        // kafkajs logs go to our logger instead of stdout; connection problems
+        // are reported through the sink status
+        logCreator: () => ({ namespace, log }) => {
+          if (this.logger) this.logger.debug(`Kafka ${namespace}: ${log.message}`, { broker: log.broker });
+        }
+      });
+    }
+
+    if (!this.producer) {
+      this.producer = this.kafka.producer({
+        idempotent: this.options.idempotent,
+        // Idempotence needs a single request in flight to keep ordering
+        maxInFlightRequests: this.options.idempotent ? 1 : undefined,
+        retry: { retries: this.options.maxRetries }
+      });
+      this.connect().then(() => this.setStatus('ok'), (error) => {
+        this.stats.lastError = error.message;
+        this.setStatus('down');
+      });
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+    }
+    return this;
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.producer.connect().catch((error) => {
+        this.connecting = null; // Try again on the next flush
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  write(record) {
+    const { value, headers } = this.serializer(record, this.options);
+    this.buffer.push({
+      topic: this.topicFor(record),
+      message: {
+        key: record.data?.uuid || null,
+        value,
+        headers
+      }
+    });
+
+    if (this.buffer.length > this.options.maxBuffered) {
+      this.buffer.shift();
+      this.stats.overflowed++;
+      this.stats.failed++;
+      this.emit('failed', { count: 1, error: new Error(`Kafka buffer full (${this.options.maxBuffered})`) });
+    }
+
+    if (this.buffer.length >= this.options.batchSize) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    if (this.inFlight) return this.inFlight;
+    if (this.buffer.length === 0 || !this.producer) return Promise.resolve();
+
+    const batch = this.buffer.splice(0, this.options.batchSize);
+    this.inFlight = this.send(batch).then(() => {
+      this.inFlight = null;
+    });
+    return this.inFlight;
+  }
+
+  async send(batch) {
+    // Group by topic, keeping the arrival order within each one
+    const byTopic = new Map();
+    batch.forEach(({ topic, message }) => {
+      if (!byTopic.has(topic)) byTopic.set(topic, []);
+      byTopic.get(topic).push(message);
+    });
+
+    try {
+      await this.connect();
+
+      await this.producer.sendBatch({
+        acks: this.options.idempotent ? -1 : 1,
+        topicMessages: Array.from(byTopic, ([topic, messages]) => ({ topic, messages }))
+      });
+
+      this.stats.sent += batch.length;
+      this.stats.batches++;
+      this.stats.lastSentAt = new Date().toISOString();
+      this.setStatus('ok');
+    } catch (error) {
+      this.stats.lastError = error.message;
+      this.requeue(batch);
+      this.setStatus('down');
+    }
+  }
+
+  // Put a failed batch back in front of whatever arrived meanwhile, so the
+  // order is kept; the oldest records give way when the buffer is full
+  requeue(batch) {
+    this.buffer.unshift(...batch);
+    this.stats.requeued += batch.length;
+
+    const overflow = this.buffer.length - this.options.maxBuffered;
+    if (overflow > 0) {
+      this.buffer.splice(0, overflow);
+      this.stats.overflowed += overflow;
+      this.stats.failed += overflow;
+      this.emit('failed', { count: overflow, error: new Error(`Kafka buffer full (${this.options.maxBuffered})`) });
+    }
+  }
+
+  // Send everything still buffered, then disconnect the producer
+  async close() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.inFlight) await this.inFlight;
+    while (this.buffer.length > 0 && this.producer) {
+      await this.flush();
+      if (this.status === 'down') break;
+    }
+
+    // Broker unreachable: one failed attempt is enough, the rest is dropped
+    if (this.buffer.length > 0) {
+      const count = this.buffer.splice(0).length;
+      this.stats.failed += count;
+      this.emit('failed', { count, error: new Error(this.stats.lastError || 'Kafka producer closed') });
+    }
+
+    if (this.producer) {
+      try {
+        await this.producer.disconnect();
+      } catch (error) {
+        if (this.logger) this.logger.error('Error disconnecting Kafka producer', error);
+      }
+      this.producer = null;
+      this.connecting = null;
+    }
+  }
+
+  health() {
+    return {
+      ...super.health(),
+      topics: this.options.topics,
+      pending: this.buffer.length,
+      ...this.stats
+    };
+  }
+}
+
+KafkaSink.type = 'kafka';
+
+KafkaSink.serializers = {
+  json: (record) => ({
+    value: JSON.stringify(Sink.serialize(record)),
+    headers: { 'content-type': 'application/json', kind: record.kind }
+  }),
+
+  envelope: (record, options) => ({
+    value: JSON.stringify({
+      schema: options.schema,
+      contentType: 'application/json',
+      payload: Sink.serialize(record)
+    }),
+    headers: { 'content-type': 'application/json', schema: options.schema, kind: record.kind }
+  })
+};
+
+module.exports = KafkaSink;
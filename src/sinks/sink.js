@@ -0,0 +1,117 @@
+const EventEmitter = require('eventemitter3');
+const { compileTopic, matchesFilter } = require('../utils/topicMatcher');
+
+// Base class for output sinks. The parser hands every valid and invalid
+// record to each configured sink whose filter accepts it:
+//   { kind: 'valid',   data, topic, format, original, instanceId, receivedAt }
+//   { kind: 'invalid', data, errors, topic, format, original, instanceId, receivedAt }
+// (data on invalid records is whatever could be decoded, possibly null)
+//
+// Subclasses implement write(record) and, as needed, start(), flush(),
+// close(), health() and notify(event, payload) for the parser's other events
+// ('device-offline', 'device-online', 'alert', 'alert-resolved').
+// write() must not block: buffer and send later.
+//
+// Options shared by every sink:
+//   name      label in stats and logs (default: the sink type)
+//   records   'valid' | 'invalid' | 'all' | 'none' (default: 'valid')
+//   filter    { topics: ['site/+/telemetry'], devices: ['<uuid>'], formats: ['json'] }
+//             every list given must match; topics accept MQTT wildcards
+//
+// Events:
+//   'status'  (status, previousStatus)
+//   'failed'  ({ count, error })          records that could not be delivered
+class Sink extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.type = this.constructor.type || 'custom';
+    this.name = options.name || this.type;
+    this.records = options.records || 'valid';
+    this.logger = options.logger || null;
+
+    const filter = options.filter || {};
+    this.filter = {
+      topics: filter.topics?.length ? filter.topics.map(topic => compileTopic(topic).levels) : null,
+      devices: filter.devices?.length ? new Set(filter.devices.map(uuid => uuid.toLowerCase())) : null,
+      formats: filter.formats?.length ? new Set(filter.formats) : null
+    };
+
+    this.status = 'idle';
+    this.counts = {
+      accepted: 0,
+      filtered: 0
+    };
+  }
+
+  accepts(record) {
+    const ok = (this.records === 'all' || this.records === record.kind) &&
+      (!this.filter.topics || this.filter.topics.some(levels => matchesFilter(levels, record.topic))) &&
+      (!this.filter.devices || (typeof record.data?.uuid === 'string' && this.filter.devices.has(record.data.uuid.toLowerCase()))) &&
+      (!this.filter.formats || this.filter.formats.has(record.format));
+
+    this.counts[ok ? 'accepted' : 'filtered']++;
+    return ok;
+  }
+
+  // Open files, connections or timers; the constructor must not
+  start() {
+    return this;
+  }
+
+  write(record) {
+    throw new Error(`Sink ${this.name} does not implement write()`);
+  }
+
+  // Parser events other than records; ignored unless a sink wants them
+  notify(event, payload) {}
+
+  // Send whatever is buffered
+  async flush() {}
+
+  // Flush and release everything start() acquired
+  async close() {
+    await this.flush();
+  }
+
+  health() {
+    return {
+      name: this.name,
+      type: this.type,
+      status: this.status,
+      records: this.records,
+      ...this.counts
+    };
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    const previous = this.status;
+    this.status = status;
+    this.emit('status', status, previous);
+  }
+
+  // Plain JSON form of a record, used by the file and webhook sinks
+  static serialize(record) {
+    return record.kind === 'valid'
+      ? {
+        kind: record.kind,
+        receivedAt: record.receivedAt,
+        topic: record.topic,
+        format: record.format,
+        instanceId: record.instanceId,
+        data: record.data
+      }
+      : {
+        kind: record.kind,
+        receivedAt: record.receivedAt,
+        topic: record.topic,
+        format: record.format,
+        instanceId: record.instanceId,
+        uuid: record.data?.uuid ?? null,
+        errors: record.errors,
+        original: record.original
+      };
+  }
+}
+
+module.exports = Sink;
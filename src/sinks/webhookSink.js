@@ -0,0 +1,242 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const Sink = require('./sink');
+
+// Delivers parser events to an HTTP endpoint in JSON batches:
+//   { source: 'iot-parser', sentAt, events: [{ event, at, payload }, ...] }
+// event: 'data' (valid record), 'error' (invalid record), 'device-offline',
+// 'device-online', 'alert' or 'alert-resolved'; `events` picks which ones this
+// endpoint gets (default: from `records`, i.e. ['data']). Record payloads
+// are Sink.serialize(record); the others are the parser's event payloads.
+//
+// A batch is sent when it reaches batchSize or every flushIntervalMs. Any 2xx
+// counts as delivered. Network errors, timeouts, 408, 429 and 5xx are retried
+// with exponential backoff (retryBaseMs, doubling, up to maxRetries); other
+// status codes fail the batch at once.
+//
+// Headers on every request:
+//   X-IoT-Delivery    batch id, the same on every retry (for deduplication)
+//   X-IoT-Timestamp   Unix ms when this attempt was signed
+//   X-IoT-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"> (with a secret)
+class WebhookSink extends Sink {
+  constructor(options = {}) {
+    const events = options.events || WebhookSink.eventsFor(options.records || 'valid');
+    super({ ...options, records: WebhookSink.recordsFor(events) });
+    if (!options.url) {
+      throw new Error('WebhookSink needs a url');
+    }
+
+    this.events = new Set(events);
+    this.options = {
+      url: new URL(options.url),
+      method: options.method || 'POST',
+      headers: options.headers || {},
+      secret: options.secret || null,
+      batchSize: options.batchSize || 50,
+      flushIntervalMs: options.flushIntervalMs || 2000,
+      timeoutMs: options.timeoutMs || 5000,
+      maxRetries: options.maxRetries ?? 3,
+      retryBaseMs: options.retryBaseMs || 1000,
+      retryMaxMs: options.retryMaxMs || 60 * 1000,
+      maxBuffered: options.maxBuffered || 1000
+    };
+
+    this.buffer = [];
+    this.inFlight = null;
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.retryNow = null;
+    this.closing = false;
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      batches: 0,
+      attempts: 0,
+      retries: 0,
+      overflowed: 0,
+      byEvent: {},
+      lastStatusCode: null,
+      lastError: null,
+      lastSentAt: null
+    };
+  }
+
+  static eventsFor(records) {
+    return { valid: ['data'], invalid: ['error'], all: ['data', 'error'] }[records] || [];
+  }
+
+  static recordsFor(events) {
+    const data = events.includes('data');
+    const error = events.includes('error');
+    return data && error ? 'all' : data ? 'valid' : error ? 'invalid' : 'none';
+  }
+
+  start() {
+    this.closing = false;
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+    }
+    return this;
+  }
+
+  write(record) {
+    this.enqueue(record.kind === 'valid' ? 'data' : 'error', Sink.serialize(record));
+  }
+
+  notify(event, payload) {
+    const device = payload?.uuid;
+    if (this.events.has(event) && (!this.filter.devices || (device && this.filter.devices.has(device.toLowerCase())))) {
+      this.enqueue(event, payload);
+    }
+  }
+
+  enqueue(event, payload) {
+    this.buffer.push({ event, at: new Date().toISOString(), payload });
+
+    // Endpoint too slow or unreachable: drop the oldest rather than grow without bound
+    if (this.buffer.length > this.options.maxBuffered) {
+      this.count(this.buffer.shift().event, 'failed');
+      this.stats.overflowed++;
+      this.stats.failed++;
+    }
+
+    if (this.buffer.length >= this.options.batchSize) {
+      this.flush();
+    }
+  }
+
+  count(event, outcome) {
+    const counts = this.stats.byEvent[event] || (this.stats.byEvent[event] = { sent: 0, failed: 0 });
+    counts[outcome]++;
+  }
+
+  flush() {
+    if (this.inFlight) return this.inFlight;
+    if (this.buffer.length === 0) return Promise.resolve();
+
+    const events = this.buffer.splice(0, this.options.batchSize);
+    const batch = {
+      id: crypto.randomUUID(),
+      events,
+      body: JSON.stringify({ source: 'iot-parser', sentAt: new Date().toISOString(), events })
+    };
+
+    this.inFlight = this.deliver(batch, 0).then(() => {
+      this.inFlight = null;
+    });
+    return this.inFlight;
+  }
+
+  async deliver(batch, attempt) {
+    this.stats.attempts++;
+
+    try {
+      await this.post(batch);
+    } catch (error) {
+      this.stats.lastError = error.message;
+
+      if (error.retryable && attempt < this.options.maxRetries && !this.closing) {
+        const delayMs = Math.min(this.options.retryBaseMs * 2 ** attempt, this.options.retryMaxMs);
+        this.stats.retries++;
+        this.setStatus('retrying');
+        this.emit('retry', { count: batch.events.length, attempt: attempt + 1, delayMs, error });
+
+        await new Promise(resolve => {
+          this.retryNow = resolve;
+          this.retryTimer = setTimeout(resolve, delayMs);
+        });
+        this.retryTimer = null;
+        this.retryNow = null;
+        return this.deliver(batch, attempt + 1);
+      }
+
+      this.stats.failed += batch.events.length;
+      batch.events.forEach(entry => this.count(entry.event, 'failed'));
+      this.setStatus('down');
+      this.emit('failed', { count: batch.events.length, error });
+      return;
+    }
+
+    this.stats.sent += batch.events.length;
+    this.stats.batches++;
+    this.stats.lastSentAt = new Date().toISOString();
+    batch.events.forEach(entry => this.count(entry.event, 'sent'));
+    this.setStatus('ok');
+  }
+
+  sign(timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', this.options.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  post({ id, body }) {
+    const url = this.options.url;
+    const timestamp = String(Date.now());
+
+    return new Promise((resolve, reject) => {
+      const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: this.options.method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'X-IoT-Delivery': id,
+          'X-IoT-Timestamp': timestamp,
+          ...(this.options.secret ? { 'X-IoT-Signature': this.sign(timestamp, body) } : {}),
+          ...this.options.headers
+        },
+        timeout: this.options.timeoutMs
+      }, (response) => {
+        this.stats.lastStatusCode = response.statusCode;
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+            return;
+          }
+          const error = new Error(`Webhook responded ${response.statusCode}`);
+          error.retryable = response.statusCode >= 500 || [408, 429].includes(response.statusCode);
+          reject(error);
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${this.options.timeoutMs}ms`)));
+      request.on('error', (error) => {
+        error.retryable = true;
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  // Send what is buffered; a batch waiting for a retry gets it right away,
+  // and nothing is retried once the sink is closing
+  async close() {
+    this.closing = true;
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryNow();
+    }
+    if (this.inFlight) await this.inFlight;
+    while (this.buffer.length > 0) {
+      await this.flush();
+    }
+  }
+
+  health() {
+    return {
+      ...super.health(),
+      url: `${this.options.url.origin}${this.options.url.pathname}`,
+      events: Array.from(this.events),
+      pending: this.buffer.length,
+      ...this.stats
+    };
+  }
+}
+
+WebhookSink.type = 'webhook';
+
+module.exports = WebhookSink;
@@ -24,14 +24,16 @@ class Logger extends EventEmitter {
       validationRate: 0
     };
 
-    this.ensureLogDir();
+    // The log directory is only created on the first write
     this.currentLogFile = this.getLogFileName();
   }
 
   ensureLogDir() {
+    if (this.logDirReady) return;
     if (!fs.existsSync(this.options.logDir)) {
       fs.mkdirSync(this.options.logDir, { recursive: true });
     }
+    this.logDirReady = true;
   }
 
   getLogFileName() {
@@ -67,6 +69,7 @@ class Logger extends EventEmitter {
         }
       }
 
+      this.ensureLogDir();
       fs.appendFileSync(this.currentLogFile, logLine);
     }
 
@@ -154,6 +157,7 @@ class Logger extends EventEmitter {
   }
 
   saveStatsToFile() {
+    this.ensureLogDir();
     const statsFile = path.join(this.options.logDir, `stats-${new Date().toISOString().split('T')[0]}.json`);
     fs.writeFileSync(statsFile, JSON.stringify(this.getStats(), null, 2));
   }
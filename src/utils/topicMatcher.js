@@ -0,0 +1,70 @@
+// MQTT topic patterns: literal topics, '+' / '#' wildcards and named
+// templates such as 'site/{site}/room/{room}/telemetry'. Named segments are
+// subscribed as '+' and their values captured as tags on the parsed data.
+
+function compileTopic(pattern) {
+  const levels = pattern.split('/');
+  const names = [];
+
+  const filterLevels = levels.map((level, index) => {
+    const named = level.match(/^\{([A-Za-z_][A-Za-z0-9_]*)\}$/);
+    if (named) {
+      names.push({ name: named[1], index });
+      return '+';
+    }
+
+    if (level === '#' && index !== levels.length - 1) {
+      throw new Error(`Invalid topic pattern "${pattern}": '#' must be the last level`);
+    }
+    if (level !== '+' && level !== '#' && /[+#{}]/.test(level)) {
+      throw new Error(`Invalid topic pattern "${pattern}": wildcards must occupy a whole level`);
+    }
+    return level;
+  });
+
+  return {
+    pattern,
+    filter: filterLevels.join('/'),
+    levels: filterLevels,
+    names
+  };
+}
+
+// MQTT filter matching; '$' system topics are never matched by a leading wildcard
+function matchesFilter(levels, topic) {
+  const topicLevels = topic.split('/');
+
+  if (topic.startsWith('$') && (levels[0] === '+' || levels[0] === '#')) {
+    return false;
+  }
+
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (levels[i] !== '+' && levels[i] !== topicLevels[i]) return false;
+  }
+
+  return levels.length === topicLevels.length;
+}
+
+// Returns the captured tags for the first matching pattern, or null if none match
+function matchTopic(compiledTopics, topic) {
+  for (const compiled of compiledTopics) {
+    if (!matchesFilter(compiled.levels, topic)) continue;
+
+    const topicLevels = topic.split('/');
+    const tags = {};
+    compiled.names.forEach(({ name, index }) => {
+      tags[name] = topicLevels[index];
+    });
+    return tags;
+  }
+
+  return null;
+}
+
+module.exports = {
+  compileTopic,
+  matchesFilter,
+  matchTopic
+};
@@ -0,0 +1,28 @@
+// Fixed categories for validation error messages, so metrics can be labelled
+// by kind of error without carrying values from the payload. The first
+// matching pattern wins; anything else (e.g. a custom decoder's errors) is
+// 'other'.
+const ERROR_TYPES = [
+  ['empty_message', /^Empty message$/],
+  ['unsupported_format', /^Unsupported message format$/],
+  ['invalid_json', /^Invalid JSON format:/],
+  ['malformed_part', /^Invalid format for part:/],
+  ['invalid_characters', /^Invalid characters in /],
+  ['duplicate_key', /^Duplicate keys found$/],
+  ['unknown_key', /^Unknown key:/],
+  ['missing_field', /^Missing required field:/],
+  ['out_of_range', / out of range: /],
+  ['future_timestamp', /^Future /],
+  ['invalid_value', /^Invalid /],
+  ['stale_reading', /^Stale reading:/],
+  ['unregistered_device', /^Unregistered device:/],
+  ['decoder_failed', /^Decoder .+ failed:/],
+  ['worker_failed', /^Worker (error:|crashed )/]
+];
+
+function errorType(message) {
+  const match = ERROR_TYPES.find(([, pattern]) => pattern.test(String(message)));
+  return match ? match[0] : 'other';
+}
+
+module.exports = { ERROR_TYPES, errorType };
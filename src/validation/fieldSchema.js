@@ -0,0 +1,181 @@
+// Field schema helpers shared by the main parser and the worker threads.
+// A schema maps field names to definitions declared in config/config.js:
+//   { pipeKey, aliases, type, unit, min, max, format, minLength, maxLength, required, allowFuture, futureTolerance, label }
+
+// Merge per-field overrides on top of a base schema (null removes a field)
+function mergeSchema(base = {}, overrides = {}) {
+  const schema = {};
+
+  for (const [name, def] of Object.entries(base)) {
+    schema[name] = { ...def };
+  }
+
+  for (const [name, def] of Object.entries(overrides)) {
+    if (def === null) {
+      delete schema[name];
+    } else {
+      schema[name] = { ...schema[name], ...def };
+    }
+  }
+
+  return schema;
+}
+
+// Pipe key -> field name lookup (e.g. 'tt' -> 'timestamp')
+function buildPipeKeyMap(schema) {
+  const map = {};
+  for (const [name, def] of Object.entries(schema)) {
+    if (def.pipeKey) map[def.pipeKey] = name;
+  }
+  return map;
+}
+
+// Candidate JSON properties for a field, in priority order (name first)
+function fieldAliases(name, def) {
+  return [name, ...(def.aliases || []).filter(alias => alias !== name)];
+}
+
+function fieldLabel(name, def) {
+  return def.label || name;
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+// Epoch numbers are told apart by magnitude: below 1e11 they are seconds
+// (until the year 5138), below 1e14 milliseconds, below 1e17 microseconds
+const EPOCH_UNITS = [
+  { precision: 's', below: 1e11, toMs: 1000 },
+  { precision: 'ms', below: 1e14, toMs: 1 },
+  { precision: 'us', below: 1e17, toMs: 0.001 }
+];
+
+// ISO-8601 with an explicit offset ('Z' or ±hh:mm); local times are ambiguous
+const ISO_8601 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.(\d+))?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+// Parse epoch seconds/milliseconds/microseconds or an ISO-8601 string into
+// Unix milliseconds, the canonical timestamp representation
+function parseTimestamp(raw) {
+  const invalid = { value: NaN, precision: null };
+
+  if (typeof raw === 'string' && ISO_8601.test(raw.trim())) {
+    const value = Date.parse(raw.trim().toUpperCase());
+    const fraction = raw.trim().match(ISO_8601)[1] || '';
+    const precision = fraction.length === 0 ? 's' : (fraction.length <= 3 ? 'ms' : 'us');
+    return Number.isFinite(value) ? { value, precision } : invalid;
+  }
+
+  const number = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+  if (!Number.isFinite(number) || number < 0) return invalid;
+
+  const unit = EPOCH_UNITS.find(candidate => number < candidate.below);
+  if (!unit) return invalid;
+  return { value: Math.round(number * unit.toMs), precision: unit.precision };
+}
+
+// Convert a raw value (string from pipe, any JSON value) to the declared type
+function coerceValue(def, raw) {
+  switch (def.type) {
+    case 'timestamp':
+      return parseTimestamp(raw).value;
+
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      return Number.isInteger(value) ? value : NaN;
+    }
+
+    case 'float': {
+      const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      return Number.isFinite(value) ? value : NaN;
+    }
+
+    default:
+      return raw === null || typeof raw === 'object' ? undefined : String(raw);
+  }
+}
+
+// Coerce and validate a single field, returning the typed value and any errors
+function validateField(name, def, raw) {
+  const errors = [];
+  const label = fieldLabel(name, def);
+  const value = coerceValue(def, raw);
+
+  if (def.type === 'integer' || def.type === 'float' || def.type === 'timestamp') {
+    if (isNaN(value)) {
+      errors.push(`Invalid ${label}: ${raw}`);
+      return { value, errors };
+    }
+
+    if ((def.min !== undefined && value < def.min) || (def.max !== undefined && value > def.max)) {
+      errors.push(`${capitalize(label)} out of range: ${raw} (must be ${def.min ?? '-∞'} to ${def.max ?? '∞'})`);
+    }
+
+    // futureTolerance (in the field's unit) absorbs small device clock skew
+    const now = def.type === 'timestamp' ? Date.now() : Math.floor(Date.now() / 1000);
+    if (def.allowFuture === false && value > now + (def.futureTolerance || 0)) {
+      errors.push(`Future ${label}: ${raw}`);
+    }
+
+    return { value, errors };
+  }
+
+  if (value === undefined) {
+    errors.push(`Invalid ${label}: ${JSON.stringify(raw)}`);
+    return { value, errors };
+  }
+
+  if (def.format && !def.format.test(value)) {
+    errors.push(`Invalid ${label} format: ${value}`);
+  } else if ((def.minLength !== undefined && value.length < def.minLength) ||
+    (def.maxLength !== undefined && value.length > def.maxLength)) {
+    errors.push(`Invalid ${label}: ${value}`);
+  }
+
+  return { value, errors };
+}
+
+// Validate a map of decoded raw fields against the schema
+function validateRecord(fields, schema) {
+  const data = {};
+  const errors = [];
+
+  for (const [name, raw] of Object.entries(fields)) {
+    const def = schema[name];
+
+    // Fields outside the schema are passed through untouched
+    if (!def) {
+      if (raw !== undefined) data[name] = raw;
+      continue;
+    }
+    if (raw === undefined) continue;
+
+    const result = validateField(name, def, raw);
+    data[name] = result.value;
+    errors.push(...result.errors);
+
+    // Timestamps keep the unit they arrived in, e.g. data._timestampPrecision = 'ms'
+    if (def.type === 'timestamp') {
+      data[`_${name}Precision`] = parseTimestamp(raw).precision;
+    }
+  }
+
+  // Check required fields
+  for (const [name, def] of Object.entries(schema)) {
+    if (def.required && (data[name] === undefined || data[name] === '')) {
+      errors.push(`Missing required field: ${name}`);
+    }
+  }
+
+  return { data, errors };
+}
+
+module.exports = {
+  mergeSchema,
+  buildPipeKeyMap,
+  fieldAliases,
+  coerceValue,
+  parseTimestamp,
+  validateField,
+  validateRecord
+};
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 const StatisticsGenerator = require('./src/services/statisticsGenerator');
+const DeadLetterStore = require('./src/services/deadLetterStore');
 const path = require('path');
 const fs = require('fs');
 
@@ -18,11 +19,21 @@ Commands:
   json                     Export statistics as JSON
   live                     Show live statistics (if parser is running)
   clean                    Clean old log files
+  dlq [list]               List dead-lettered (invalid) messages
+  dlq summary              Count dead-lettered messages per error type
+  dlq replay               Re-run dead-lettered messages through the parser
 
 Options:
   --log-dir <path>         Log directory path (default: ./logs)
   --output-dir <path>      Output directory path (default: ./statistics)
   --days <number>          Number of days to keep (for clean command)
+  --dlq-dir <path>         Dead-letter directory (default: ./logs/dlq)
+  --error <text>           dlq: only entries whose error type/message contains text
+  --tag <tag>              dlq: only entries with this tag (e.g. quarantine)
+  --topic <topic>          dlq: only entries from this topic
+  --format <format>        dlq: only entries in this format (json, pipe, ...)
+  --since <date>           dlq: only entries stored since this date
+  --limit <number>         dlq: only the most recent N entries
   --help                   Show this help
 
 Examples:
@@ -30,6 +41,11 @@ Examples:
   node stats.js csv --output-dir ./exports
   node stats.js clean --days 7
   node stats.js live
+  node stats.js dlq summary
+  node stats.js dlq list --error "out of range" --limit 20
+  node stats.js dlq list --error out_of_range
+  node stats.js dlq list --tag quarantine
+  node stats.js dlq replay --error "Future timestamp"
 `);
 }
 
@@ -110,6 +126,93 @@ function cleanOldFiles() {
   console.log(`\n✅ Cleaned ${deletedCount} old files (older than ${days} days)`);
 }
 
+function optionValue(name) {
+  return args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+}
+
+async function deadLetters() {
+  const subcommand = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+  const config = require('./config/config');
+  const store = new DeadLetterStore({ dir: optionValue('--dlq-dir') || config.deadLetter.dir });
+
+  const entries = store.read({
+    errorType: optionValue('--error'),
+    tag: optionValue('--tag'),
+    topic: optionValue('--topic'),
+    format: optionValue('--format'),
+    since: optionValue('--since'),
+    limit: optionValue('--limit') ? parseInt(optionValue('--limit')) : undefined
+  });
+
+  if (entries.length === 0) {
+    console.log('📭 No dead-lettered messages match');
+    return;
+  }
+
+  switch (subcommand) {
+    case 'list':
+      console.log(`\n📥 Dead-lettered messages (${entries.length}):`);
+      console.log('================================');
+      entries.forEach(entry => {
+        console.log(`\n🕒 ${entry.storedAt}  ${entry.id}`);
+        console.log(`   📍 ${entry.topic} (${entry.format})`);
+        if (entry.tags?.length) console.log(`   🏷️ ${entry.tags.join(', ')}`);
+        console.log(`   📄 ${entry.original}`);
+        entry.errors.forEach(error => console.log(`   ❌ ${error}`));
+      });
+      break;
+
+    case 'summary': {
+      console.log(`\n📥 Dead-lettered messages by error type (${entries.length} messages):`);
+      console.log('================================');
+      Object.entries(store.summarize(entries))
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([type, count]) => console.log(`  ${String(count).padStart(6)}  ${type}`));
+      break;
+    }
+
+    case 'replay': {
+      // Same parse() as the live parser, without MQTT, workers, InfluxDB,
+      // stats files or the HTTP API (which would take the live parser's port).
+      // Clock correction is off: it moves the future-timestamp check out of
+      // parse(), so entries rejected for that would otherwise replay as valid.
+      const IotParser = require('./src/parser');
+      const parser = new IotParser({
+        parser: { useWorkers: false, enableStats: false },
+        influxdb: { enabled: false },
+        kafka: { enabled: false },
+        sinks: [],
+        clockSkew: { enabled: false },
+        api: { enabled: false },
+        metrics: { enabled: false },
+        dashboard: { enabled: false },
+        logging: { enableConsole: false, enableFile: false }
+      });
+
+      await parser.start({ connect: false }); // Loads the device registry overrides
+      const report = store.replay(entries, (str, topic) => parser.parse(str, topic));
+      await parser.stop();
+
+      console.log(`\n🔁 Replaying ${report.total} dead-lettered messages:`);
+      console.log('================================');
+      report.results.forEach(result => {
+        if (result.valid) {
+          console.log(`✅ ${result.id}  now valid (${result.format})`);
+        } else {
+          console.log(`❌ ${result.id}  still invalid: ${result.errors.join('; ')}`);
+        }
+      });
+
+      console.log(`\n📊 Now valid: ${report.nowValid}  Still invalid: ${report.stillInvalid}`);
+      break;
+    }
+
+    default:
+      console.log(`❌ Unknown dlq command: ${subcommand}`);
+      showHelp();
+  }
+}
+
 function main() {
   const command = args[0];
 
@@ -165,6 +268,13 @@ function main() {
         cleanOldFiles();
         break;
 
+      case 'dlq':
+        deadLetters().catch(error => {
+          console.error('❌ Error:', error.message);
+          process.exit(1);
+        });
+        break;
+
       default:
         console.log(`❌ Unknown command: ${command}`);
         showHelp();
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const AlertEngine = require('./src/services/alertEngine');
+
+// Alert rule tests: thresholds, hysteresis, dedup, resolve, sustained (forMs)
+// and rate rules, all timed by the readings' own timestamps
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const OTHER = '550e8400-e29b-41d4-a716-446655440001';
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+function createEngine(rules) {
+  const engine = new AlertEngine(rules);
+  const events = [];
+  engine.on('alert', alert => events.push(['alert', alert]));
+  engine.on('alert-resolved', alert => events.push(['resolved', alert]));
+  return { engine, events, kinds: () => events.map(([kind]) => kind) };
+}
+
+function reading(offsetMs, fields, uuid = UUID) {
+  return { uuid, timestamp: T0 + offsetMs, ...fields };
+}
+
+const tests = [
+  ['threshold fires once while the condition holds', () => {
+    const { engine, events, kinds } = createEngine([{ id: 'hot', field: 'temperature', operator: '>', value: 30 }]);
+    [25, 31, 35, 40].forEach((temperature, i) => engine.evaluate(reading(i * 1000, { temperature })));
+
+    assert.deepStrictEqual(kinds(), ['alert']);
+    assert.strictEqual(events[0][1].value, 31);
+    assert.strictEqual(events[0][1].firedAt, new Date(T0 + 1000).toISOString());
+    assert.strictEqual(engine.getActiveAlerts().length, 1);
+  }],
+
+  ['hysteresis delays the resolve', () => {
+    const { engine, events, kinds } = createEngine([{ id: 'hot', field: 'temperature', operator: '>', value: 30, hysteresis: 2 }]);
+    [31, 29, 28.5, 27.9].forEach((temperature, i) => engine.evaluate(reading(i * 1000, { temperature })));
+
+    assert.deepStrictEqual(kinds(), ['alert', 'resolved']);
+    const resolved = events[1][1];
+    assert.strictEqual(resolved.resolvedValue, 27.9);
+    assert.strictEqual(resolved.durationMs, 3000);
+    assert.strictEqual(engine.getActiveAlerts().length, 0);
+  }],
+
+  ['below-threshold rules resolve upwards', () => {
+    const { engine, kinds } = createEngine([{ id: 'dry', field: 'humidity', operator: '<', value: 20, hysteresis: 5 }]);
+    [15, 22, 26].forEach((humidity, i) => engine.evaluate(reading(i * 1000, { humidity })));
+    assert.deepStrictEqual(kinds(), ['alert', 'resolved']);
+  }],
+
+  ['state is kept per device', () => {
+    const { engine, events } = createEngine([{ id: 'hot', field: 'temperature', operator: '>', value: 30 }]);
+    engine.evaluate(reading(0, { temperature: 35 }));
+    engine.evaluate(reading(0, { temperature: 36 }, OTHER));
+    engine.evaluate(reading(1000, { temperature: 37 }));
+
+    assert.deepStrictEqual(events.map(([, alert]) => alert.uuid), [UUID, OTHER]);
+  }],
+
+  ['devices list limits a rule', () => {
+    const { engine, events } = createEngine([{ id: 'hot', field: 'temperature', value: 30, devices: [OTHER] }]);
+    engine.evaluate(reading(0, { temperature: 35 }));
+    engine.evaluate(reading(0, { temperature: 35 }, OTHER));
+    assert.deepStrictEqual(events.map(([, alert]) => alert.uuid), [OTHER]);
+  }],
+
+  ['forMs is measured on reading timestamps', () => {
+    const { engine, events, kinds } = createEngine([{ id: 'sustained', field: 'temperature', value: 30, forMs: 60000 }]);
+    // Replayed in a burst: all arrive within milliseconds, a minute apart by timestamp
+    engine.evaluate(reading(0, { temperature: 31 }));
+    engine.evaluate(reading(30000, { temperature: 32 }));
+    assert.deepStrictEqual(kinds(), []);
+    engine.evaluate(reading(60000, { temperature: 33 }));
+
+    assert.deepStrictEqual(kinds(), ['alert']);
+    assert.strictEqual(events[0][1].firedAt, new Date(T0 + 60000).toISOString());
+  }],
+
+  ['a dip resets the sustained window', () => {
+    const { engine, kinds } = createEngine([{ id: 'sustained', field: 'temperature', value: 30, forMs: 60000 }]);
+    [[0, 31], [40000, 29], [80000, 31], [120000, 31]].forEach(([offset, temperature]) => engine.evaluate(reading(offset, { temperature })));
+    assert.deepStrictEqual(kinds(), []);
+    engine.evaluate(reading(140000, { temperature: 31 }));
+    assert.deepStrictEqual(kinds(), ['alert']);
+  }],
+
+  ['rate is change per period between reading timestamps', () => {
+    const { engine, events } = createEngine([{ id: 'spike', type: 'rate', field: 'temperature', value: 5, per: 60000 }]);
+    engine.evaluate(reading(0, { temperature: 20 }));
+    engine.evaluate(reading(60000, { temperature: 23 })); // 3/min
+    assert.strictEqual(events.length, 0);
+    engine.evaluate(reading(90000, { temperature: 27 })); // 8/min
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0][1].value, 8);
+  }],
+
+  ['out-of-order readings do not skew the rate', () => {
+    const { engine, events } = createEngine([{ id: 'spike', type: 'rate', field: 'temperature', value: 5, per: 60000, absolute: true }]);
+    engine.evaluate(reading(0, { temperature: 20 }));
+    engine.evaluate(reading(60000, { temperature: 21 }));
+    engine.evaluate(reading(30000, { temperature: 40 })); // Late, ignored for the rate
+    engine.evaluate(reading(120000, { temperature: 22 }));
+
+    assert.strictEqual(events.length, 0);
+  }],
+
+  ['invalid rules are rejected', () => {
+    assert.throws(() => new AlertEngine([{ field: 'temperature', value: 1 }]), /must have an id/);
+    assert.throws(() => new AlertEngine([{ id: 'x', type: 'median', field: 'temperature', value: 1 }]), /unknown type/);
+    assert.throws(() => new AlertEngine([{ id: 'x', field: 'temperature', operator: '=>', value: 1 }]), /unknown operator/);
+    assert.throws(() => new AlertEngine([{ id: 'x', field: 'temperature', value: '30' }]), /value must be a number/);
+  }]
+];
+
+function runAlertTests() {
+  console.log('🧪 Running alert rule tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} alert tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runAlertTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runAlertTests };
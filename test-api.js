@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const http = require('http');
+const IotParser = require('./src/parser');
+const RecentMessages = require('./src/services/recentMessages');
+
+// HTTP API tests: every built-in route, custom routes with params, 404, 405,
+// malformed paths and handler errors, against a parser on a free local port
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const TOPIC = 'IDGS10-Pruebas-Sensores';
+let parser = null;
+let port = null;
+
+function request(path, { method = 'GET', raw = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method }, (res) => {
+      // Streams never end; the headers are all there is to check
+      if (raw) {
+        req.destroy();
+        return resolve({ status: res.statusCode, headers: res.headers });
+      }
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        const json = (res.headers['content-type'] || '').startsWith('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, text, body: json ? JSON.parse(text) : null });
+      });
+    });
+    req.setTimeout(5000, () => req.destroy(new Error(`${method} ${path} timed out`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function startParser() {
+  parser = new IotParser({
+    parser: { useWorkers: false, enableStats: false },
+    influxdb: { enabled: false },
+    kafka: { enabled: false },
+    deadLetter: { enabled: false },
+    sinks: [],
+    dedup: { enabled: false },
+    ordering: { enabled: false },
+    api: { enabled: true, port: 0, host: '127.0.0.1' },
+    metrics: { enabled: true },
+    dashboard: { enabled: true },
+    logging: { enableConsole: false, enableFile: false }
+  });
+  parser.on('error', () => {}); // Invalid messages are expected here
+  await parser.start({ connect: false });
+  port = parser.api.address().port;
+
+  const seconds = Math.floor(Date.now() / 1000) - 60;
+  parser.handleMessage(TOPIC, `tt${seconds - 1}|uid${UUID}|t21.5`);
+  parser.handleMessage(TOPIC, `tt${seconds}|uid${UUID}|t22.5`);
+  parser.handleMessage(TOPIC, 'invalid|message');
+}
+
+const tests = [
+  ['GET /health is 503 while MQTT is disconnected', async () => {
+    const { status, body } = await request('/health');
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.status, 'down');
+    assert.strictEqual(body.mqtt.connected, false);
+    assert.strictEqual(body.instanceId, parser.instanceId);
+  }],
+
+  ['GET /stats returns parser.getStats()', async () => {
+    const { status, body } = await request('/stats');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.api.requests > 0, true);
+    assert.ok(body.recent, 'recent buffer stats included');
+  }],
+
+  ['GET /devices lists seen devices with their latest reading time', async () => {
+    const { status, body } = await request('/devices');
+    assert.strictEqual(status, 200);
+    const device = body.find(entry => entry.uuid === UUID);
+    assert.ok(device, 'device listed');
+    assert.ok(device.latestReadingAt);
+  }],
+
+  ['GET /devices/:uuid/latest returns the newest reading, 404 if none', async () => {
+    const found = await request(`/devices/${UUID}/latest`);
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.body.data.temperature, 22.5);
+    const upper = await request(`/devices/${UUID.toUpperCase()}/latest`);
+    assert.strictEqual(upper.status, 200, 'UUIDs match regardless of case');
+    assert.deepStrictEqual(upper.body, found.body);
+
+    const missing = await request('/devices/00000000-0000-0000-0000-000000000000/latest');
+    assert.strictEqual(missing.status, 404);
+    assert.ok(missing.body.error.includes('No readings'));
+  }],
+
+  ['latest readings are kept for at most maxDevices devices', () => {
+    const recent = new RecentMessages({ size: 10, maxDevices: 2 });
+    const add = (uuid, temperature) => recent.addValid({ data: { uuid, temperature }, topic: TOPIC, format: 'pipe' });
+
+    add('device-A', 1);
+    add('device-b', 2);
+    add('DEVICE-a', 3); // Same device, now the most recent
+    add('device-c', 4);
+
+    assert.strictEqual(recent.getLatest('device-a').data.temperature, 3);
+    assert.strictEqual(recent.getLatest('device-b'), null, 'the device silent the longest is dropped');
+    assert.strictEqual(recent.getLatest('DEVICE-C').data.temperature, 4);
+    assert.deepStrictEqual(recent.getStats(), { size: 10, maxDevices: 2, readings: 4, errors: 0, devices: 2 });
+  }],
+
+  ['GET /readings/recent and /errors/recent honour limit', async () => {
+    const readings = await request('/readings/recent?limit=1');
+    assert.strictEqual(readings.body.length, 1);
+    assert.strictEqual(readings.body[0].data.temperature, 22.5, 'newest first');
+    assert.strictEqual((await request('/readings/recent?limit=oops')).body.length, 2, 'bad limit ignored');
+
+    const errors = await request('/errors/recent');
+    assert.strictEqual(errors.status, 200);
+    assert.strictEqual(errors.body.length, 1);
+    assert.strictEqual(errors.body[0].original, 'invalid|message');
+  }],
+
+  ['GET /metrics serves the Prometheus text format', async () => {
+    const { status, headers, text } = await request('/metrics');
+    assert.strictEqual(status, 200);
+    assert.ok(headers['content-type'].startsWith('text/plain; version=0.0.4'));
+    assert.ok(text.includes('# TYPE iot_parser_messages_total counter'));
+  }],
+
+  ['GET /dashboard and /dashboard/events', async () => {
+    const page = await request('/dashboard');
+    assert.strictEqual(page.status, 200);
+    assert.ok(page.headers['content-type'].startsWith('text/html'));
+
+    const events = await request('/dashboard/events', { raw: true });
+    assert.strictEqual(events.status, 200);
+    assert.ok(events.headers['content-type'].startsWith('text/event-stream'));
+  }],
+
+  ['unknown paths are 404', async () => {
+    const { status, body } = await request('/nope');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error, 'Not found: /nope');
+  }],
+
+  ['other methods on a known path are 405 with Allow', async () => {
+    const { status, headers } = await request('/stats', { method: 'POST' });
+    assert.strictEqual(status, 405);
+    assert.strictEqual(headers.allow, 'GET');
+  }],
+
+  ['malformed percent-encoding is 400 and the server keeps running', async () => {
+    const { status, body } = await request('/devices/%E0%A4%A/latest');
+    assert.strictEqual(status, 400);
+    assert.ok(body.error.startsWith('Malformed path'));
+    assert.strictEqual((await request('/stats')).status, 200);
+  }],
+
+  ['custom routes get decoded params, and handler errors are 500', async () => {
+    parser.api.route('GET', '/echo/:name', ({ params }) => ({ status: 201, body: params }));
+    parser.api.route('GET', '/boom', () => { throw new Error('handler failed'); });
+
+    const echo = await request('/echo/a%20b');
+    assert.strictEqual(echo.status, 201);
+    assert.deepStrictEqual(echo.body, { name: 'a b' });
+
+    const errorsBefore = parser.api.getStats().errors;
+    const boom = await request('/boom');
+    assert.strictEqual(boom.status, 500);
+    assert.strictEqual(boom.body.error, 'handler failed');
+    assert.strictEqual(parser.api.getStats().errors, errorsBefore + 1);
+  }]
+];
+
+async function runApiTests() {
+  console.log('🧪 Running HTTP API tests\n');
+  let failures = 0;
+
+  await startParser();
+  try {
+    for (const [name, test] of tests) {
+      try {
+        await test();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failures++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${error.message.split('\n')[0]}`);
+      }
+    }
+  } finally {
+    await parser.stop();
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} HTTP API tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runApiTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 HTTP API test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runApiTests };
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const ClockSkewTracker = require('./src/services/clockSkewTracker');
+const IotParser = require('./src/parser');
+
+// Clock skew tests: median offset estimate, drift events, correction
+// threshold and timestamp correction in the parser
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const OTHER = '550e8400-e29b-41d4-a716-446655440001';
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+function createTracker(options) {
+  const tracker = new ClockSkewTracker(options);
+  const events = [];
+  tracker.on('drift', event => events.push(['drift', event.offsetMs]));
+  tracker.on('drift-ok', event => events.push(['drift-ok', event.offsetMs]));
+  return { tracker, events };
+}
+
+const tests = [
+  ['offset is device time minus receive time', () => {
+    const { tracker } = createTracker();
+    assert.strictEqual(tracker.observe(UUID, NOW + 5000, NOW), 5000);
+    assert.strictEqual(tracker.observe(OTHER, NOW - 3000, NOW), -3000);
+    assert.strictEqual(tracker.getOffset(UUID), 5000);
+    assert.strictEqual(tracker.getOffset('unknown'), null);
+  }],
+
+  ['estimate is the median, so outliers do not move it', () => {
+    const { tracker } = createTracker();
+    [1000, 1200, 900, -3600000, 1100].forEach((offset, i) => tracker.observe(UUID, NOW + i * 1000 + offset, NOW + i * 1000));
+    assert.strictEqual(tracker.getOffset(UUID), 1000);
+  }],
+
+  ['even sample counts average the middle pair', () => {
+    const { tracker } = createTracker();
+    [1000, 2000].forEach(offset => tracker.observe(UUID, NOW + offset, NOW));
+    assert.strictEqual(tracker.getOffset(UUID), 1500);
+  }],
+
+  ['only the last `samples` readings count', () => {
+    const { tracker } = createTracker({ samples: 3 });
+    [0, 0, 0, 9000, 9000].forEach(offset => tracker.observe(UUID, NOW + offset, NOW));
+    assert.strictEqual(tracker.getOffset(UUID), 9000);
+    assert.strictEqual(tracker.list()[0].samples, 3);
+  }],
+
+  ['drift and drift-ok are emitted on crossing maxDriftMs', () => {
+    const { tracker, events } = createTracker({ samples: 1, maxDriftMs: 30000 });
+    [10000, 31000, 40000, -5000, 0].forEach(offset => tracker.observe(UUID, NOW + offset, NOW));
+
+    assert.deepStrictEqual(events, [['drift', 31000], ['drift-ok', -5000]]);
+    assert.strictEqual(tracker.getStats().driftWarnings, 1);
+    assert.strictEqual(tracker.getStats().drifting, 0);
+  }],
+
+  ['correction subtracts the offset above the threshold only', () => {
+    const { tracker } = createTracker({ correctionThresholdMs: 2000 });
+    tracker.observe(UUID, NOW + 1500, NOW);
+    tracker.observe(OTHER, NOW - 120000, NOW);
+
+    assert.strictEqual(tracker.correct(UUID, NOW + 1500), NOW + 1500, 'below threshold: unchanged');
+    assert.strictEqual(tracker.correct(OTHER, NOW - 120000), NOW);
+    assert.strictEqual(tracker.correct('unknown', NOW), NOW);
+    assert.strictEqual(tracker.getStats().corrected, 1);
+  }],
+
+  ['parser corrects a fast device clock instead of rejecting its readings', () => {
+    const createParser = correct => new IotParser({
+      parser: { useWorkers: false, enableStats: false },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      sinks: [],
+      deadLetter: { enabled: false },
+      dedup: { enabled: false },
+      ordering: { enabled: false },
+      clockSkew: { enabled: true, correct, samples: 5, maxDriftMs: 30000, correctionThresholdMs: 2000 },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    // Device clock ten minutes ahead
+    const message = `tt${Math.floor(Date.now() / 1000) + 600}|uid${UUID}|t21.5`;
+
+    const uncorrected = createParser(false);
+    let rejected = null;
+    uncorrected.on('error', error => { rejected = error.validationErrors; });
+    uncorrected.handleParsed(uncorrected.parse(message, 'site/a'));
+    assert.ok(rejected, 'future timestamp rejected without correction');
+
+    const corrected = createParser(true);
+    let data = null;
+    corrected.on('data', reading => { data = reading; });
+    corrected.on('error', error => assert.fail(error.validationErrors.join(', ')));
+    corrected.handleParsed(corrected.parse(message, 'site/a'));
+
+    assert.ok(data, 'accepted once corrected');
+    assert.ok(Math.abs(data._clockOffsetMs - 600000) < 2000);
+    assert.ok(Math.abs(data.timestamp - Date.now()) < 2000, 'timestamp moved onto the parser clock');
+  }],
+
+  ['invalid and unregistered readings are not tracked', () => {
+    const parser = new IotParser({
+      parser: { useWorkers: false, enableStats: false },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      deadLetter: { enabled: false },
+      sinks: [],
+      dedup: { enabled: false },
+      ordering: { enabled: false },
+      devices: { unknownDevicePolicy: 'reject' },
+      clockSkew: { enabled: true, correct: false, samples: 5, maxDriftMs: 30000 },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    let drifts = 0;
+    parser.on('error', () => {});
+    parser.on('clock-drift', () => { drifts++; });
+    const seconds = Math.floor(Date.now() / 1000) - 3600;
+
+    for (let i = 0; i < 100; i++) {
+      parser.handleParsed(parser.parse(`tt${seconds}|uidjunk${i}|t21.5`, 'site/a'));
+    }
+    parser.handleParsed(parser.parse(`tt${seconds}|uid${UUID}|t21.5`, 'site/a'));
+
+    assert.strictEqual(parser.clockSkew.getStats().devices, 0);
+    assert.strictEqual(drifts, 0);
+  }]
+];
+
+function runClockSkewTests() {
+  console.log('🧪 Running clock skew tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} clock skew tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runClockSkewTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runClockSkewTests };
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const helpers = require('./test-helpers');
+
+// Command round trip tests: sendCommand() publishes through a stub, the
+// device's answer is fed back through handleParsed(), and the command is
+// acknowledged by correlation ID or reported state, or times out
+
+const { UUID, TOPIC, clock, feed, reading } = helpers;
+
+// Parser whose publish() records the command instead of sending it
+function createParser(options = {}) {
+  const parser = helpers.createParser(options);
+  parser.published = [];
+  parser.publish = async (topic, payload, publishOptions) => {
+    parser.published.push({ topic, payload: JSON.parse(payload), options: publishOptions });
+  };
+  return parser;
+}
+
+// Lets the stubbed publish() settle before the device answers
+function published(parser) {
+  return new Promise(resolve => setImmediate(() => resolve(parser.published[parser.published.length - 1])));
+}
+
+const tests = [
+  ['a reading echoing the correlation ID acknowledges the command', async () => {
+    const parser = createParser();
+    const events = [];
+    parser.on('command-ack', ack => events.push(ack.correlationId));
+
+    const pending = parser.sendCommand(UUID, '1');
+    const { topic, payload, options } = await published(parser);
+    assert.strictEqual(topic, `devices/${UUID}/commands`);
+    assert.strictEqual(payload.actuator, '1');
+    assert.strictEqual(options.qos, 1);
+
+    feed(parser, reading(`t21.5|a0|cid${payload.correlationId}`));
+    const ack = await pending;
+    assert.strictEqual(ack.correlationId, payload.correlationId);
+    assert.strictEqual(ack.data.actuator, '0', 'matched by ID even though the state differs');
+    assert.deepStrictEqual(events, [payload.correlationId]);
+    assert.deepStrictEqual(parser.getStats().commands, { sent: 1, acknowledged: 1, timedOut: 0, failed: 0, pending: 0 });
+  }],
+
+  ['pipe keys are found when the value starts with letters', () => {
+    const parser = createParser();
+    const { valid, data } = parser.parse(reading('a1|cidbeef-01', 'abcd8400-e29b-41d4-a716-446655440000'), TOPIC);
+    assert.strictEqual(valid, true);
+    assert.strictEqual(data.uuid, 'abcd8400-e29b-41d4-a716-446655440000');
+    assert.strictEqual(data.correlationId, 'beef-01');
+  }],
+
+  ['without an ID the reported actuator state acknowledges it', async () => {
+    const parser = createParser();
+    const pending = parser.sendCommand(UUID, true);
+    await published(parser);
+
+    feed(parser, reading('t21.5|a0'));
+    assert.strictEqual(parser.getStats().commands.pending, 1, 'other state: still pending');
+    feed(parser, reading('t21.5|a1'));
+    assert.strictEqual((await pending).command.actuator, '1');
+  }],
+
+  ['UUIDs match regardless of case', async () => {
+    const parser = createParser();
+    const pending = parser.sendCommand(UUID.toUpperCase(), '1');
+    const { payload } = await published(parser);
+
+    feed(parser, reading(`t21.5|a1|cid${payload.correlationId}`));
+    assert.strictEqual((await pending).correlationId, payload.correlationId);
+  }],
+
+  ['an ack in the same second as a reading is not lost to dedup', async () => {
+    const parser = createParser({ dedup: { enabled: true, key: 'uuid-timestamp' } });
+    const seconds = clock.next();
+    feed(parser, `tt${seconds}|uid${UUID}|t21.5|a0`);
+
+    const pending = parser.sendCommand(UUID, '1');
+    await published(parser);
+    feed(parser, `tt${seconds}|uid${UUID}|t21.5|a1`);
+
+    assert.strictEqual((await pending).data.actuator, '1');
+    assert.strictEqual(parser.getStats().dedup.duplicates, 1, 'still counted as a duplicate');
+  }],
+
+  ['readings from other devices or invalid ones do not acknowledge', async () => {
+    const parser = createParser();
+    const pending = parser.sendCommand(UUID, '1', { timeout: 50 });
+    const { payload } = await published(parser);
+
+    feed(parser, reading(`a1|cid${payload.correlationId}`, '550e8400-e29b-41d4-a716-446655440001'));
+    feed(parser, reading(`t999|a1|cid${payload.correlationId}`));
+    await assert.rejects(pending, { code: 'COMMAND_TIMEOUT' });
+  }],
+
+  ['an unacknowledged command times out', async () => {
+    const parser = createParser();
+    const timeouts = [];
+    parser.on('command-timeout', event => timeouts.push(event));
+
+    const pending = parser.sendCommand(UUID, '1', { timeout: 30 });
+    const { payload } = await published(parser);
+    await assert.rejects(pending, (error) => {
+      assert.strictEqual(error.code, 'COMMAND_TIMEOUT');
+      assert.strictEqual(error.correlationId, payload.correlationId);
+      return true;
+    });
+
+    assert.deepStrictEqual(timeouts, [{ uuid: UUID, command: '1', correlationId: payload.correlationId }]);
+    assert.strictEqual(parser.getStats().commands.timedOut, 1);
+    feed(parser, reading(`t21.5|a1|cid${payload.correlationId}`));
+    assert.strictEqual(parser.getStats().commands.acknowledged, 0, 'a late ack changes nothing');
+  }],
+
+  ['invalid UUIDs and publish failures reject right away', async () => {
+    const parser = createParser();
+    await assert.rejects(parser.sendCommand('not-a-uuid', '1'), /Invalid device UUID/);
+
+    parser.publish = async () => { throw new Error('MQTT client is not connected'); };
+    await assert.rejects(parser.sendCommand(UUID, '1'), /not connected/);
+    assert.deepStrictEqual(parser.getStats().commands, { sent: 0, acknowledged: 0, timedOut: 0, failed: 1, pending: 0 });
+  }]
+];
+
+async function runCommandTests() {
+  console.log('🧪 Running command round trip tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} command tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runCommandTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Command test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runCommandTests };
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const path = require('path');
+const WorkerPool = require('./src/services/workerPool');
+const ValidationEngine = require('./src/validation/validationEngine');
+const config = require('./config/config');
+
+// Conformance suite: every fixture goes through the main-thread engine and
+// the worker pool, and both must give the same verdict, errors, format
+// and parsed data.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const now = Math.floor(Date.now() / 1000);
+const topicPatterns = ['IDGS10-Pruebas-Sensores', 'site/{site}/room/{room}/telemetry'];
+
+const fixtures = [
+  // Valid pipe
+  { message: `tt1703123456|uid${UUID}|t23.5|h65.2|v1.0`, valid: true },
+  { message: `tt1703123457|uid${UUID}|t22.1|h70.5|a1|v1.2`, valid: true },
+  { message: `tt1703123458|uid${UUID}`, valid: true },
+  { message: `tt1703123459|uid${UUID}|t21.0`, topic: 'site/mx01/room/lab/telemetry', valid: true },
+
+  // Valid JSON (including aliases)
+  { message: `{"timestamp":1703123456,"uuid":"${UUID}","temperature":23.5,"humidity":65.2,"version":"1.0"}`, valid: true },
+  { message: `{"timestamp":1703123457,"id":"${UUID}","temp":22.1,"humid":70.5,"actuator":"1","ver":"1.2"}`, valid: true },
+  { message: `{"timestamp":1703123458,"device_id":"${UUID}","temperature":24.8,"humidity":58.3}`, valid: true },
+  { message: `{"timestamp":1703123459,"uuid":"${UUID}"}`, topic: 'site/mx01/room/lab/telemetry', valid: true },
+
+  // Timestamp units and ISO-8601, normalized to Unix milliseconds
+  { message: `tt1703123456|uid${UUID}|t23.5`, valid: true, timestamp: 1703123456000, precision: 's' },
+  { message: `tt1703123456789|uid${UUID}|t23.5`, valid: true, timestamp: 1703123456789, precision: 'ms' },
+  { message: `tt1703123456789123|uid${UUID}|t23.5`, valid: true, timestamp: 1703123456789, precision: 'us' },
+  { message: `tt2023-12-21T01:50:56Z|uid${UUID}|t23.5`, valid: true, timestamp: 1703123456000, precision: 's' },
+  { message: `{"timestamp":1703123456789,"uuid":"${UUID}"}`, valid: true, timestamp: 1703123456789, precision: 'ms' },
+  { message: `{"timestamp":"2025-08-11T07:59:13Z","uuid":"${UUID}"}`, valid: true, timestamp: 1754899153000, precision: 's' },
+  { message: `{"timestamp":"2025-08-11T09:59:13.250+02:00","uuid":"${UUID}"}`, valid: true, timestamp: 1754899153250, precision: 'ms' },
+
+  // Invalid pipe
+  { message: 'invalid|message', valid: false },
+  { message: `tt|uid${UUID}`, valid: false },
+  { message: `tt1703123456|uid${UUID}|t150.0`, valid: false },
+  { message: `tt1703123456|uid${UUID}|h-1`, valid: false },
+  { message: `tt1703123456|uid123456|t25.0`, valid: false },
+  { message: `tt${now + 86400}|uid${UUID}|t25.0`, valid: false },
+  { message: `tt1703123456|uid${UUID}|t 25.0`, valid: false },
+  { message: `tt1703123456|uid${UUID}|tt1703123457`, valid: false },
+  { message: `tt1703123456|uid${UUID}|aon`, valid: false },
+  { message: `tt1703123456|uid${UUID}|v`, valid: false },
+  { message: `uid${UUID}|t25.0`, valid: false },
+  { message: 'not_json_or_pipe_format', valid: false },
+  { message: '', valid: false },
+
+  // Invalid JSON
+  { message: `{"timestamp":1703123456,"uuid":"123","temperature":150}`, valid: false },
+  { message: '{"invalid":"json","missing":"required_fields"}', valid: false },
+  { message: `{"timestamp":"not_a_number","uuid":"${UUID}"}`, valid: false },
+  { message: '{"malformed": json without closing brace', valid: false },
+  { message: `{"timestamp":${now + 86400},"uuid":"${UUID}"}`, valid: false },
+  { message: `{"timestamp":1703123456,"uuid":"${UUID}","humidity":"wet"}`, valid: false },
+  { message: `{"timestamp":"2025-08-11T07:59:13","uuid":"${UUID}"}`, valid: false },
+  { message: `{"timestamp":${(now + 86400) * 1000},"uuid":"${UUID}"}`, valid: false },
+  { message: `tt-1703123456|uid${UUID}`, valid: false }
+];
+
+// Fields that legitimately differ between runs
+function comparable(result) {
+  const { _receivedAt, _workerId, ...data } = result.data;
+  return {
+    valid: result.valid,
+    format: result.format,
+    validationErrors: result.validationErrors,
+    data
+  };
+}
+
+function createPool() {
+  return new WorkerPool({
+    size: 2,
+    workerPath: path.join(__dirname, 'src/parserWorker.js'),
+    workerData: { schema: config.schema, decoderModules: [], topicPatterns }
+  });
+}
+
+// Submit through the pool and wait for the result correlated to our task ID
+function parseInWorker(pool, str, topic) {
+  return new Promise((resolve) => {
+    const id = pool.submit(str, topic);
+    const onResult = (result, task) => {
+      if (task.id !== id) return;
+      pool.off('result', onResult);
+      resolve(result);
+    };
+    pool.on('result', onResult);
+  });
+}
+
+async function runConformanceTests() {
+  console.log('🧪 Running validation conformance tests (main thread vs worker)\n');
+
+  const engine = new ValidationEngine({ schema: config.schema, topicPatterns });
+  const pool = createPool();
+  let failures = 0;
+
+  for (const [index, fixture] of fixtures.entries()) {
+    const topic = fixture.topic || 'IDGS10-Pruebas-Sensores';
+    const main = comparable(engine.parse(fixture.message, topic));
+    const threaded = comparable(await parseInWorker(pool, fixture.message, topic));
+
+    try {
+      assert.deepStrictEqual(threaded, main, 'worker and main thread disagree');
+      assert.strictEqual(main.valid, fixture.valid, `expected valid=${fixture.valid}`);
+      if (fixture.timestamp !== undefined) {
+        assert.strictEqual(main.data.timestamp, fixture.timestamp, `expected timestamp=${fixture.timestamp}`);
+        assert.strictEqual(main.data._timestampPrecision, fixture.precision, `expected precision=${fixture.precision}`);
+      }
+      console.log(`✅ ${String(index + 1).padStart(2, '0')} ${main.valid ? 'valid  ' : 'invalid'} (${main.format}) ${fixture.message}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${String(index + 1).padStart(2, '0')} ${fixture.message}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+      console.log(`   main:   ${JSON.stringify(main)}`);
+      console.log(`   worker: ${JSON.stringify(threaded)}`);
+    }
+  }
+
+  await pool.terminate();
+
+  console.log(`\n📊 ${fixtures.length - failures}/${fixtures.length} fixtures conform`);
+  return failures;
+}
+
+if (require.main === module) {
+  runConformanceTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Conformance run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runConformanceTests, fixtures };
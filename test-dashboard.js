@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const http = require('http');
+const ApiServer = require('./src/services/apiServer');
+const Dashboard = require('./src/services/dashboard');
+const { UUID, createParser, feed, reading } = require('./test-helpers');
+
+// Live dashboard tests: snapshot on connect, streamed events, the client
+// limit, listener cleanup on stop(), slow-client drop and idle publishing.
+// Each test mounts a dashboard on its own API server on a free local port.
+
+// Runs a test against a started dashboard, then tears everything down
+async function withDashboard(options, test) {
+  const parser = createParser();
+  const api = new ApiServer({ parser, port: 0, host: '127.0.0.1' });
+  const dashboard = new Dashboard({ parser, ...options }).attach(api);
+  const clients = [];
+  await api.start();
+  dashboard.start();
+
+  const connect = () => subscribe(api.address().port).then((client) => {
+    clients.push(client);
+    return client;
+  });
+
+  try {
+    await test({ parser, dashboard, connect });
+  } finally {
+    clients.forEach(client => client.close());
+    dashboard.stop();
+    await api.stop();
+  }
+}
+
+// Minimal SSE client; next(event) resolves with the next payload of that event
+function subscribe(port) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/dashboard/events' }, (res) => {
+      const client = { status: res.statusCode, events: [], waiting: [], ended: false, close: () => req.destroy() };
+      let buffer = '';
+
+      client.next = (event, timeoutMs = 2000) => new Promise((done, fail) => {
+        const index = client.events.findIndex(entry => entry.event === event && !entry.taken);
+        if (index >= 0) {
+          client.events[index].taken = true;
+          return done(client.events[index].data);
+        }
+        const timer = setTimeout(() => fail(new Error(`No '${event}' event within ${timeoutMs}ms`)), timeoutMs);
+        client.waiting.push({ event, done: (data) => { clearTimeout(timer); done(data); } });
+      });
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const frame = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = frame.match(/^event: (.*)$/m)?.[1];
+          const data = frame.match(/^data: (.*)$/m)?.[1];
+          if (!event) continue;
+
+          const entry = { event, data: JSON.parse(data), taken: false };
+          client.events.push(entry);
+          const waiter = client.waiting.findIndex(candidate => candidate.event === event);
+          if (waiter >= 0) {
+            entry.taken = true;
+            client.waiting.splice(waiter, 1)[0].done(entry.data);
+          }
+        }
+      });
+      res.on('end', () => { client.ended = true; });
+      res.on('error', () => {});
+      resolve(client);
+    });
+    req.on('error', reject);
+  });
+}
+
+function until(condition, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Condition not met in time'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+const tests = [
+  ['a new client gets a snapshot of recent readings, errors and stats', () => withDashboard({}, async ({ parser, connect }) => {
+    feed(parser, reading('t21'));
+    feed(parser, reading('t22'));
+    feed(parser, 'invalid|message');
+
+    const client = await connect();
+    const snapshot = await client.next('snapshot');
+    assert.strictEqual(client.status, 200);
+    assert.deepStrictEqual(snapshot.readings.map(entry => entry.data.temperature), [21, 22], 'oldest first');
+    assert.strictEqual(snapshot.errors[0].original, 'invalid|message');
+    assert.strictEqual(snapshot.stats.validMessages, 2);
+    assert.deepStrictEqual(snapshot.connection, { mqtt: false, started: false });
+    assert.strictEqual(snapshot.instanceId, parser.instanceId);
+  })],
+
+  ['readings and invalid messages are streamed as they arrive', () => withDashboard({}, async ({ parser, connect }) => {
+    const client = await connect();
+    await client.next('snapshot');
+
+    feed(parser, reading('t24.5'));
+    feed(parser, reading('t999'));
+
+    const streamed = await client.next('reading');
+    assert.strictEqual(streamed.uuid, UUID);
+    assert.strictEqual(streamed.data.temperature, 24.5);
+    const invalid = await client.next('invalid');
+    assert.ok(invalid.errors[0].startsWith('Temperature out of range'));
+  })],
+
+  ['clients beyond maxClients get 503', () => withDashboard({ maxClients: 1 }, async ({ dashboard, connect }) => {
+    const first = await connect();
+    await first.next('snapshot');
+    const second = await connect();
+
+    assert.strictEqual(second.status, 503);
+    assert.strictEqual(dashboard.getStats().rejected, 1);
+    assert.strictEqual(dashboard.getStats().clients, 1);
+  })],
+
+  ['disconnected clients are forgotten', () => withDashboard({}, async ({ dashboard, connect }) => {
+    const client = await connect();
+    await client.next('snapshot');
+    assert.strictEqual(dashboard.getStats().clients, 1);
+
+    client.close();
+    await until(() => dashboard.getStats().clients === 0);
+  })],
+
+  ['stop() removes its listeners and ends the streams', () => withDashboard({}, async ({ parser, dashboard, connect }) => {
+    const client = await connect();
+    await client.next('snapshot');
+    const before = {
+      data: parser.listeners('data').length,
+      error: parser.listeners('error').length,
+      log: parser.logger.listeners('log').length
+    };
+
+    dashboard.stop();
+    assert.deepStrictEqual({
+      data: parser.listeners('data').length,
+      error: parser.listeners('error').length,
+      log: parser.logger.listeners('log').length
+    }, { data: before.data - 1, error: before.error - 1, log: before.log - 1 });
+    assert.deepStrictEqual(dashboard.timers, []);
+    await until(() => client.ended);
+  })],
+
+  ['a client that stops reading is dropped', () => withDashboard({ maxBufferedBytes: 1000 }, async ({ dashboard }) => {
+    const writes = [];
+    const slow = { writableLength: 5000, write: frame => writes.push(frame), destroy: () => { slow.destroyed = true; } };
+    const fast = { writableLength: 0, write: frame => writes.push(frame), destroy: () => {} };
+    dashboard.clients.add(slow);
+    dashboard.clients.add(fast);
+
+    dashboard.broadcast('log', { message: 'hello' });
+
+    assert.strictEqual(slow.destroyed, true);
+    assert.strictEqual(dashboard.clients.has(slow), false);
+    assert.strictEqual(writes.length, 1, 'only the fast client was written to');
+    assert.strictEqual(dashboard.getStats().dropped, 1);
+    dashboard.clients.delete(fast);
+  })],
+
+  ['stats are only built and sent while someone is watching', () => withDashboard({ statsIntervalMs: 60 * 60 * 1000 }, async ({ parser, dashboard, connect }) => {
+    let builds = 0;
+    const getStats = parser.getStats.bind(parser);
+    parser.getStats = () => {
+      builds++;
+      return getStats();
+    };
+
+    dashboard.publishState();
+    assert.strictEqual(builds, 0, 'no clients, no work');
+
+    const client = await connect();
+    await client.next('snapshot');
+    feed(parser, reading());
+    dashboard.publishState();
+    const stats = await client.next('stats');
+    assert.strictEqual(stats.validMessages, 1);
+
+    dashboard.publishState();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(client.events.filter(entry => entry.event === 'stats').length, 1, 'unchanged stats are not resent');
+  })]
+];
+
+async function runDashboardTests() {
+  console.log('🧪 Running live dashboard tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} dashboard tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runDashboardTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Dashboard test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDashboardTests };
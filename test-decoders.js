@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const config = require('./config/config');
+const DecoderRegistry = require('./src/decoders/decoderRegistry');
+const ValidationEngine = require('./src/validation/validationEngine');
+const { reading } = require('./test-helpers');
+
+// Decoder registry tests: priority order, replacing a decoder by name,
+// decoders whose detect() or decode() throw, and registration checks
+
+// Claims every payload starting with its prefix
+function prefixDecoder(name, prefix, extra = {}) {
+  return {
+    name,
+    detect: str => str.startsWith(prefix),
+    decode: () => ({ data: {}, errors: [`decoded by ${name}`] }),
+    ...extra
+  };
+}
+
+const tests = [
+  ['decoders are tried from highest to lowest priority', () => {
+    const registry = DecoderRegistry.createDefaultRegistry()
+      .register(prefixDecoder('low', 'x', { priority: -200 }))
+      .register(prefixDecoder('default', 'x'))
+      .register(prefixDecoder('high', 'x', { priority: 50 }))
+      .register(prefixDecoder('also-high', 'x', { priority: 50 }));
+
+    assert.deepStrictEqual(registry.list(), ['high', 'also-high', 'json', 'default', 'pipe', 'low']);
+    assert.strictEqual(registry.get('default').priority, 0, 'priority defaults to 0');
+    assert.strictEqual(registry.detect('x|y').name, 'high', 'ties keep registration order');
+    assert.strictEqual(registry.detect('{"uuid":"x"}').name, 'json');
+    assert.strictEqual(registry.detect(reading()).name, 'pipe', 'pipe is the fallback');
+  }],
+
+  ['registering a name again replaces the decoder', () => {
+    const registry = DecoderRegistry.createDefaultRegistry()
+      .register(prefixDecoder('csv', 'a'))
+      .register(prefixDecoder('csv', 'b', { priority: 20 }));
+
+    assert.deepStrictEqual(registry.list(), ['csv', 'json', 'pipe']);
+    assert.strictEqual(registry.detect('a,1').name, 'pipe', 'the old detect() is gone');
+    assert.strictEqual(registry.detect('b,1').name, 'csv');
+
+    registry.unregister('csv').unregister('missing');
+    assert.deepStrictEqual(registry.list(), ['json', 'pipe']);
+  }],
+
+  ['a detect() that throws is treated as no match', () => {
+    const registry = DecoderRegistry.createDefaultRegistry()
+      .register({ ...prefixDecoder('broken', ''), priority: 100, detect: () => { throw new Error('boom'); } });
+
+    assert.strictEqual(registry.detect('{"uuid":"x"}').name, 'json');
+    assert.strictEqual(registry.detect('garbage').name, 'pipe');
+  }],
+
+  ['a decode() that throws becomes a validation error', () => {
+    const engine = new ValidationEngine({ schema: config.schema });
+    engine.registry.register(prefixDecoder('fragile', 'f:', { decode: () => { throw new Error('bad frame'); } }));
+
+    const result = engine.parse('f:123', 'site/a');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.format, 'fragile');
+    assert.deepStrictEqual(result.validationErrors, ['Decoder fragile failed: bad frame']);
+    assert.strictEqual(engine.parse(reading(), 'site/a').valid, true, 'other formats unaffected');
+  }],
+
+  ['decoders need a name, detect() and decode()', () => {
+    const registry = new DecoderRegistry();
+    assert.throws(() => registry.register({ detect: () => true, decode: () => ({}) }), /must have a name/);
+    assert.throws(() => registry.register({ name: 'half', detect: () => true }), /"half" must implement detect\(\) and decode\(\)/);
+    assert.strictEqual(registry.detect('anything'), undefined, 'empty registry matches nothing');
+  }]
+];
+
+function runDecoderTests() {
+  console.log('🧪 Running decoder registry tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} decoder registry tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runDecoderTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runDecoderTests };
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const Deduplicator = require('./src/services/deduplicator');
+const IotParser = require('./src/parser');
+
+// Duplicate suppression tests: keys, window expiry, maxEntries eviction and
+// the parser's 'duplicate' verdict
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+function reading(timestamp, fields = {}) {
+  return { uuid: UUID, timestamp, temperature: 21.5, ...fields };
+}
+
+const tests = [
+  ['repeat of uuid + timestamp is a duplicate', () => {
+    const dedup = new Deduplicator();
+    assert.strictEqual(dedup.check(reading(1000), T0), null);
+    assert.strictEqual(dedup.check(reading(1000, { temperature: 99 }), T0 + 10), T0, 'returns first-seen time');
+    assert.strictEqual(dedup.check(reading(2000), T0 + 20), null);
+    assert.strictEqual(dedup.getStats().duplicates, 1);
+  }],
+
+  ['content-hash ignores parser metadata', () => {
+    const dedup = new Deduplicator({ key: 'content-hash' });
+    assert.strictEqual(dedup.check({ ...reading(1000), _receivedAt: 'a', _topic: 'x' }, T0), null);
+    assert.strictEqual(dedup.check({ ...reading(1000), _receivedAt: 'b', _topic: 'y' }, T0 + 1), T0);
+    assert.strictEqual(dedup.check(reading(1000, { temperature: 22 }), T0 + 2), null, 'different content');
+  }],
+
+  ['keys expire after windowMs', () => {
+    const dedup = new Deduplicator({ windowMs: 1000 });
+    dedup.check(reading(1000), T0);
+    assert.strictEqual(dedup.check(reading(1000), T0 + 999), T0);
+    assert.strictEqual(dedup.check(reading(1000), T0 + 1000), null, 'window is measured from first sight');
+    assert.strictEqual(dedup.getStats().tracked, 1);
+  }],
+
+  ['oldest keys are evicted past maxEntries', () => {
+    const dedup = new Deduplicator({ maxEntries: 3 });
+    [1, 2, 3, 4].forEach(timestamp => dedup.check(reading(timestamp), T0));
+
+    const stats = dedup.getStats();
+    assert.strictEqual(stats.tracked, 3);
+    assert.strictEqual(stats.evicted, 1);
+    assert.strictEqual(dedup.check(reading(4), T0), T0, 'newest still remembered');
+    assert.strictEqual(dedup.check(reading(1), T0), null, 'oldest forgotten');
+  }],
+
+  ['unknown key mode is rejected', () => {
+    assert.throws(() => new Deduplicator({ key: 'uuid' }), /Invalid dedup key/);
+  }],
+
+  ['parser suppresses redelivered readings', () => {
+    const parser = new IotParser({
+      parser: { useWorkers: false, enableStats: false },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      sinks: [],
+      deadLetter: { enabled: false },
+      dedup: { enabled: true, emitDuplicates: true },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    const data = [];
+    const duplicates = [];
+    parser.on('data', reading => data.push(reading));
+    parser.on('duplicate', event => duplicates.push(event));
+
+    const message = `tt${Math.floor(Date.now() / 1000) - 60}|uid${UUID}|t21.5`;
+    parser.handleParsed(parser.parse(message, 'site/a'));
+    parser.handleParsed(parser.parse(message, 'site/a'));
+
+    assert.strictEqual(data.length, 1);
+    assert.strictEqual(duplicates.length, 1);
+    assert.strictEqual(duplicates[0].original, message);
+    assert.strictEqual(parser.getStats().dedup.duplicates, 1);
+  }]
+];
+
+function runDedupTests() {
+  console.log('🧪 Running duplicate suppression tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} dedup tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runDedupTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runDedupTests };
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeviceRegistry = require('./src/services/deviceRegistry');
+const DeadLetterStore = require('./src/services/deadLetterStore');
+const IotParser = require('./src/parser');
+
+// Device registry tests: case-insensitive lookup, unknown-device policies,
+// enrichment, the debounced auto-register file and quarantine in the parser.
+// Registry and data files go to a temp directory.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const UNKNOWN = '550e8400-e29b-41d4-a716-4466554400ff';
+const TOPIC = 'IDGS10-Pruebas-Sensores';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-devices-'));
+let dirSeq = 0;
+
+// Registry file with one device, keyed in upper case
+function createRegistry(options = {}) {
+  const dir = path.join(tmpDir, `registry-${dirSeq++}`);
+  fs.mkdirSync(dir);
+  const registryPath = path.join(dir, 'devices.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    [UUID.toUpperCase()]: {
+      name: 'Greenhouse 1',
+      location: 'north',
+      model: 'ESP32',
+      firmware: '1.2.0',
+      schema: { temperature: { min: 0, max: 50 } }
+    }
+  }));
+  const registry = new DeviceRegistry({ registryPath, autoRegisterPath: path.join(dir, 'devices-auto.json'), ...options });
+  return { registry, dir, registryPath, autoRegisterPath: path.join(dir, 'devices-auto.json') };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const tests = [
+  ['UUIDs are looked up regardless of case', () => {
+    const { registry } = createRegistry();
+    assert.strictEqual(registry.get(UUID).name, 'Greenhouse 1');
+    assert.strictEqual(registry.get(UUID.toUpperCase()).name, 'Greenhouse 1');
+    assert.strictEqual(registry.has(UNKNOWN), false);
+    assert.deepStrictEqual(registry.list().map(device => device.uuid), [UUID]);
+    assert.deepStrictEqual(Object.keys(registry.getSchemaOverrides()), [UUID]);
+  }],
+
+  ['registered devices are accepted under every policy', () => {
+    for (const policy of DeviceRegistry.UNKNOWN_DEVICE_POLICIES) {
+      const { registry } = createRegistry({ unknownDevicePolicy: policy });
+      assert.deepStrictEqual(registry.admit({ uuid: UUID.toUpperCase() }), { action: 'accept', errors: [] }, policy);
+    }
+  }],
+
+  ['unknown devices follow the policy', () => {
+    const verdicts = {};
+    for (const policy of ['allow', 'reject', 'quarantine']) {
+      const { registry } = createRegistry({ unknownDevicePolicy: policy });
+      verdicts[policy] = registry.admit({ uuid: UNKNOWN });
+      assert.strictEqual(registry.has(UNKNOWN), false, `${policy} does not register`);
+    }
+
+    assert.deepStrictEqual(verdicts.allow, { action: 'accept', errors: [] });
+    assert.deepStrictEqual(verdicts.reject, { action: 'reject', errors: [`Unregistered device: ${UNKNOWN}`] });
+    assert.deepStrictEqual(verdicts.quarantine, { action: 'quarantine', errors: [`Unregistered device: ${UNKNOWN}`] });
+    assert.throws(() => new DeviceRegistry({ unknownDevicePolicy: 'ignore', autoLoad: false }), /Invalid unknown device policy/);
+  }],
+
+  ['auto-register adds the device once and keeps the registry file untouched', () => {
+    const { registry, registryPath } = createRegistry({ unknownDevicePolicy: 'auto-register' });
+    const before = fs.readFileSync(registryPath, 'utf8');
+
+    assert.strictEqual(registry.admit({ uuid: UNKNOWN.toUpperCase(), version: '2.0.0' }).action, 'accept');
+    assert.strictEqual(registry.admit({ uuid: UNKNOWN }).action, 'accept');
+
+    const device = registry.get(UNKNOWN);
+    assert.strictEqual(device.autoRegistered, true);
+    assert.strictEqual(device.firmware, '2.0.0');
+    assert.deepStrictEqual(registry.getStats(), {
+      registered: 2, policy: 'auto-register', accepted: 1, rejected: 0, quarantined: 0, autoRegistered: 1
+    });
+    assert.strictEqual(fs.readFileSync(registryPath, 'utf8'), before);
+    registry.flush();
+  }],
+
+  ['auto-registered devices are saved once per debounce window', async () => {
+    const { registry, autoRegisterPath } = createRegistry({ unknownDevicePolicy: 'auto-register', saveDebounceMs: 50 });
+    let saves = 0;
+    const save = registry.save.bind(registry);
+    registry.save = () => { saves++; save(); };
+
+    ['01', '02', '03'].forEach(suffix => registry.admit({ uuid: `550e8400-e29b-41d4-a716-4466554400${suffix}` }));
+    assert.strictEqual(fs.existsSync(autoRegisterPath), false, 'nothing written yet');
+
+    await sleep(100);
+    assert.strictEqual(saves, 1);
+    assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(autoRegisterPath, 'utf8'))).length, 3);
+
+    registry.admit({ uuid: UNKNOWN });
+    registry.flush();
+    assert.strictEqual(saves, 2, 'flush() writes pending registrations right away');
+    registry.flush();
+    assert.strictEqual(saves, 2, 'and nothing when none are pending');
+
+    const reloaded = new DeviceRegistry({ registryPath: path.join(tmpDir, 'missing.json'), autoRegisterPath });
+    assert.strictEqual(reloaded.list().length, 4);
+  }],
+
+  ['enrich() attaches metadata and flags a firmware mismatch', () => {
+    const { registry } = createRegistry();
+    const data = registry.enrich({ uuid: UUID.toUpperCase(), version: '1.3.0' });
+    assert.deepStrictEqual(data._device, {
+      name: 'Greenhouse 1',
+      location: 'north',
+      model: 'ESP32',
+      expectedFirmware: '1.2.0',
+      firmwareMismatch: true
+    });
+
+    assert.strictEqual(registry.enrich({ uuid: UUID, version: '1.2.0' })._device.firmwareMismatch, undefined);
+    assert.strictEqual(registry.enrich({ uuid: UNKNOWN })._device, undefined);
+  }],
+
+  ['the parser keeps quarantined readings in the dead-letter store', async () => {
+    const { registryPath, autoRegisterPath, dir } = createRegistry();
+    const dlqDir = path.join(dir, 'dlq');
+    const parser = new IotParser({
+      parser: { useWorkers: false, enableStats: false },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      sinks: [],
+      dedup: { enabled: false },
+      ordering: { enabled: false },
+      devices: { registryPath, autoRegisterPath, unknownDevicePolicy: 'quarantine' },
+      deadLetter: { enabled: true, dir: dlqDir },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    const events = { data: [], quarantine: [] };
+    parser.on('data', data => events.data.push(data));
+    parser.on('quarantine', event => events.quarantine.push(event));
+    await parser.start({ connect: false });
+
+    const seconds = Math.floor(Date.now() / 1000) - 60;
+    const quarantined = `tt${seconds}|uid${UNKNOWN}|t21.5`;
+    parser.handleMessage(TOPIC, quarantined);
+    parser.handleMessage(TOPIC, `tt${seconds}|uid${UUID}|t21.5`);
+    await parser.stop();
+
+    assert.deepStrictEqual(events.data.map(data => data._device.name), ['Greenhouse 1']);
+    assert.strictEqual(events.quarantine[0].reason, `Unregistered device: ${UNKNOWN}`);
+    assert.strictEqual(parser.getStats().invalidMessages, 0, 'quarantine is not logged as invalid');
+
+    const entries = new DeadLetterStore({ dir: dlqDir }).read({ tag: 'quarantine' });
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].original, quarantined);
+    assert.deepStrictEqual(entries[0].errors, [`Unregistered device: ${UNKNOWN}`]);
+  }]
+];
+
+async function runDeviceTests() {
+  console.log('🧪 Running device registry tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} device registry tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runDeviceTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Device registry test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDeviceTests };
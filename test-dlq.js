@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { execFile } = require('child_process');
+const DeadLetterStore = require('./src/services/deadLetterStore');
+const IotParser = require('./src/parser');
+
+// Dead-letter store tests: entry format, read() filters, summaries by error
+// type, replay against a changed schema, and what the parser stores.
+// Every store lives in its own temp directory.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const TOPIC = 'IDGS10-Pruebas-Sensores';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-dlq-'));
+let dirSeq = 0;
+const seconds = Math.floor(Date.now() / 1000) - 60;
+
+function createStore() {
+  return new DeadLetterStore({ dir: path.join(tmpDir, `dlq-${dirSeq++}`) });
+}
+
+// A store holding one older file (written by hand) and today's entries
+function seededStore() {
+  const store = createStore();
+  fs.mkdirSync(store.options.dir, { recursive: true });
+  fs.writeFileSync(path.join(store.options.dir, 'dead-letters-2026-01-01.ndjson'), [
+    JSON.stringify({
+      id: 'old-1',
+      storedAt: '2026-01-01T10:00:00.000Z',
+      topic: 'site/a',
+      format: 'json',
+      original: '{"uuid":"x"}',
+      errors: ['Missing required field: timestamp'],
+      errorTypes: ['Missing required field'] // Written before errorType()
+    }),
+    '{"id":"partial","storedAt":'
+  ].join('\n') + '\n');
+
+  store.add({ original: `tt${seconds}|uid${UUID}|t150`, topic: TOPIC, format: 'pipe', errors: ['Temperature out of range: 150 (must be -40 to 85)'] });
+  store.add({ original: `tt${seconds}|uid${UUID}|t-60`, topic: TOPIC, format: 'pipe', errors: ['Temperature out of range: -60 (must be -40 to 85)'] });
+  store.add({ original: `tt${seconds}|uid${UUID}|q1`, topic: 'site/b', format: 'pipe', errors: ['Unknown key: q'] });
+  store.add({ original: `tt${seconds}|uid${UUID}|t20`, topic: TOPIC, format: 'pipe', errors: [`Unregistered device: ${UUID}`], tags: ['quarantine'] });
+  return store;
+}
+
+const tests = [
+  ['entries go to a daily NDJSON file with fixed error types', () => {
+    const store = createStore();
+    const entry = store.add({
+      original: 'tt1|t999',
+      topic: TOPIC,
+      format: 'pipe',
+      errors: ['Temperature out of range: 999 (must be -40 to 85)', 'Missing required field: uuid', 'Missing required field: humidity'],
+      instanceId: 'gw-1'
+    });
+
+    assert.deepStrictEqual(entry.errorTypes, ['out_of_range', 'missing_field']);
+    assert.deepStrictEqual(entry.tags, []);
+    assert.deepStrictEqual(store.files().map(file => path.basename(file)), [path.basename(store.fileFor())]);
+    const [stored] = store.read();
+    assert.strictEqual(stored.id, entry.id);
+    assert.strictEqual(stored.instanceId, 'gw-1');
+    assert.deepStrictEqual(store.getStats(), { dir: store.options.dir, stored: 1, writeErrors: 0 });
+  }],
+
+  ['read() is oldest first and skips partial lines', () => {
+    const store = seededStore();
+    const entries = store.read();
+    assert.strictEqual(entries.length, 5);
+    assert.strictEqual(entries[0].id, 'old-1');
+    assert.deepStrictEqual(createStore().read(), [], 'no directory yet');
+  }],
+
+  ['read() filters by error type, tag, topic, format, date and count', () => {
+    const store = seededStore();
+    const ids = filter => store.read(filter).map(entry => entry.original);
+
+    assert.strictEqual(store.read({ errorType: 'out_of_range' }).length, 2, 'by type');
+    assert.strictEqual(store.read({ errorType: 'OUT OF RANGE' }).length, 2, 'by message text, any case');
+    assert.strictEqual(store.read({ errorType: 'missing_field' })[0].id, 'old-1', 'old entries by the new types');
+    assert.deepStrictEqual(ids({ tag: 'quarantine' }), [`tt${seconds}|uid${UUID}|t20`]);
+    assert.deepStrictEqual(ids({ topic: 'site/b' }), [`tt${seconds}|uid${UUID}|q1`]);
+    assert.strictEqual(store.read({ format: 'json' }).length, 1);
+    assert.strictEqual(store.read({ since: '2026-01-02' }).length, 4);
+    assert.deepStrictEqual(ids({ errorType: 'out_of_range', limit: 1 }), [`tt${seconds}|uid${UUID}|t-60`], 'limit keeps the newest');
+  }],
+
+  ['summarize() counts entries per error type', () => {
+    const store = seededStore();
+    assert.deepStrictEqual(store.summarize(), {
+      missing_field: 1,
+      out_of_range: 2,
+      unknown_key: 1,
+      unregistered_device: 1
+    });
+    assert.deepStrictEqual(store.summarize(store.read({ topic: 'site/b' })), { unknown_key: 1 });
+  }],
+
+  ['replay() reports which entries pass with the current rules', () => {
+    const store = seededStore();
+    const parser = new IotParser({
+      parser: { useWorkers: false, enableStats: false },
+      deadLetter: { enabled: false },
+      schema: { temperature: { max: 200 } },
+      logging: { enableConsole: false, enableFile: false }
+    });
+
+    const report = store.replay(store.read({ errorType: 'out_of_range' }), (str, topic) => parser.parse(str, topic));
+    assert.strictEqual(report.total, 2);
+    assert.strictEqual(report.nowValid, 1);
+    assert.strictEqual(report.stillInvalid, 1);
+
+    const [widened, still] = report.results;
+    assert.strictEqual(widened.valid, true);
+    assert.strictEqual(widened.data.temperature, 150);
+    assert.deepStrictEqual(widened.previousErrors, ['Temperature out of range: 150 (must be -40 to 85)']);
+    assert.deepStrictEqual(still.errors, ['Temperature out of range: -60 (must be -40 to 200)']);
+    assert.strictEqual(still.data, undefined);
+  }],
+
+  ['stats.js dlq replay checks future timestamps as they were checked originally', async () => {
+    const store = createStore();
+    store.add({ original: `tt${seconds + 3600}|uid${UUID}|t21.5`, topic: TOPIC, format: 'pipe', errors: [`Future timestamp: ${seconds + 3600}`] });
+    store.add({ original: `tt${seconds}|uid${UUID}|t21.5`, topic: TOPIC, format: 'pipe', errors: ['Temperature out of range: 21.5 (must be -40 to 20)'] });
+
+    // The live parser holds the API port while the replay runs
+    const live = net.createServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => live.once('listening', resolve));
+    const env = {
+      ...process.env,
+      API_ENABLED: 'true',
+      API_HOST: '127.0.0.1',
+      API_PORT: String(live.address().port),
+      CLOCK_SKEW_ENABLED: 'true',
+      CLOCK_SKEW_CORRECT: 'true',
+      DEVICE_AUTO_REGISTER_PATH: path.join(tmpDir, 'devices-auto.json')
+    };
+
+    const output = await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['stats.js', 'dlq', 'replay', '--dlq-dir', store.options.dir], { cwd: __dirname, env, timeout: 30000 }, (error, stdout, stderr) => {
+        if (error) reject(new Error(`${error.message}\n${stderr}`));
+        else resolve(stdout);
+      });
+    }).finally(() => live.close());
+
+    assert.ok(output.includes('still invalid: Future timestamp'), 'future entry still rejected');
+    assert.ok(output.includes('Now valid: 1  Still invalid: 1'));
+  }],
+
+  ['the parser stores every invalid message', () => {
+    const dir = path.join(tmpDir, `dlq-${dirSeq++}`);
+    const parser = new IotParser({
+      parser: { useWorkers: false, enableStats: false, instanceId: 'gw-2' },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      sinks: [],
+      dedup: { enabled: false },
+      ordering: { enabled: false },
+      deadLetter: { enabled: true, dir },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    parser.on('error', () => {});
+    [`tt${seconds}|uid${UUID}|t21.5`, `tt${seconds}|uid${UUID}|t999`, 'garbage']
+      .forEach(message => parser.handleParsed(parser.parse(message, TOPIC)));
+
+    const entries = new DeadLetterStore({ dir }).read();
+    assert.deepStrictEqual(entries.map(entry => entry.original), [`tt${seconds}|uid${UUID}|t999`, 'garbage']);
+    assert.deepStrictEqual(entries[0].errorTypes, ['out_of_range']);
+    assert.strictEqual(entries[0].instanceId, 'gw-2');
+    assert.strictEqual(parser.getStats().deadLetters.stored, 2);
+  }]
+];
+
+async function runDeadLetterTests() {
+  console.log('🧪 Running dead-letter store tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} dead-letter tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runDeadLetterTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Dead-letter test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDeadLetterTests };
@@ -0,0 +1,47 @@
+const IotParser = require('./src/parser');
+
+// Shared setup for the test scripts (not a test suite itself): a quiet
+// parser with nothing to connect to, and pipe readings with increasing
+// timestamps so they are never duplicates, stale or in the future.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const TOPIC = 'IDGS10-Pruebas-Sensores';
+
+// Device time in seconds; next() hands out one timestamp per reading
+const clock = {
+  value: Math.floor(Date.now() / 1000) - 600,
+  next() {
+    return this.value++;
+  }
+};
+
+// No workers, stats file, InfluxDB, Kafka, dead letters, sinks, dedup,
+// ordering or logging unless the test turns them on (top-level keys replace
+// the defaults)
+function createParser(options = {}) {
+  const parser = new IotParser({
+    parser: { useWorkers: false, enableStats: false },
+    influxdb: { enabled: false },
+    kafka: { enabled: false },
+    deadLetter: { enabled: false },
+    sinks: [],
+    dedup: { enabled: false },
+    ordering: { enabled: false },
+    logging: { enableConsole: false, enableFile: false },
+    ...options
+  });
+  parser.on('error', () => {}); // Invalid messages are expected in tests
+  return parser;
+}
+
+// Parses and handles messages synchronously on the main thread
+function feed(parser, messages, topic = TOPIC) {
+  [].concat(messages).forEach(message => parser.handleParsed(parser.parse(message, topic)));
+}
+
+// 'tt<next timestamp>|uid<uuid>|<fields>'
+function reading(fields = 't23.5', uuid = UUID) {
+  return `tt${clock.next()}|uid${uuid}|${fields}`;
+}
+
+module.exports = { UUID, TOPIC, clock, createParser, feed, reading };
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InfluxSink } = require('./src/sinks');
+
+// InfluxDB sink tests against a stub transport: batching, retry backoff,
+// spool bounds, draining and rejected batches. Spools go to a temp directory.
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-influx-'));
+let spoolSeq = 0;
+
+// Records every batch; `fail(lines)` returns the error to throw, if any
+function createTransport(fail = () => null) {
+  const transport = async (lines) => {
+    const error = fail(lines);
+    if (error) throw error;
+    transport.batches.push(lines);
+  };
+  transport.batches = [];
+  return transport;
+}
+
+function httpError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function createSink(transport, options = {}) {
+  const spoolDir = path.join(tmpDir, `spool-${spoolSeq++}`);
+  const sink = new InfluxSink({
+    transport,
+    spoolDir,
+    flushIntervalMs: 60 * 60 * 1000,
+    retryBaseMs: 10,
+    ...options
+  });
+  const events = [];
+  ['retry', 'spooled', 'failed'].forEach(event => sink.on(event, payload => events.push([event, payload])));
+  return { sink, spoolDir, events };
+}
+
+function spoolFiles(spoolDir) {
+  return fs.existsSync(spoolDir) ? fs.readdirSync(spoolDir).sort() : [];
+}
+
+const tests = [
+  ['lines are sent in batches of batchSize, in order', async () => {
+    const transport = createTransport();
+    const { sink } = createSink(transport, { batchSize: 2 });
+    sink.start();
+
+    ['a', 'b', 'c', 'd', 'e'].forEach(line => sink.writeLine(line));
+    await sink.flush();
+    await sink.close();
+
+    assert.deepStrictEqual(transport.batches, [['a', 'b'], ['c', 'd'], ['e']]);
+    assert.strictEqual(sink.getStats().written, 5);
+  }],
+
+  ['failed writes back off exponentially, then succeed', async () => {
+    let failures = 2;
+    const transport = createTransport(() => (failures-- > 0 ? new Error('connect ECONNREFUSED') : null));
+    const { sink, events } = createSink(transport, { batchSize: 1 });
+    const statuses = [];
+    sink.on('status', status => statuses.push(status));
+    sink.start();
+
+    sink.writeLine('a');
+    await sink.flush();
+    await sink.close();
+
+    assert.deepStrictEqual(events.map(([, retry]) => [retry.attempt, retry.delayMs]), [[1, 10], [2, 20]]);
+    assert.deepStrictEqual(statuses, ['retrying', 'ok']);
+    assert.deepStrictEqual(transport.batches, [['a']]);
+    assert.strictEqual(sink.getStats().retries, 2);
+  }],
+
+  ['exhausted batches are spooled and drained oldest first once writes succeed', async () => {
+    let down = true;
+    const transport = createTransport(() => (down ? new Error('connect ECONNREFUSED') : null));
+    const { sink, spoolDir } = createSink(transport, { batchSize: 1, maxRetries: 0 });
+    sink.start();
+
+    sink.writeLine('a');
+    await sink.flush();
+    sink.writeLine('b');
+    await sink.flush();
+    assert.strictEqual(sink.status, 'down');
+    assert.strictEqual(spoolFiles(spoolDir).length, 2);
+
+    down = false;
+    sink.writeLine('c');
+    await sink.flush();
+    await sink.close();
+
+    assert.deepStrictEqual(transport.batches, [['c'], ['a'], ['b']]);
+    assert.deepStrictEqual(spoolFiles(spoolDir), []);
+    assert.strictEqual(sink.getStats().spooledTotal, 2);
+  }],
+
+  ['too much in memory goes straight to the spool', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const transport = createTransport();
+    const slow = (lines) => gate.then(() => transport(lines));
+    const { sink, spoolDir, events } = createSink(slow, { batchSize: 2, maxBufferedLines: 3 });
+    sink.start();
+
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(line => sink.writeLine(line)); // a, b in flight
+    assert.deepStrictEqual(events.map(([event, payload]) => [event, payload.reason]), [['spooled', 'buffer-full']]);
+    assert.strictEqual(fs.readFileSync(path.join(spoolDir, spoolFiles(spoolDir)[0]), 'utf8'), 'c\nd\n');
+
+    release();
+    await sink.flush();
+    await sink.close();
+    assert.deepStrictEqual(transport.batches.flat().sort(), ['a', 'b', 'c', 'd', 'e', 'f']);
+  }],
+
+  ['lines beyond maxSpoolBytes are counted as failed', async () => {
+    const transport = createTransport(() => new Error('connect ECONNREFUSED'));
+    const { sink, spoolDir, events } = createSink(transport, { batchSize: 1, maxRetries: 0, maxSpoolBytes: 30 });
+    sink.start();
+
+    sink.writeLine('x'.repeat(20));
+    await sink.flush();
+    sink.writeLine('y'.repeat(20));
+    await sink.flush();
+    await sink.close();
+
+    assert.deepStrictEqual(events.map(([event]) => event), ['spooled', 'failed']);
+    assert.strictEqual(events[1][1].error.message, 'InfluxDB spool is full');
+    assert.strictEqual(sink.getStats().failed, 1);
+    assert.strictEqual(spoolFiles(spoolDir).length, 1);
+  }],
+
+  ['a spool left by a previous run is drained on start()', async () => {
+    const transport = createTransport();
+    const { sink, spoolDir } = createSink(transport);
+    fs.mkdirSync(spoolDir, { recursive: true });
+    fs.writeFileSync(path.join(spoolDir, '1000-000001.lp'), 'b1\nb2\n');
+    fs.writeFileSync(path.join(spoolDir, '1000-000000.lp'), 'a1\n');
+
+    await sink.start().flush();
+    await sink.close();
+
+    assert.deepStrictEqual(transport.batches, [['a1'], ['b1', 'b2']]);
+    assert.deepStrictEqual(spoolFiles(spoolDir), []);
+  }],
+
+  ['a rejected spool file is set aside and the drain continues', async () => {
+    const transport = createTransport(lines => (lines.includes('bad') ? httpError(400, 'partial write: unable to parse') : null));
+    const { sink, spoolDir, events } = createSink(transport);
+    fs.mkdirSync(spoolDir, { recursive: true });
+    fs.writeFileSync(path.join(spoolDir, '1000-000000.lp'), 'bad\nworse\n');
+    fs.writeFileSync(path.join(spoolDir, '1000-000001.lp'), 'good\n');
+
+    await sink.start().flush();
+    await sink.close();
+
+    assert.deepStrictEqual(transport.batches, [['good']]);
+    assert.deepStrictEqual(spoolFiles(spoolDir), ['1000-000000.rejected']);
+    assert.deepStrictEqual(events.map(([event, payload]) => [event, payload.count]), [['failed', 2]]);
+    assert.strictEqual(sink.getStats().failed, 2);
+    assert.strictEqual(sink.status, 'ok');
+  }],
+
+  ['a rejected fresh batch is not retried or spooled', async () => {
+    const transport = createTransport(lines => (lines.includes('bad') ? httpError(422, 'points beyond retention') : null));
+    const { sink, spoolDir, events } = createSink(transport, { batchSize: 1 });
+    sink.start();
+
+    sink.writeLine('bad');
+    await sink.flush();
+    sink.writeLine('good');
+    await sink.flush();
+    await sink.close();
+
+    assert.deepStrictEqual(events.map(([event]) => event), ['failed']);
+    assert.deepStrictEqual(transport.batches, [['good']]);
+    assert.deepStrictEqual(spoolFiles(spoolDir), []);
+  }],
+
+  ['a spool file that cannot be removed does not stop the drain', async () => {
+    const written = [];
+    // Removes the file it is sending, so the sink's own unlink fails
+    const transport = async (lines) => {
+      fs.unlinkSync(path.join(spoolDir, spoolFiles(spoolDir)[0]));
+      written.push(lines);
+    };
+    const { sink, spoolDir } = createSink(transport);
+    fs.mkdirSync(spoolDir, { recursive: true });
+    fs.writeFileSync(path.join(spoolDir, '1000-000000.lp'), 'a\n');
+    fs.writeFileSync(path.join(spoolDir, '1000-000001.lp'), 'b\n');
+
+    await sink.start().flush();
+    await sink.close();
+
+    assert.deepStrictEqual(written, [['a'], ['b']]);
+    assert.strictEqual(sink.getStats().spoolFiles, 0);
+    assert.ok(sink.getStats().lastError.includes('ENOENT'));
+  }]
+];
+
+async function runInfluxSinkTests() {
+  console.log('🧪 Running InfluxDB sink tests (stub transport)\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} InfluxDB sink tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runInfluxSinkTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 InfluxDB sink test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runInfluxSinkTests };
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { Kafka, logLevel } = require('kafkajs');
+const { KafkaSink } = require('./src/sinks');
+const { UUID, clock, createParser, feed, reading } = require('./test-helpers');
+
+// Kafka sink tests against an in-process stub of the kafkajs client. Set
+// KAFKA_TEST_BROKERS=localhost:9092 to also run a round trip through a real
+// broker, e.g.:
+//   docker run -d --name kafka -p 9092:9092 apache/kafka:3.7.0
+
+// Records what the producer is asked to do; failSends makes the next N sends throw
+function createStubKafka({ failSends = 0 } = {}) {
+  const stub = { producerConfig: null, batches: [], connected: false, disconnected: false, failSends };
+
+  stub.producer = (producerConfig) => {
+    stub.producerConfig = producerConfig;
+    return {
+      connect: async () => { stub.connected = true; },
+      sendBatch: async (batch) => {
+        if (stub.failSends > 0) {
+          stub.failSends--;
+          throw new Error('There is no leader for this topic-partition');
+        }
+        stub.batches.push(batch);
+      },
+      disconnect: async () => { stub.disconnected = true; }
+    };
+  };
+
+  stub.messages = (topic) => stub.batches
+    .flatMap(batch => batch.topicMessages)
+    .filter(entry => entry.topic === topic)
+    .flatMap(entry => entry.messages);
+
+  return stub;
+}
+
+const tests = [
+  ['valid records keyed by UUID, invalid ones to the errors topic', async () => {
+    const stub = createStubKafka();
+    const parser = createParser({ sinks: [new KafkaSink({ kafka: stub, topics: { valid: 'iot-parsed-data', errors: 'iot-validation-errors' } })] });
+    await parser.start({ connect: false });
+
+    feed(parser, [reading(), reading(), 'invalid|message', reading('t999')]);
+    await parser.stop();
+
+    const valid = stub.messages('iot-parsed-data');
+    const errors = stub.messages('iot-validation-errors');
+    assert.strictEqual(valid.length, 2);
+    assert.strictEqual(errors.length, 2);
+    valid.forEach(message => assert.strictEqual(message.key, UUID));
+    assert.strictEqual(JSON.parse(valid[0].value).data.temperature, 23.5);
+    assert.strictEqual(errors[0].key, null, 'unparseable message has no device key');
+    assert.strictEqual(errors[1].key, UUID, 'device known from the partially decoded data');
+    assert.ok(JSON.parse(errors[1].value).errors[0].startsWith('Temperature out of range'));
+    assert.strictEqual(errors[1].headers.kind, 'invalid');
+  }],
+
+  ['idempotent producer settings', async () => {
+    const stub = createStubKafka();
+    const parser = createParser({ sinks: [new KafkaSink({ kafka: stub })] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    assert.strictEqual(stub.producerConfig.idempotent, true);
+    assert.strictEqual(stub.producerConfig.maxInFlightRequests, 1);
+    assert.strictEqual(stub.batches[0].acks, -1);
+  }],
+
+  ['buffered messages are flushed by disconnect()', async () => {
+    const stub = createStubKafka();
+    const sink = new KafkaSink({ kafka: stub, batchSize: 1000, flushIntervalMs: 60 * 60 * 1000 });
+    const parser = createParser({ sinks: [sink] });
+    await parser.start({ connect: false });
+
+    feed(parser, [reading(), reading(), reading()]);
+    assert.strictEqual(stub.batches.length, 0, 'nothing sent before the flush');
+    assert.strictEqual(sink.health().pending, 3);
+
+    await parser.disconnect();
+    assert.strictEqual(stub.messages('iot-parsed-data').length, 3);
+    assert.strictEqual(stub.disconnected, true, 'producer disconnected');
+    assert.strictEqual(sink.health().sent, 3);
+  }],
+
+  ['batches of batchSize, in arrival order', async () => {
+    const stub = createStubKafka();
+    const parser = createParser({ sinks: [new KafkaSink({ kafka: stub, batchSize: 2 })] });
+    await parser.start({ connect: false });
+
+    const first = clock.value;
+    feed(parser, [reading(), reading(), reading(), reading(), reading()]);
+    await parser.stop();
+
+    assert.deepStrictEqual(stub.batches.map(batch => batch.topicMessages[0].messages.length), [2, 2, 1]);
+    const timestamps = stub.messages('iot-parsed-data').map(message => JSON.parse(message.value).data.timestamp);
+    assert.deepStrictEqual(timestamps, [0, 1, 2, 3, 4].map(offset => (first + offset) * 1000));
+  }],
+
+  ['no errors topic: invalid records are not published', async () => {
+    const stub = createStubKafka();
+    const sink = new KafkaSink({ kafka: stub, topics: { valid: 'only-valid' } });
+    const parser = createParser({ sinks: [sink] });
+    await parser.start({ connect: false });
+    feed(parser, [reading(), 'invalid|message']);
+    await parser.stop();
+
+    assert.strictEqual(sink.records, 'valid');
+    assert.deepStrictEqual(stub.batches.flatMap(batch => batch.topicMessages.map(entry => entry.topic)), ['only-valid']);
+  }],
+
+  ['schema-tagged envelope serialization', async () => {
+    const stub = createStubKafka();
+    const parser = createParser({ sinks: [new KafkaSink({ kafka: stub, serialization: 'envelope', schemaName: 'iot-telemetry/v2' })] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    const [message] = stub.messages('iot-parsed-data');
+    const envelope = JSON.parse(message.value);
+    assert.strictEqual(envelope.schema, 'iot-telemetry/v2');
+    assert.strictEqual(envelope.payload.kind, 'valid');
+    assert.strictEqual(envelope.payload.data.uuid, UUID);
+    assert.strictEqual(message.headers.schema, 'iot-telemetry/v2');
+  }],
+
+  ['failed batches stay at the head of the buffer and are retried', async () => {
+    const stub = createStubKafka({ failSends: 1 });
+    const sink = new KafkaSink({ kafka: stub, batchSize: 2, flushIntervalMs: 60 * 60 * 1000 });
+    const parser = createParser({ sinks: [sink] });
+    const statuses = [];
+    const failed = [];
+    parser.on('sink-status', (name, status) => statuses.push(status));
+    sink.on('failed', event => failed.push(event));
+    await parser.start({ connect: false });
+
+    const first = clock.value;
+    feed(parser, [reading(), reading()]);
+    await sink.flush();
+    assert.strictEqual(sink.health().pending, 2, 'failed batch kept');
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    const health = sink.health();
+    assert.strictEqual(health.sent, 3);
+    assert.strictEqual(health.failed, 0);
+    assert.strictEqual(health.requeued, 2);
+    assert.deepStrictEqual(failed, []);
+    assert.ok(health.lastError.includes('no leader'));
+    const timestamps = stub.messages('iot-parsed-data').map(message => JSON.parse(message.value).data.timestamp);
+    assert.deepStrictEqual(timestamps, [0, 1, 2].map(offset => (first + offset) * 1000), 'retried batch sent first');
+    assert.ok(statuses.includes('down') && statuses[statuses.length - 1] === 'ok', `statuses: ${statuses}`);
+  }],
+
+  ['requeued batches are bounded by maxBuffered', async () => {
+    const stub = createStubKafka({ failSends: 1 });
+    const sink = new KafkaSink({ kafka: stub, batchSize: 2, maxBuffered: 3, flushIntervalMs: 60 * 60 * 1000 });
+    const parser = createParser({ sinks: [sink] });
+    const failed = [];
+    sink.on('failed', event => failed.push(event.count));
+    await parser.start({ connect: false });
+
+    const first = clock.value;
+    feed(parser, [reading(), reading(), reading(), reading()]); // 0, 1 in flight
+    await sink.flush();
+    assert.strictEqual(sink.health().pending, 3);
+    await parser.stop();
+
+    assert.deepStrictEqual(failed, [1]);
+    assert.strictEqual(sink.health().overflowed, 1);
+    const timestamps = stub.messages('iot-parsed-data').map(message => JSON.parse(message.value).data.timestamp);
+    assert.deepStrictEqual(timestamps, [1, 2, 3].map(offset => (first + offset) * 1000), 'oldest dropped');
+  }],
+
+  ['records dropped from a full buffer are reported as failed', async () => {
+    const stub = createStubKafka({ failSends: 10 });
+    const sink = new KafkaSink({ kafka: stub, batchSize: 10, maxBuffered: 2, flushIntervalMs: 60 * 60 * 1000 });
+    const parser = createParser({ sinks: [sink] });
+    const failed = [];
+    sink.on('failed', event => failed.push([event.count, event.error.message]));
+    await parser.start({ connect: false });
+
+    feed(parser, [reading(), reading(), reading(), reading()]);
+    assert.deepStrictEqual(failed, [[1, 'Kafka buffer full (2)'], [1, 'Kafka buffer full (2)']]);
+    assert.strictEqual(sink.health().overflowed, 2);
+    assert.strictEqual(sink.health().pending, 2);
+    await parser.stop();
+  }],
+
+  ['records left when the broker is unreachable on close are counted as failed', async () => {
+    const stub = createStubKafka({ failSends: 10 });
+    const sink = new KafkaSink({ kafka: stub, batchSize: 10, flushIntervalMs: 60 * 60 * 1000 });
+    const parser = createParser({ sinks: [sink] });
+    await parser.start({ connect: false });
+
+    feed(parser, [reading(), reading()]);
+    await parser.stop();
+
+    assert.strictEqual(sink.health().failed, 2);
+    assert.strictEqual(sink.health().pending, 0);
+    assert.strictEqual(stub.disconnected, true);
+  }]
+];
+
+// Produce through the parser, then read the topic back
+async function brokerRoundTrip(brokers) {
+  const topic = `iot-parser-test-${Date.now()}`;
+  const kafka = new Kafka({ clientId: 'iot-parser-test', brokers, logLevel: logLevel.ERROR });
+
+  const admin = kafka.admin();
+  await admin.connect();
+  await admin.createTopics({ topics: [{ topic, numPartitions: 1 }], waitForLeaders: true });
+  await admin.disconnect();
+
+  const parser = createParser({ sinks: [new KafkaSink({ brokers, topics: { valid: topic } })] });
+  await parser.start({ connect: false });
+  feed(parser, [reading(), reading(), reading()]);
+  await parser.stop();
+
+  const consumer = kafka.consumer({ groupId: `${topic}-reader` });
+  const received = [];
+  await consumer.connect();
+  await consumer.subscribe({ topic, fromBeginning: true });
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`only ${received.length}/3 messages read back`)), 20000);
+    consumer.run({
+      eachMessage: async ({ message }) => {
+        received.push(message);
+        if (received.length === 3) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      }
+    });
+  });
+  await consumer.disconnect();
+
+  received.forEach(message => assert.strictEqual(message.key.toString(), UUID));
+}
+
+async function runKafkaTests() {
+  console.log('🧪 Running Kafka sink tests (in-process stub)\n');
+  let failures = 0;
+
+  const brokers = process.env.KAFKA_TEST_BROKERS ? process.env.KAFKA_TEST_BROKERS.split(',') : null;
+  const all = brokers ? [...tests, [`round trip through ${brokers.join(',')}`, () => brokerRoundTrip(brokers)]] : tests;
+
+  for (const [name, test] of all) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  if (!brokers) {
+    console.log('\nℹ️  Set KAFKA_TEST_BROKERS=localhost:9092 to also test against a real broker');
+  }
+  console.log(`\n📊 ${all.length - failures}/${all.length} Kafka tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runKafkaTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Kafka test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runKafkaTests, createStubKafka };
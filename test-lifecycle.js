@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Lifecycle tests: constructing IotParser must not touch the disk, start
+// timers or threads, or open connections; that all happens in start() and
+// is undone by stop(). Each check runs in a child process whose working
+// directory is an empty temp directory, so relative paths (./logs) land there.
+
+const PARSER = path.join(__dirname, 'src/parser');
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+// Every feature that owns files, timers, threads or sockets, switched on
+const EVERYTHING = {
+  parser: { useWorkers: true, numWorkers: 1, enableStats: true },
+  influxdb: { enabled: true, url: 'http://127.0.0.1:9', token: 'test-token' },
+  kafka: { enabled: true, brokers: ['127.0.0.1:9'] },
+  sinks: [{ type: 'file', name: 'archive', dir: './archive' }],
+  deadLetter: { enabled: true },
+  recorder: { enabled: true },
+  dedup: { enabled: true },
+  ordering: { enabled: true, reorderDelayMs: 1000 },
+  clockSkew: { enabled: true },
+  liveness: { enabled: true },
+  alerts: { enabled: true },
+  devices: { unknownDevicePolicy: 'auto-register' },
+  api: { enabled: true, port: 0, host: '127.0.0.1' },
+  metrics: { enabled: true },
+  dashboard: { enabled: true },
+  logging: { enableConsole: false, enableFile: true }
+};
+
+// Runs a script in an empty directory; resolves with its JSON output and
+// whatever files it left behind
+function runIsolated(script) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-lifecycle-'));
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { cwd: dir, timeout: 20000 }, (error, stdout, stderr) => {
+      const files = fs.readdirSync(dir, { recursive: true }).sort();
+      fs.rmSync(dir, { recursive: true, force: true });
+      if (error) return reject(new Error(`${error.message}\n${stderr}`));
+      resolve({ output: JSON.parse(stdout.trim().split('\n').pop() || 'null'), files });
+    });
+  });
+}
+
+const tests = [
+  ['the constructor creates no files, timers, threads or connections', async () => {
+    const { output, files } = await runIsolated(`
+      const IotParser = require(${JSON.stringify(PARSER)});
+      const baseline = process.getActiveResourcesInfo(); // stdio pipes
+      const parser = new IotParser(${JSON.stringify(EVERYTHING)});
+      parser.registerDecoder({ name: 'noop', detect: () => false, decode: () => ({ data: {}, errors: [] }) });
+      parser.parse('tt1703123456|uid${UUID}|t23.5', 'site/a');
+      parser.getStats();
+      const added = process.getActiveResourcesInfo();
+      baseline.forEach((resource) => {
+        const index = added.indexOf(resource);
+        if (index !== -1) added.splice(index, 1);
+      });
+      console.log(JSON.stringify({
+        resources: added,
+        mqttClient: parser.mqttClient,
+        workerPool: parser.workerPool,
+        api: parser.api,
+        sinks: parser.sinks.map(sink => sink.name),
+        statsTimer: parser.statsTimer
+      }));
+    `);
+
+    assert.deepStrictEqual(output, {
+      resources: [],
+      mqttClient: null,
+      workerPool: null,
+      api: null,
+      sinks: ['influxdb', 'kafka', 'archive'], // Created, but idle until start()
+      statsTimer: null
+    });
+    assert.deepStrictEqual(files, [], 'nothing written to disk');
+  }],
+
+  ['start() and stop() leave nothing running', async () => {
+    const { output, files } = await runIsolated(`
+      const IotParser = require(${JSON.stringify(PARSER)});
+      const parser = new IotParser(${JSON.stringify({ ...EVERYTHING, influxdb: { enabled: false }, kafka: { enabled: false }, sinks: [] })});
+      (async () => {
+        await parser.start({ connect: false });
+        const started = process.getActiveResourcesInfo();
+        await parser.stop();
+        const timer = setTimeout(() => console.log('null'), 5000);
+        timer.unref(); // The process must exit before this fires
+        process.on('exit', () => console.log(JSON.stringify({ started: started.length > 0, workerPool: parser.workerPool, api: parser.api })));
+      })();
+    `);
+
+    assert.deepStrictEqual(output, { started: true, workerPool: null, api: null }, 'exits by itself after stop()');
+    assert.ok(files.includes('logs'), 'start() owns the log directory');
+  }]
+];
+
+async function runLifecycleTests() {
+  console.log('🧪 Running parser lifecycle tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} lifecycle tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runLifecycleTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Lifecycle test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runLifecycleTests };
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LivenessTracker = require('./src/services/livenessTracker');
+const { UUID, createParser, reading } = require('./test-helpers');
+
+// Device liveness tests: offline/online transitions, learned and configured
+// reporting intervals, and how the parser reports them. Times are passed in
+// explicitly, so nothing waits for real intervals.
+
+const T0 = Date.parse('2026-01-01T12:00:00Z');
+
+function createTracker(options = {}) {
+  const tracker = new LivenessTracker({ defaultIntervalMs: 60000, missedIntervals: 3, ...options });
+  const events = [];
+  tracker.on('device-offline', device => events.push(['offline', device]));
+  tracker.on('device-online', device => events.push(['online', device]));
+  return { tracker, events };
+}
+
+const tests = [
+  ['a device goes offline after missing the configured number of reports', () => {
+    const { tracker, events } = createTracker();
+    tracker.seen(UUID, { at: T0 });
+
+    tracker.check(T0 + 3 * 60000);
+    assert.deepStrictEqual(events, [], 'exactly at the deadline: still online');
+    tracker.check(T0 + 3 * 60000 + 1);
+    tracker.check(T0 + 10 * 60000);
+
+    assert.strictEqual(events.length, 1, 'offline is reported once');
+    const [kind, device] = events[0];
+    assert.strictEqual(kind, 'offline');
+    assert.strictEqual(device.status, 'offline');
+    assert.strictEqual(device.silentForMs, 3 * 60000 + 1);
+    assert.strictEqual(device.expectedIntervalMs, 60000);
+    assert.deepStrictEqual(tracker.getStats(), { tracked: 1, online: 0, offline: 1 });
+  }],
+
+  ['the next report brings it back online with its downtime', () => {
+    const { tracker, events } = createTracker();
+    tracker.seen(UUID, { at: T0 });
+    tracker.check(T0 + 200000);
+    tracker.seen(UUID, { at: T0 + 500000 });
+
+    const [kind, device] = events[1];
+    assert.strictEqual(kind, 'online');
+    assert.strictEqual(device.downtimeMs, 300000);
+    assert.strictEqual(device.offlineSince, null);
+    assert.deepStrictEqual(tracker.getStats(), { tracked: 1, online: 1, offline: 0 });
+  }],
+
+  ['the interval is learned from gaps, but not from outages', () => {
+    const { tracker } = createTracker();
+    [0, 10000, 20000, 30000].forEach(offset => tracker.seen(UUID, { at: T0 + offset }));
+    assert.strictEqual(tracker.get(UUID).expectedIntervalMs, 10000);
+
+    tracker.check(T0 + 30000 + 30001);
+    tracker.seen(UUID, { at: T0 + 900000 });
+    assert.strictEqual(tracker.get(UUID).expectedIntervalMs, 10000, 'the outage gap is not learned');
+  }],
+
+  ['a configured interval overrides the learned and default ones', () => {
+    const { tracker, events } = createTracker();
+    [0, 10000].forEach(offset => tracker.seen(UUID, { at: T0 + offset, configuredIntervalMs: 300000 }));
+    assert.strictEqual(tracker.get(UUID).expectedIntervalMs, 300000);
+
+    tracker.check(T0 + 10000 + 3 * 60000 + 1);
+    assert.deepStrictEqual(events, [], 'not offline by the default or learned interval');
+    tracker.check(T0 + 10000 + 3 * 300000 + 1);
+    assert.strictEqual(events[0][0], 'offline');
+  }],
+
+  ['start() and stop() own the check timer', () => {
+    const { tracker } = createTracker({ checkIntervalMs: 60000 });
+    tracker.start();
+    const timer = tracker.timer;
+    assert.ok(timer);
+    assert.strictEqual(tracker.start().timer, timer, 'start() twice keeps one timer');
+    tracker.stop();
+    assert.strictEqual(tracker.timer, null);
+  }],
+
+  ['the parser reports transitions without counting them as errors', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-liveness-'));
+    const registryPath = path.join(dir, 'devices.json');
+    fs.writeFileSync(registryPath, JSON.stringify({ [UUID]: { name: 'Greenhouse 1', reportIntervalMs: 5000 } }));
+
+    const parser = createParser({
+      devices: { registryPath, autoRegisterPath: path.join(dir, 'devices-auto.json') },
+      liveness: { enabled: true, defaultIntervalMs: 60000, missedIntervals: 3, checkIntervalMs: 60000 }
+    });
+    const events = [];
+    parser.on('device-offline', device => events.push(['offline', device.name]));
+    parser.on('device-online', device => events.push(['online', device.name]));
+
+    try {
+      await parser.start({ connect: false });
+      parser.handleMessage('site/a', reading());
+      assert.strictEqual(parser.liveness.get(UUID).expectedIntervalMs, 5000, 'registry interval used');
+
+      parser.liveness.check(Date.now() + 3 * 5000 + 1000);
+      parser.handleMessage('site/a', reading());
+
+      assert.deepStrictEqual(events, [['offline', 'Greenhouse 1'], ['online', 'Greenhouse 1']]);
+      assert.strictEqual(parser.getStats().errors, 0);
+    } finally {
+      await parser.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }]
+];
+
+async function runLivenessTests() {
+  console.log('🧪 Running device liveness tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} liveness tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runLivenessTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Liveness test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runLivenessTests };
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { MetricsRegistry } = require('./src/services/metrics');
+const { errorType } = require('./src/validation/errorTypes');
+const IotParser = require('./src/parser');
+
+// Prometheus metrics tests: text exposition (escaping, histogram buckets,
+// _sum and _count), collect callbacks, and the bounded label values the
+// parser uses for topics and validation errors
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+function lines(registry) {
+  return registry.render().trim().split('\n');
+}
+
+const tests = [
+  ['counters and gauges render HELP, TYPE and one line per series', () => {
+    const registry = new MetricsRegistry({ prefix: 'app_' });
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['code'] });
+    const depth = registry.gauge({ name: 'queue_depth', help: 'Queue depth' });
+    requests.inc({ code: '200' });
+    requests.inc({ code: '200' }, 2);
+    requests.inc({ code: '500' });
+    depth.set({}, 4);
+    depth.dec();
+
+    assert.deepStrictEqual(lines(registry), [
+      '# HELP app_requests_total Requests',
+      '# TYPE app_requests_total counter',
+      'app_requests_total{code="200"} 3',
+      'app_requests_total{code="500"} 1',
+      '# HELP app_queue_depth Queue depth',
+      '# TYPE app_queue_depth gauge',
+      'app_queue_depth 3'
+    ]);
+  }],
+
+  ['unlabelled metrics start at 0, labelled ones with no series are empty', () => {
+    const registry = new MetricsRegistry();
+    registry.counter({ name: 'events_total', help: 'Events' });
+    registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['type'] });
+
+    assert.deepStrictEqual(lines(registry), [
+      '# HELP events_total Events',
+      '# TYPE events_total counter',
+      'events_total 0',
+      '# HELP errors_total Errors',
+      '# TYPE errors_total counter'
+    ]);
+  }],
+
+  ['label values and help text are escaped', () => {
+    const registry = new MetricsRegistry();
+    const metric = registry.counter({ name: 'escaped_total', help: 'Back\\slash and\nnewline', labelNames: ['value'] });
+    metric.inc({ value: 'say "hi"\\n\nnext' });
+
+    assert.deepStrictEqual(lines(registry), [
+      '# HELP escaped_total Back\\\\slash and\\nnewline',
+      '# TYPE escaped_total counter',
+      'escaped_total{value="say \\"hi\\"\\\\n\\nnext"} 1'
+    ]);
+  }],
+
+  ['histogram buckets are cumulative and end with +Inf, _sum and _count', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({ name: 'latency_ms', help: 'Latency', labelNames: ['format'], buckets: [10, 1, 5] });
+    [0.5, 3, 3, 7, 50].forEach(value => histogram.observe({ format: 'json' }, value));
+
+    assert.deepStrictEqual(lines(registry).slice(2), [
+      'latency_ms_bucket{format="json",le="1"} 1',
+      'latency_ms_bucket{format="json",le="5"} 3',
+      'latency_ms_bucket{format="json",le="10"} 4',
+      'latency_ms_bucket{format="json",le="+Inf"} 5',
+      'latency_ms_sum{format="json"} 63.5',
+      'latency_ms_count{format="json"} 5'
+    ]);
+  }],
+
+  ['an unlabelled histogram renders empty buckets', () => {
+    const registry = new MetricsRegistry();
+    registry.histogram({ name: 'size_bytes', help: 'Size', buckets: [100] });
+    assert.deepStrictEqual(lines(registry).slice(2), [
+      'size_bytes_bucket{le="100"} 0',
+      'size_bytes_bucket{le="+Inf"} 0',
+      'size_bytes_sum 0',
+      'size_bytes_count 0'
+    ]);
+  }],
+
+  ['collect callbacks refresh values on every render', () => {
+    const registry = new MetricsRegistry();
+    let depth = 2;
+    let calls = 0;
+    registry.gauge({
+      name: 'depth',
+      help: 'Depth',
+      labelNames: ['status'],
+      collect: (gauge) => {
+        calls++;
+        gauge.reset();
+        if (depth > 0) gauge.set({ status: 'busy' }, depth);
+      }
+    });
+
+    assert.strictEqual(lines(registry)[2], 'depth{status="busy"} 2');
+    depth = 0;
+    assert.deepStrictEqual(lines(registry), ['# HELP depth Depth', '# TYPE depth gauge'], 'reset drops stale series');
+    assert.strictEqual(calls, 2);
+  }],
+
+  ['registering a name twice throws', () => {
+    const registry = new MetricsRegistry({ prefix: 'x_' });
+    registry.counter({ name: 'a_total', help: 'A' });
+    assert.throws(() => registry.gauge({ name: 'a_total', help: 'A' }), /x_a_total is already registered/);
+    assert.ok(MetricsRegistry.contentType.startsWith('text/plain; version=0.0.4'));
+  }],
+
+  ['validation errors map to fixed types', () => {
+    const cases = {
+      'Empty message': 'empty_message',
+      'Unsupported message format': 'unsupported_format',
+      'Invalid JSON format: Unexpected token } in JSON': 'invalid_json',
+      'Invalid format for part: zz': 'malformed_part',
+      'Invalid characters in t: 2;3': 'invalid_characters',
+      'Duplicate keys found': 'duplicate_key',
+      'Unknown key: q': 'unknown_key',
+      'Missing required field: uuid': 'missing_field',
+      'Temperature out of range: 999 (must be -40 to 85)': 'out_of_range',
+      'Future timestamp: 99999999999': 'future_timestamp',
+      'Invalid UUID format: nope': 'invalid_value',
+      'Invalid temperature: abc': 'invalid_value',
+      [`Stale reading: timestamp 1 is too old for device ${UUID}`]: 'stale_reading',
+      [`Unregistered device: ${UUID}`]: 'unregistered_device',
+      'Decoder csv failed: boom': 'decoder_failed',
+      'Worker crashed 3 times while parsing this message': 'worker_failed',
+      'Checksum mismatch 0x1f': 'other'
+    };
+    for (const [message, type] of Object.entries(cases)) {
+      assert.strictEqual(errorType(message), type, message);
+    }
+  }],
+
+  ['parser labels stay bounded for unmatched topics and payload values', () => {
+    const parser = new IotParser({
+      mqtt: { topics: ['site/+/telemetry'] },
+      parser: { useWorkers: false, enableStats: false },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      deadLetter: { enabled: false },
+      sinks: [],
+      dedup: { enabled: false },
+      metrics: { enabled: true },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    parser.on('error', () => {});
+    const seconds = Math.floor(Date.now() / 1000) - 60;
+    [
+      ['site/a/telemetry', `tt${seconds}|uid${UUID}|t21.5`],
+      ['site/b/telemetry', `tt${seconds + 1}|uid${UUID}|t999`],
+      ['rogue/device-42', `tt${seconds + 2}|uid${UUID}|t998`],
+      ['rogue/device-43', 'a1|b2']
+    ].forEach(([topic, message]) => parser.handleParsed(parser.parse(message, topic)));
+
+    const text = parser.metrics.registry.render();
+    assert.ok(text.includes('iot_parser_messages_total{topic="site/+/telemetry",format="pipe",verdict="valid"} 1'));
+    assert.ok(text.includes('iot_parser_messages_total{topic="other",format="pipe",verdict="invalid"} 2'));
+    assert.ok(!text.includes('rogue'), 'concrete topics never become labels');
+    assert.ok(text.includes('iot_parser_validation_errors_total{type="out_of_range"} 2'));
+    assert.ok(text.includes('iot_parser_validation_errors_total{type="unknown_key"} 1'));
+    assert.ok(text.includes('iot_parser_validation_errors_total{type="missing_field"} 2'));
+    assert.ok(!/type="[^"]*\d/.test(text), 'no payload values in error labels');
+  }]
+];
+
+function runMetricsTests() {
+  console.log('🧪 Running Prometheus metrics tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} metrics tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runMetricsTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runMetricsTests };
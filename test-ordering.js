@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const OrderingTracker = require('./src/services/orderingTracker');
+const ReorderBuffer = require('./src/services/reorderBuffer');
+const IotParser = require('./src/parser');
+
+// Ordering tests: in-order / late / stale classification, reorder buffer
+// release order and bounds, and stale rejection in the parser
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const OTHER = '550e8400-e29b-41d4-a716-446655440001';
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+function reading(offsetMs, uuid = UUID) {
+  return { uuid, timestamp: NOW + offsetMs };
+}
+
+function createBuffer(options) {
+  const buffer = new ReorderBuffer(options);
+  const released = [];
+  buffer.on('release', record => released.push(record));
+  return { buffer, released };
+}
+
+const tests = [
+  ['newer or equal timestamps are in order', () => {
+    const tracker = new OrderingTracker();
+    assert.strictEqual(tracker.classify(reading(-3000), NOW), 'in-order');
+    assert.strictEqual(tracker.classify(reading(-2000), NOW), 'in-order');
+    assert.strictEqual(tracker.classify(reading(-2000), NOW), 'in-order');
+  }],
+
+  ['older within lateToleranceMs is late, beyond it stale', () => {
+    const tracker = new OrderingTracker({ lateToleranceMs: 10000 });
+    tracker.classify(reading(0), NOW);
+    assert.strictEqual(tracker.classify(reading(-10000), NOW), 'late');
+    assert.strictEqual(tracker.classify(reading(-10001), NOW), 'stale');
+    assert.deepStrictEqual(tracker.getStats(), { devices: 1, inOrder: 1, late: 1, stale: 1 });
+  }],
+
+  ['late readings do not move the newest timestamp', () => {
+    const tracker = new OrderingTracker({ lateToleranceMs: 10000 });
+    tracker.classify(reading(0), NOW);
+    tracker.classify(reading(-5000), NOW);
+    assert.strictEqual(tracker.classify(reading(-4000), NOW), 'late', 'still compared against the newest');
+  }],
+
+  ['older than maxAgeMs is stale even for a new device', () => {
+    const tracker = new OrderingTracker({ maxAgeMs: 60000 });
+    assert.strictEqual(tracker.classify(reading(-60001), NOW), 'stale');
+    assert.strictEqual(tracker.classify(reading(-1000), NOW), 'in-order');
+  }],
+
+  ['devices are tracked independently', () => {
+    const tracker = new OrderingTracker({ lateToleranceMs: 1000 });
+    tracker.classify(reading(0), NOW);
+    assert.strictEqual(tracker.classify(reading(-50000, OTHER), NOW), 'in-order');
+  }],
+
+  ['reorder buffer releases each device in timestamp order', () => {
+    const { buffer, released } = createBuffer({ delayMs: 1000 });
+    buffer.push(UUID, 3, 'a3', NOW);
+    buffer.push(UUID, 1, 'a1', NOW + 100);
+    buffer.push(OTHER, 2, 'b2', NOW + 200);
+    buffer.push(UUID, 2, 'a2', NOW + 300);
+    buffer.stop();
+
+    buffer.flush(NOW + 999);
+    assert.deepStrictEqual(released, []);
+
+    // a3's hold is over, so everything of that device up to timestamp 3 goes
+    buffer.flush(NOW + 1000);
+    assert.deepStrictEqual(released, ['a1', 'a2', 'a3']);
+    buffer.flush(NOW + 1200);
+    assert.deepStrictEqual(released, ['a1', 'a2', 'a3', 'b2']);
+
+    const stats = buffer.getStats();
+    assert.strictEqual(stats.pending, 0);
+    assert.strictEqual(stats.reordered, 2);
+  }],
+
+  ['maxBuffered releases the oldest early', () => {
+    const { buffer, released } = createBuffer({ delayMs: 60000, maxBuffered: 2 });
+    buffer.push(UUID, 2, 'r2', NOW);
+    buffer.push(UUID, 1, 'r1', NOW);
+    buffer.push(UUID, 3, 'r3', NOW);
+    buffer.stop();
+
+    assert.deepStrictEqual(released, ['r1']);
+    assert.strictEqual(buffer.getStats().pending, 2);
+  }],
+
+  ['flushAll releases everything in order and stops the timer', () => {
+    const { buffer, released } = createBuffer({ delayMs: 60000 });
+    buffer.push(UUID, 5, 'r5');
+    buffer.push(UUID, 4, 'r4');
+    buffer.flushAll();
+
+    assert.deepStrictEqual(released, ['r4', 'r5']);
+    assert.strictEqual(buffer.timer, null);
+  }],
+
+  ['parser rejects stale readings when staleAction is reject', () => {
+    const parser = new IotParser({
+      parser: { useWorkers: false, enableStats: false },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      sinks: [],
+      deadLetter: { enabled: false },
+      dedup: { enabled: false },
+      ordering: { enabled: true, lateToleranceMs: 10000, staleAction: 'reject', reorderDelayMs: 0 },
+      logging: { enableConsole: false, enableFile: false }
+    });
+    const data = [];
+    const errors = [];
+    parser.on('data', reading => data.push(reading._ordering));
+    parser.on('error', error => errors.push(error.validationErrors[0]));
+
+    const seconds = Math.floor(Date.now() / 1000) - 600;
+    [seconds, seconds - 5, seconds - 60].forEach(timestamp => (
+      parser.handleParsed(parser.parse(`tt${timestamp}|uid${UUID}|t21.5`, 'site/a'))
+    ));
+
+    assert.deepStrictEqual(data, ['in-order', 'late']);
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0].startsWith('Stale reading'));
+  }]
+];
+
+function runOrderingTests() {
+  console.log('🧪 Running ordering and reorder buffer tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} ordering tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runOrderingTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runOrderingTests };
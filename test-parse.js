@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Batch CLI tests: NDJSON output, the summary and the exit codes parse.js
+// gives CI. Input is piped through stdin or written to a temp directory.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-parse-'));
+const seconds = Math.floor(Date.now() / 1000) - 60;
+
+// Runs parse.js with the given stdin and resolves with its exit code and output
+function runParse(args, input = '') {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, ['parse.js', ...args], {
+      cwd: __dirname,
+      env: { ...process.env, DEVICE_REGISTRY_PATH: path.join(tmpDir, 'no-devices.json') },
+      timeout: 30000
+    }, (error, stdout, stderr) => resolve({
+      code: error ? error.code : 0,
+      results: stdout.split('\n').filter(Boolean).map(line => JSON.parse(line)),
+      summary: stderr
+    }));
+    child.stdin.end(input);
+  });
+}
+
+const tests = [
+  ['valid input exits 0 with one NDJSON line per message', async () => {
+    const { code, results, summary } = await runParse([], [
+      `tt${seconds}|uid${UUID}|t21.5`,
+      '',
+      `{"timestamp":${seconds},"uuid":"${UUID}","humidity":40}`
+    ].join('\n'));
+
+    assert.strictEqual(code, 0, summary);
+    assert.deepStrictEqual(results.map(result => [result.source, result.line, result.valid, result.format]), [
+      ['stdin', 1, true, 'pipe'],
+      ['stdin', 3, true, 'json']
+    ]);
+    assert.strictEqual(results[0].data.temperature, 21.5);
+    assert.ok(summary.includes('📨 Messages: 2'));
+  }],
+
+  ['an invalid message exits 1 and errors are summarized by type', async () => {
+    const file = path.join(tmpDir, 'capture.txt');
+    fs.writeFileSync(file, [
+      `tt${seconds}|uid${UUID}|t21.5`,
+      `tt${seconds}|uid${UUID}|t150`,
+      `tt${seconds}|uid${UUID}|h150`
+    ].join('\n') + '\n');
+
+    const { code, results, summary } = await runParse([file, '--invalid-only']);
+    assert.strictEqual(code, 1, summary);
+    assert.deepStrictEqual(results.map(result => result.line), [2, 3]);
+    assert.ok(results.every(result => result.source === file));
+    assert.ok(summary.includes('     2  out_of_range'), summary);
+    assert.ok(!summary.includes('Temperature out of range'), 'messages are not used as types');
+  }],
+
+  ['--quiet prints the summary only', async () => {
+    const { code, results, summary } = await runParse(['--quiet'], `tt${seconds}|uid${UUID}|t150\n`);
+    assert.strictEqual(code, 1);
+    assert.deepStrictEqual(results, []);
+    assert.ok(summary.includes('❌ Invalid:  1'));
+  }],
+
+  ['empty input exits 2 unless --allow-empty', async () => {
+    const empty = await runParse([], '\n\n');
+    assert.strictEqual(empty.code, 2);
+    assert.ok(empty.summary.includes('No messages in the input'));
+
+    const allowed = await runParse(['--allow-empty'], '');
+    assert.strictEqual(allowed.code, 0, allowed.summary);
+  }],
+
+  ['unknown options, missing values and unreadable files exit 2', async () => {
+    const unknown = await runParse(['--bogus'], `tt${seconds}|uid${UUID}|t21.5\n`);
+    assert.strictEqual(unknown.code, 2);
+    assert.ok(unknown.summary.includes('Unknown option --bogus'));
+    assert.ok(unknown.summary.includes('node parse.js --help'));
+
+    const missing = await runParse(['--topic']);
+    assert.strictEqual(missing.code, 2);
+    assert.ok(missing.summary.includes('--topic needs a value'));
+
+    const unreadable = await runParse([path.join(tmpDir, 'missing.txt')]);
+    assert.strictEqual(unreadable.code, 2);
+    assert.ok(unreadable.summary.includes('ENOENT'));
+  }]
+];
+
+async function runParseTests() {
+  console.log('🧪 Running batch CLI tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} batch CLI tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runParseTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Batch CLI test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runParseTests };
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const MessageRecorder = require('./src/services/messageRecorder');
+const IotParser = require('./src/parser');
+
+// Capture and replay tests: the recorder pairs verdicts with arrivals and
+// writes them out, and replay.js feeds a capture back through a fresh parser
+// and reports changed verdicts. Captures go to a temp directory.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const TOPIC = 'IDGS10-Pruebas-Sensores';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-replay-'));
+const seconds = Math.floor(Date.now() / 1000) - 60;
+
+// Records a few messages through a parser the way live traffic would be
+async function recordCapture() {
+  const dir = path.join(tmpDir, 'captures');
+  const parser = new IotParser({
+    parser: { useWorkers: false, enableStats: false },
+    influxdb: { enabled: false },
+    kafka: { enabled: false },
+    deadLetter: { enabled: false },
+    sinks: [],
+    dedup: { enabled: false },
+    ordering: { enabled: false },
+    clockSkew: { enabled: false },
+    devices: { unknownDevicePolicy: 'allow', autoRegisterPath: path.join(tmpDir, 'devices-auto.json') },
+    recorder: { enabled: true, dir },
+    logging: { enableConsole: false, enableFile: false }
+  });
+  parser.on('error', () => {});
+  await parser.start({ connect: false });
+
+  parser.handleMessage(TOPIC, `tt${seconds}|uid${UUID}|t21.5`);
+  parser.handleMessage(TOPIC, `tt${seconds + 1}|uid${UUID}|t999`);
+  parser.handleMessage('site/b', `{"timestamp":${seconds + 2},"uuid":"${UUID}","temperature":22}`);
+  await parser.stop();
+
+  return parser.recorder.file;
+}
+
+// Runs replay.js and resolves with its exit code and output
+function runReplay(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, ['replay.js', ...args], {
+      cwd: __dirname,
+      env: { ...process.env, DEVICE_AUTO_REGISTER_PATH: path.join(tmpDir, 'devices-auto.json'), ...env },
+      timeout: 30000
+    }, (error, stdout) => resolve({ code: error ? error.code : 0, output: stdout }));
+  });
+}
+
+const tests = [
+  ['verdicts are paired with arrivals by topic and payload, first in first out', () => {
+    const recorder = new MessageRecorder({ writeToFile: false });
+    const recorded = [];
+    recorder.on('recorded', entry => recorded.push(entry));
+
+    recorder.received('a', 'same', new Date('2026-01-01T00:00:00Z'));
+    recorder.received('a', 'same', new Date('2026-01-01T00:00:01Z'));
+    recorder.received('b', 'same', new Date('2026-01-01T00:00:02Z'));
+    recorder.settle('b', 'same', { verdict: 'valid', format: 'pipe' });
+    recorder.settle('a', 'same', { verdict: 'invalid', errors: ['x'], format: 'pipe' });
+    recorder.settle('nowhere', 'same', { verdict: 'valid' });
+
+    assert.deepStrictEqual(recorded.map(entry => [entry.topic, entry.receivedAt, entry.verdict]), [
+      ['b', '2026-01-01T00:00:02.000Z', 'valid'],
+      ['a', '2026-01-01T00:00:00.000Z', 'invalid']
+    ]);
+    assert.deepStrictEqual(recorder.getStats(), { file: null, pending: 1, received: 3, recorded: 2, writeErrors: 0 });
+
+    recorder.flush();
+    assert.strictEqual(recorded[2].verdict, null, 'unsettled arrivals are written without a verdict');
+    assert.strictEqual(recorder.getStats().pending, 0);
+  }],
+
+  ['the capture file holds every message with its verdict, oldest first', async () => {
+    const file = await recordCapture();
+    const entries = MessageRecorder.load(file);
+
+    assert.deepStrictEqual(entries.map(entry => [entry.topic, entry.verdict, entry.format]), [
+      [TOPIC, 'valid', 'pipe'],
+      [TOPIC, 'invalid', 'pipe'],
+      ['site/b', 'valid', 'json']
+    ]);
+    assert.ok(entries[1].errors[0].startsWith('Temperature out of range'));
+  }],
+
+  ['replay.js --max reproduces the recorded verdicts', async () => {
+    const file = fs.readdirSync(path.join(tmpDir, 'captures'))[0];
+    const { code, output } = await runReplay([path.join(tmpDir, 'captures', file), '--max']);
+
+    assert.strictEqual(code, 0, output);
+    assert.ok(output.includes('3/3 verdicts unchanged, 0 changed'));
+    assert.ok(output.includes('2  valid → valid'));
+  }],
+
+  ['changed verdicts are listed and exit with 2', async () => {
+    const file = fs.readdirSync(path.join(tmpDir, 'captures'))[0];
+    const { code, output } = await runReplay([path.join(tmpDir, 'captures', file), '--max', '--topic', TOPIC], {
+      UNKNOWN_DEVICE_POLICY: 'reject',
+      DEVICE_REGISTRY_PATH: path.join(tmpDir, 'no-devices.json')
+    });
+
+    assert.strictEqual(code, 2, output);
+    assert.ok(output.includes('Replaying 2 messages'), 'only the chosen topic');
+    assert.ok(output.includes(`🔀 valid → invalid  [${TOPIC}] tt${seconds}|uid${UUID}|t21.5`));
+    assert.ok(output.includes(`now:    Unregistered device: ${UUID}`));
+    assert.ok(output.includes('1/2 verdicts unchanged, 1 changed'));
+  }]
+];
+
+async function runReplayTests() {
+  console.log('🧪 Running capture and replay tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} replay tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runReplayTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Replay test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runReplayTests };
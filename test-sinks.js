@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sink, FileSink } = require('./src/sinks');
+const { UUID, TOPIC, clock, createParser, reading } = require('./test-helpers');
+
+// Sink tests: file sink naming, CSV header and size rotation, parser fan-out
+// with record kinds and filters, and delivery of in-flight records on stop().
+// Files go to a temp directory.
+
+const OTHER = '550e8400-e29b-41d4-a716-446655440001';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-sinks-'));
+let dirSeq = 0;
+
+// Keeps every record it is given
+class CollectorSink extends Sink {
+  constructor(options) {
+    super(options);
+    this.written = [];
+  }
+
+  write(record) {
+    this.written.push(record);
+  }
+}
+
+CollectorSink.type = 'collector';
+
+function record(kind, fields = {}) {
+  return {
+    kind,
+    data: { uuid: UUID, timestamp: Date.parse('2026-01-01T00:00:00Z'), temperature: 21.5, ...fields },
+    errors: kind === 'invalid' ? ['Temperature out of range'] : undefined,
+    topic: TOPIC,
+    format: 'pipe',
+    original: 'tt1767225600|t21.5',
+    instanceId: 'test',
+    receivedAt: '2026-01-01T00:00:01.000Z'
+  };
+}
+
+function createFileSink(options = {}) {
+  const dir = path.join(tmpDir, `files-${dirSeq++}`);
+  const sink = new FileSink({ name: 'archive', dir, schema: { uuid: {}, temperature: {}, humidity: {} }, ...options });
+  return { sink, dir, files: () => fs.readdirSync(dir).sort(), read: file => fs.readFileSync(path.join(dir, file), 'utf8') };
+}
+
+const tests = [
+  ['file sink appends NDJSON to a daily file', () => {
+    const { sink, files, read } = createFileSink();
+    sink.write(record('valid'));
+    sink.write(record('invalid'));
+
+    const day = new Date().toISOString().slice(0, 10);
+    assert.deepStrictEqual(files(), [`archive-${day}.ndjson`]);
+    const lines = read(files()[0]).trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines[0].data.temperature, 21.5);
+    assert.deepStrictEqual(lines[1].errors, ['Temperature out of range']);
+    assert.strictEqual(lines[1].uuid, UUID);
+    assert.strictEqual(sink.health().written, 2);
+  }],
+
+  ['file names follow the rotate setting', () => {
+    const at = new Date('2026-03-04T05:06:07Z');
+    const hourly = createFileSink({ rotate: 'hourly', format: 'csv' }).sink;
+    const none = createFileSink({ rotate: 'none' }).sink;
+
+    assert.strictEqual(path.basename(hourly.fileFor(hourly.periodFor(at), 0)), 'archive-2026-03-04T05.csv');
+    assert.strictEqual(path.basename(hourly.fileFor(hourly.periodFor(at), 2)), 'archive-2026-03-04T05.2.csv');
+    assert.strictEqual(path.basename(none.fileFor(none.periodFor(at), 0)), 'archive.ndjson');
+  }],
+
+  ['CSV columns come from the schema, with the header once per file', () => {
+    const { sink, files, read } = createFileSink({ format: 'csv', rotate: 'none' });
+    sink.write(record('valid', { humidity: 40 }));
+    sink.write(record('invalid', { temperature: 99 }));
+
+    const lines = read(files()[0]).trim().split('\n');
+    assert.deepStrictEqual(lines, [
+      'receivedAt,kind,topic,format,uuid,temperature,humidity,errors,original',
+      `2026-01-01T00:00:01.000Z,valid,${TOPIC},pipe,${UUID},21.5,40,,`,
+      `2026-01-01T00:00:01.000Z,invalid,${TOPIC},pipe,${UUID},99,,Temperature out of range,tt1767225600|t21.5`
+    ]);
+  }],
+
+  ['CSV values with commas, quotes or newlines are quoted', () => {
+    const { sink } = createFileSink({ format: 'csv' });
+    assert.strictEqual(sink.csvLine(['a,b', 'say "hi"', 'two\nlines', null, 0]), '"a,b","say ""hi""","two\nlines",,0\n');
+  }],
+
+  ['maxBytes rolls over to a numbered file with its own header', () => {
+    const { sink, files, read } = createFileSink({ format: 'csv', rotate: 'none', maxBytes: 150 });
+    for (let i = 0; i < 3; i++) sink.write(record('valid'));
+
+    assert.deepStrictEqual(files(), ['archive.1.csv', 'archive.2.csv', 'archive.csv']);
+    files().forEach(file => assert.ok(read(file).startsWith('receivedAt,kind,'), `${file} has a header`));
+    assert.strictEqual(sink.health().files, 3);
+  }],
+
+  ['the parser fans records out by kind', async () => {
+    const valid = new CollectorSink({ name: 'valid' });
+    const invalid = new CollectorSink({ name: 'invalid', records: 'invalid' });
+    const all = new CollectorSink({ name: 'all', records: 'all' });
+    const none = new CollectorSink({ name: 'none', records: 'none' });
+    const parser = createParser({ sinks: [valid, invalid, all, none] });
+    await parser.start({ connect: false });
+
+    [reading(), 'invalid|message', reading('t999')].forEach(message => parser.handleMessage(TOPIC, message));
+    await parser.stop();
+
+    assert.deepStrictEqual(valid.written.map(entry => entry.kind), ['valid']);
+    assert.deepStrictEqual(invalid.written.map(entry => entry.kind), ['invalid', 'invalid']);
+    assert.strictEqual(all.written.length, 3);
+    assert.strictEqual(none.written.length, 0);
+    assert.deepStrictEqual([none.counts.accepted, none.counts.filtered], [0, 3]);
+  }],
+
+  ['filters limit a sink to topics, devices and formats', () => {
+    const byTopic = new CollectorSink({ records: 'all', filter: { topics: ['site/+/telemetry'] } });
+    const byDevice = new CollectorSink({ filter: { devices: [OTHER.toUpperCase()] } });
+    const byFormat = new CollectorSink({ filter: { formats: ['json'] } });
+    const both = new CollectorSink({ filter: { topics: ['site/#'], formats: ['pipe'] } });
+
+    assert.strictEqual(byTopic.accepts({ ...record('invalid'), topic: 'site/mx01/telemetry' }), true);
+    assert.strictEqual(byTopic.accepts({ ...record('valid'), topic: 'site/mx01/status' }), false);
+    assert.strictEqual(byDevice.accepts(record('valid', { uuid: OTHER })), true, 'device match ignores case');
+    assert.strictEqual(byDevice.accepts(record('valid')), false);
+    assert.strictEqual(byDevice.accepts({ ...record('valid'), data: null }), false);
+    assert.strictEqual(byFormat.accepts({ ...record('valid'), format: 'json' }), true);
+    assert.strictEqual(byFormat.accepts(record('valid')), false);
+    assert.strictEqual(both.accepts({ ...record('valid'), topic: 'site/a' }), true);
+    assert.strictEqual(both.accepts({ ...record('valid'), topic: 'other/a' }), false, 'every list must match');
+  }],
+
+  ['a sink that throws does not keep records from the others', async () => {
+    const broken = new CollectorSink({ name: 'broken' });
+    broken.write = () => { throw new Error('disk full'); };
+    const healthy = new CollectorSink({ name: 'healthy' });
+    const parser = createParser({ sinks: [broken, healthy] });
+    await parser.start({ connect: false });
+
+    parser.handleMessage(TOPIC, reading());
+    await parser.stop();
+    assert.strictEqual(healthy.written.length, 1);
+  }],
+
+  ['stop() delivers readings held by the reorder buffer', async () => {
+    const sink = new CollectorSink();
+    const parser = createParser({ sinks: [sink], ordering: { enabled: true, reorderDelayMs: 60000 } });
+    await parser.start({ connect: false });
+
+    const first = clock.value;
+    [reading(), reading()].reverse().forEach(message => parser.handleMessage(TOPIC, message));
+    assert.strictEqual(sink.written.length, 0, 'held for reordering');
+    await parser.stop();
+
+    assert.deepStrictEqual(sink.written.map(entry => entry.data.timestamp), [first * 1000, (first + 1) * 1000]);
+  }],
+
+  ['stop() waits for messages still queued for the workers', async () => {
+    const sink = new CollectorSink({ records: 'all' });
+    const closed = [];
+    sink.close = async () => { closed.push(sink.written.length); };
+    const parser = createParser({ sinks: [sink], parser: { useWorkers: true, numWorkers: 1, enableStats: false } });
+    await parser.start({ connect: false });
+
+    for (let i = 0; i < 5; i++) parser.handleMessage(TOPIC, reading());
+    await parser.stop();
+
+    assert.strictEqual(sink.written.length, 5);
+    assert.deepStrictEqual(closed, [5], 'sink closed after the last record');
+  }]
+];
+
+async function runSinkTests() {
+  console.log('🧪 Running sink and fan-out tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} sink tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runSinkTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Sink test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runSinkTests };
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { compileTopic, matchTopic } = require('./src/utils/topicMatcher');
+const { createParser, reading } = require('./test-helpers');
+
+// Topic tests: the subscriptions the parser asks the broker for (wildcard
+// templates, per-topic QoS, $share groups) and the tags captured from the
+// topics messages actually arrive on
+
+const TOPICS = [
+  'IDGS10-Pruebas-Sensores',
+  { topic: 'site/{site}/room/{room}/telemetry', qos: 1 },
+  { topic: 'legacy/#', qos: 2 }
+];
+
+function createTopicParser(mqtt = {}) {
+  return createParser({ mqtt: { topics: TOPICS, qos: 0, sharedGroup: null, ...mqtt } });
+}
+
+const tests = [
+  ['templates are subscribed as wildcards with their own QoS', () => {
+    const parser = createTopicParser();
+    assert.deepStrictEqual(parser.buildSubscriptions(), {
+      'IDGS10-Pruebas-Sensores': { qos: 0 },
+      'site/+/room/+/telemetry': { qos: 1 },
+      'legacy/#': { qos: 2 }
+    });
+    assert.deepStrictEqual(parser.topicFilters, Object.keys(parser.subscriptions));
+  }],
+
+  ['plain topics use the default QoS', () => {
+    const parser = createTopicParser({ qos: 1 });
+    assert.strictEqual(parser.subscriptions['IDGS10-Pruebas-Sensores'].qos, 1);
+    assert.strictEqual(parser.subscriptions['legacy/#'].qos, 2, 'a topic\'s own QoS wins');
+  }],
+
+  ['a shared group prefixes every filter with $share/<group>/', () => {
+    const parser = createTopicParser({ sharedGroup: 'parsers' });
+    assert.deepStrictEqual(parser.topicFilters, [
+      '$share/parsers/IDGS10-Pruebas-Sensores',
+      '$share/parsers/site/+/room/+/telemetry',
+      '$share/parsers/legacy/#'
+    ]);
+    assert.strictEqual(parser.subscriptions['$share/parsers/site/+/room/+/telemetry'].qos, 1);
+  }],
+
+  ['tags come from the topic a message arrives on, with or without a shared group', () => {
+    for (const sharedGroup of [null, 'parsers']) {
+      const parser = createTopicParser({ sharedGroup });
+      const result = parser.parse(reading(), 'site/mx01/room/lab/telemetry');
+      assert.deepStrictEqual(result.data._tags, { site: 'mx01', room: 'lab' }, `sharedGroup ${sharedGroup}`);
+      assert.strictEqual(parser.parse(reading(), 'legacy/a/b').data._tags, undefined, 'no named segments, no tags');
+    }
+  }],
+
+  ['matchTopic() uses the first matching pattern and skips $ topics for leading wildcards', () => {
+    const compiled = ['site/{site}/#', '+/{device}', '#'].map(compileTopic);
+    assert.deepStrictEqual(matchTopic(compiled, 'site/mx01/room/lab'), { site: 'mx01' });
+    assert.deepStrictEqual(matchTopic(compiled, 'devices/abc'), { device: 'abc' });
+    assert.deepStrictEqual(matchTopic(compiled, 'a/b/c'), {});
+    assert.strictEqual(matchTopic(compiled, '$SYS/broker/uptime'), null);
+    assert.strictEqual(matchTopic([compileTopic('site/{site}')], 'site/a/b'), null, 'levels must line up');
+  }],
+
+  ['malformed patterns are rejected', () => {
+    assert.throws(() => compileTopic('site/#/telemetry'), /'#' must be the last level/);
+    assert.throws(() => compileTopic('site/room+/telemetry'), /wildcards must occupy a whole level/);
+    assert.throws(() => compileTopic('site/{site}x/telemetry'), /wildcards must occupy a whole level/);
+    assert.throws(() => createTopicParser({ topics: ['ok', 'bad/#/x'] }), /Invalid topic pattern "bad\/#\/x"/);
+  }]
+];
+
+function runTopicTests() {
+  console.log('🧪 Running topic subscription tests\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} topic tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  process.exit(runTopicTests() > 0 ? 1 : 0);
+}
+
+module.exports = { runTopicTests };
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const http = require('http');
+const crypto = require('crypto');
+const { WebhookSink } = require('./src/sinks');
+const { UUID, createParser, feed, reading } = require('./test-helpers');
+
+// Webhook delivery tests against a local HTTP stub server
+
+const SECRET = 'test-secret';
+
+// Answers with the queued status codes (then 200) and keeps every request
+function createStubServer() {
+  const stub = { requests: [], statuses: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+      res.statusCode = stub.statuses.length > 0 ? stub.statuses.shift() : 200;
+      res.end();
+    });
+  });
+
+  stub.listen = () => new Promise(resolve => stub.server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+    resolve(stub);
+  }));
+  stub.close = () => new Promise(resolve => stub.server.close(resolve));
+  stub.events = () => stub.requests.flatMap(request => request.json.events);
+
+  return stub;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const tests = [
+  ['batches valid readings into one request', async (stub) => {
+    const parser = createParser({ sinks: [new WebhookSink({ url: `${stub.url}/hook`, batchSize: 3, flushIntervalMs: 60000 })] });
+    await parser.start({ connect: false });
+    feed(parser, [reading(), reading(), reading()]);
+    await parser.stop();
+
+    assert.strictEqual(stub.requests.length, 1);
+    assert.strictEqual(stub.requests[0].path, '/hook');
+    const { events, source } = stub.requests[0].json;
+    assert.strictEqual(source, 'iot-parser');
+    assert.deepStrictEqual(events.map(entry => entry.event), ['data', 'data', 'data']);
+    assert.strictEqual(events[0].payload.data.uuid, UUID);
+    assert.strictEqual(events[0].payload.data.temperature, 23.5);
+  }],
+
+  ['partial batch sent on the flush interval', async (stub) => {
+    const parser = createParser({ sinks: [new WebhookSink({ url: stub.url, batchSize: 50, flushIntervalMs: 50 })] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await sleep(200);
+    assert.strictEqual(stub.requests.length, 1, 'sent before stop()');
+    await parser.stop();
+  }],
+
+  ['HMAC signature over timestamp and body', async (stub) => {
+    const parser = createParser({ sinks: [new WebhookSink({ url: stub.url, secret: SECRET, headers: { Authorization: 'Bearer abc' } })] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    const { headers, body } = stub.requests[0];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-iot-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-iot-signature'], `sha256=${expected}`);
+    assert.strictEqual(headers.authorization, 'Bearer abc');
+    assert.ok(headers['x-iot-delivery']);
+  }],
+
+  ['no signature without a secret', async (stub) => {
+    const parser = createParser({ sinks: [new WebhookSink({ url: stub.url })] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    assert.strictEqual(stub.requests[0].headers['x-iot-signature'], undefined);
+  }],
+
+  ['5xx is retried with backoff under the same delivery id', async (stub) => {
+    stub.statuses.push(503, 500);
+    const sink = new WebhookSink({ url: stub.url, batchSize: 1, retryBaseMs: 20 });
+    const parser = createParser({ sinks: [sink] });
+    const delays = [];
+    sink.on('retry', ({ delayMs }) => delays.push(delayMs));
+    await parser.start({ connect: false });
+
+    feed(parser, [reading()]);
+    await sink.flush();
+    await parser.stop();
+
+    assert.strictEqual(stub.requests.length, 3);
+    assert.strictEqual(new Set(stub.requests.map(request => request.headers['x-iot-delivery'])).size, 1);
+    assert.deepStrictEqual(delays, [20, 40]);
+
+    const health = parser.getStats().sinks[0];
+    assert.strictEqual(health.attempts, 3);
+    assert.strictEqual(health.retries, 2);
+    assert.strictEqual(health.sent, 1);
+    assert.strictEqual(health.failed, 0);
+    assert.strictEqual(health.status, 'ok');
+  }],
+
+  ['4xx fails at once and retries run out on 5xx', async (stub) => {
+    stub.statuses.push(400, 502, 502);
+    const sink = new WebhookSink({ url: stub.url, batchSize: 1, maxRetries: 1, retryBaseMs: 10 });
+    const parser = createParser({ sinks: [sink] });
+    const failures = [];
+    parser.on('sink-status', (name, status) => failures.push(status));
+    await parser.start({ connect: false });
+
+    feed(parser, [reading()]);
+    await sink.flush();
+    feed(parser, [reading()]);
+    await sink.flush();
+    await parser.stop();
+
+    const health = sink.health();
+    assert.strictEqual(stub.requests.length, 3, 'one attempt for the 400, two for the 502s');
+    assert.strictEqual(health.failed, 2);
+    assert.strictEqual(health.byEvent.data.failed, 2);
+    assert.strictEqual(health.lastStatusCode, 502);
+    assert.ok(failures.includes('down'));
+  }],
+
+  ['unreachable endpoint counts as failed', async () => {
+    const sink = new WebhookSink({ url: 'http://127.0.0.1:9/hook', batchSize: 1, maxRetries: 0 });
+    const parser = createParser({ sinks: [sink] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    assert.strictEqual(sink.health().failed, 1);
+    assert.ok(sink.health().lastError.includes('ECONNREFUSED'));
+  }],
+
+  ['per-endpoint event filters', async (stub) => {
+    const errorsOnly = new WebhookSink({ name: 'errors', url: `${stub.url}/errors`, events: ['error'] });
+    const offline = new WebhookSink({ name: 'offline', url: `${stub.url}/offline`, events: ['device-offline'] });
+    const parser = createParser({
+      sinks: [errorsOnly, offline],
+      liveness: { enabled: true, defaultIntervalMs: 50, missedIntervals: 1, checkIntervalMs: 20 }
+    });
+    await parser.start({ connect: false });
+
+    feed(parser, [reading(), 'invalid|message']);
+    await sleep(200); // Long enough for the device to be reported offline
+    await parser.stop();
+
+    const byPath = (path) => stub.requests.filter(request => request.path === path).flatMap(request => request.json.events);
+    assert.deepStrictEqual(byPath('/errors').map(entry => entry.event), ['error']);
+    assert.strictEqual(byPath('/errors')[0].payload.original, 'invalid|message');
+    assert.deepStrictEqual(byPath('/offline').map(entry => entry.event), ['device-offline']);
+    assert.strictEqual(byPath('/offline')[0].payload.uuid, UUID);
+    assert.strictEqual(errorsOnly.health().records, 'invalid');
+    assert.strictEqual(offline.health().records, 'none');
+  }],
+
+  ['alerts are delivered to endpoints that ask for them', async (stub) => {
+    const parser = createParser({
+      sinks: [new WebhookSink({ url: stub.url, events: ['alert'] })],
+      alerts: {
+        enabled: true,
+        rules: [{ id: 'hot', type: 'threshold', field: 'temperature', operator: '>', value: 20, severity: 'warning' }]
+      }
+    });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await parser.stop();
+
+    const events = stub.events();
+    assert.deepStrictEqual(events.map(entry => entry.event), ['alert']);
+    assert.strictEqual(events[0].payload.ruleId, 'hot');
+  }],
+
+  ['stop() gives a batch waiting for a retry its last attempt', async (stub) => {
+    stub.statuses.push(503);
+    const sink = new WebhookSink({ url: stub.url, batchSize: 1, retryBaseMs: 60000 });
+    const parser = createParser({ sinks: [sink] });
+    await parser.start({ connect: false });
+    feed(parser, [reading()]);
+    await sleep(100);
+
+    const startedAt = Date.now();
+    await parser.stop();
+    assert.ok(Date.now() - startedAt < 5000, 'did not wait for the backoff');
+    assert.strictEqual(stub.requests.length, 2);
+    assert.strictEqual(sink.health().sent, 1);
+  }]
+];
+
+async function runWebhookTests() {
+  console.log('🧪 Running webhook delivery tests (local HTTP stub)\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    const stub = await createStubServer().listen();
+    try {
+      await test(stub);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    } finally {
+      await stub.close();
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} webhook tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runWebhookTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Webhook test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runWebhookTests, createStubServer };
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkerPool = require('./src/services/workerPool');
+const IotParser = require('./src/parser');
+
+// Worker pool tests: correlation, crash replay, restart backoff, overflow
+// policies and pause/resume. Stub workers are written to a temp directory.
+
+const UUID = '550e8400-e29b-41d4-a716-446655440000';
+const stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-workers-'));
+
+// 'crash' exits, 'crash-once:<file>' exits the first time only, 'hang' never answers
+const STUB_WORKER = `
+const fs = require('fs');
+const { parentPort } = require('worker_threads');
+parentPort.on('message', ({ id, str, topic }) => {
+  if (str === 'crash') process.exit(1);
+  if (str.startsWith('crash-once:')) {
+    const marker = str.slice('crash-once:'.length);
+    if (!fs.existsSync(marker)) {
+      fs.writeFileSync(marker, '');
+      process.exit(1);
+    }
+  }
+  if (str === 'hang') return;
+  parentPort.postMessage({ id, result: { valid: true, data: { str }, original: str, validationErrors: [], processingTime: 0, topic, format: 'stub' } });
+});
+`;
+
+// Decoder that reports what it reads from the parser configuration
+const CONFIG_DECODER = `
+module.exports = {
+  name: 'config-echo',
+  priority: 100,
+  detect: str => str.startsWith('echo:'),
+  decode: (str, { config }) => ({ data: {}, errors: [\`instance \${config.parser.instanceId}, dedup \${config.dedup.enabled}\`] })
+};
+`;
+
+const stubWorker = path.join(stubDir, 'stubWorker.js');
+const brokenWorker = path.join(stubDir, 'brokenWorker.js');
+const configDecoder = path.join(stubDir, 'configDecoder.js');
+fs.writeFileSync(stubWorker, STUB_WORKER);
+fs.writeFileSync(brokenWorker, "throw new Error('bad decoder module');\n");
+fs.writeFileSync(configDecoder, CONFIG_DECODER);
+
+function createPool(options = {}) {
+  return new WorkerPool({ size: 1, workerPath: stubWorker, restartBaseMs: 10, ...options });
+}
+
+function waitFor(emitter, event, count = 1, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const seen = [];
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${count} '${event}'`)), timeoutMs);
+    emitter.on(event, (...args) => {
+      seen.push(args);
+      if (seen.length === count) {
+        clearTimeout(timer);
+        resolve(seen);
+      }
+    });
+  });
+}
+
+const tests = [
+  ['results are matched to their task', async () => {
+    const pool = new WorkerPool({ size: 2, workerPath: path.join(__dirname, 'src/parserWorker.js') });
+    try {
+      const results = waitFor(pool, 'result', 2);
+      const validId = pool.submit(`tt${Math.floor(Date.now() / 1000)}|uid${UUID}|t23.5`, 'site/a');
+      const invalidId = pool.submit('bad|message', 'site/b');
+      const byId = new Map((await results).map(([result, task]) => [task.id, result]));
+
+      assert.strictEqual(byId.get(validId).valid, true);
+      assert.strictEqual(byId.get(validId).data.temperature, 23.5);
+      assert.strictEqual(byId.get(invalidId).valid, false);
+      assert.strictEqual(byId.get(invalidId).topic, 'site/b');
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['crashed worker is respawned and its task replayed', async () => {
+    const pool = createPool();
+    const marker = path.join(stubDir, 'crash-once');
+    try {
+      const result = waitFor(pool, 'result');
+      const restarted = waitFor(pool, 'worker-restarted');
+      pool.submit(`crash-once:${marker}`);
+
+      await restarted;
+      const [[parsed]] = await result;
+      assert.strictEqual(parsed.valid, true);
+      assert.strictEqual(pool.getStats().restarts, 1);
+      assert.strictEqual(pool.getStats().perWorker[0].restarts, 1);
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['a message that keeps killing workers fails after 3 attempts', async () => {
+    const pool = createPool();
+    try {
+      const result = waitFor(pool, 'result');
+      pool.submit('crash');
+      const [[parsed]] = await result;
+      assert.strictEqual(parsed.valid, false);
+      assert.ok(parsed.validationErrors[0].includes('crashed 3 times'));
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['respawns back off and stop after maxRestarts', async () => {
+    const pool = createPool({ workerPath: brokenWorker, maxRestarts: 3 });
+    const delays = [];
+    pool.options.logger = {
+      error: (message) => {
+        const match = message.match(/respawning in (\d+)ms/);
+        if (match) delays.push(Number(match[1]));
+      }
+    };
+    const dropped = [];
+    const failed = [];
+    pool.on('dropped', (task, reason) => dropped.push(reason));
+    pool.on('result', result => failed.push(result.validationErrors[0]));
+    try {
+      pool.submit('first');
+      pool.submit('second');
+      const [[error]] = await waitFor(pool, 'error');
+
+      assert.ok(error.message.includes('crashed 4 times'));
+      assert.deepStrictEqual(failed, ['Worker crashed 3 times while parsing this message']);
+      assert.deepStrictEqual(delays, [10, 20, 40]);
+      assert.strictEqual(pool.getStats().restarts, 3);
+      assert.strictEqual(pool.getStats().liveWorkers, 0);
+      assert.deepStrictEqual(dropped, ['no workers left']);
+      assert.strictEqual(pool.submit('after giving up'), null);
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['drop-oldest discards the head of the queue', async () => {
+    const pool = createPool({ maxQueueSize: 2, overflowPolicy: 'drop-oldest' });
+    const dropped = [];
+    pool.on('dropped', (task, reason) => dropped.push([task.str, reason]));
+    try {
+      ['hang', 'a', 'b', 'c'].forEach(str => pool.submit(str));
+      assert.deepStrictEqual(dropped, [['a', 'queue full (drop-oldest)']]);
+      assert.strictEqual(pool.getStats().queueDepth, 2);
+      assert.strictEqual(pool.getStats().dropped, 1);
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['drop-newest rejects the incoming message', async () => {
+    const pool = createPool({ maxQueueSize: 2, overflowPolicy: 'drop-newest' });
+    const dropped = [];
+    pool.on('dropped', task => dropped.push(task.str));
+    try {
+      const ids = ['hang', 'a', 'b', 'c'].map(str => pool.submit(str));
+      assert.deepStrictEqual(dropped, ['c']);
+      assert.strictEqual(ids[3], null);
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['pause saturates, caps the queue and drains', async () => {
+    const pool = createPool({ maxQueueSize: 4, maxPausedQueueSize: 6, overflowPolicy: 'pause' });
+    const events = [];
+    const dropped = [];
+    pool.on('saturated', () => events.push('saturated'));
+    pool.on('drained', () => events.push('drained'));
+    pool.on('dropped', (task, reason) => dropped.push(reason));
+    try {
+      pool.submit('crash-once:' + path.join(stubDir, 'pause-marker')); // Busy until respawned
+      for (let i = 0; i < 8; i++) pool.submit(`m${i}`);
+
+      assert.deepStrictEqual(events, ['saturated']);
+      assert.strictEqual(pool.getStats().queueDepth, 6, 'in-flight deliveries queued up to the pause limit');
+      assert.deepStrictEqual(dropped, ['queue full (pause limit)', 'queue full (pause limit)']);
+
+      await waitFor(pool, 'result', 7);
+      assert.deepStrictEqual(events, ['saturated', 'drained']);
+    } finally {
+      await pool.terminate();
+    }
+  }],
+
+  ['decoders in worker threads see the parser configuration', async () => {
+    const options = {
+      parser: { useWorkers: true, numWorkers: 1, enableStats: false, instanceId: 'gw-workers' },
+      influxdb: { enabled: false },
+      kafka: { enabled: false },
+      sinks: [],
+      deadLetter: { enabled: false },
+      dedup: { enabled: false },
+      ordering: { enabled: false },
+      devices: { autoRegisterPath: path.join(stubDir, 'devices-auto.json') },
+      decoders: [configDecoder],
+      logging: { enableConsole: false, enableFile: false }
+    };
+    const mainThread = new IotParser({ ...options, parser: { ...options.parser, useWorkers: false } });
+    const parser = new IotParser(options);
+    try {
+      await parser.start({ connect: false });
+      const errors = waitFor(parser, 'error');
+      parser.handleMessage('site/a', 'echo:1');
+      const [[event]] = await errors;
+
+      assert.deepStrictEqual(event.validationErrors, ['instance gw-workers, dedup false']);
+      assert.deepStrictEqual(event.validationErrors, mainThread.parse('echo:1', 'site/a').validationErrors);
+    } finally {
+      await parser.stop();
+    }
+  }]
+];
+
+async function runWorkerTests() {
+  console.log('🧪 Running worker pool tests (stub workers)\n');
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  fs.rmSync(stubDir, { recursive: true, force: true });
+  console.log(`\n📊 ${tests.length - failures}/${tests.length} worker pool tests passed`);
+  return failures;
+}
+
+if (require.main === module) {
+  runWorkerTests()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Worker pool test run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runWorkerTests };